@@ -0,0 +1,109 @@
+/************************************************
+ * Command Access Control
+ ************************************************/
+/**
+ * Decides who may run each command in a guild. Every command has a
+ * default level:
+ *
+ *   "everyone" - anyone (the handler decides what they may see or change)
+ *   "manager"  - administrators and the guild's moderator role
+ *   "admin"    - administrators only
+ *
+ * Manager commands can be opened up per guild with an ACL stored in the
+ * guild's settings, mapping a command to the role and user IDs allowed:
+ *
+ *   { refresh: { roles: ["123"], users: ["456"] } }
+ *
+ * A command with an ACL entry is limited to administrators plus those
+ * roles and users; without one it falls back to its default level.
+ *
+ * /export is the exception: anyone may export their own rows, and its
+ * level only decides who may export the whole guild's schedule.
+ */
+
+const COMMAND_ACCESS = {
+    schedule: "manager",
+    refresh: "manager",
+    resend: "manager",
+    "preview-reminders": "manager",
+    timezone: "manager",
+    "reminder-policy": "manager",
+    validate: "manager",
+    report: "manager",
+    template: "manager",
+    brand: "manager",
+    export: "manager",
+    status: "everyone",
+    mydeadlines: "everyone",
+    "remind-me": "everyone",
+    submit: "everyone",
+    cron: "admin",
+    botstatus: "admin",
+    audit: "admin",
+    setup: "admin",
+    permissions: "admin",
+};
+
+/**
+ * Commands whose access can be configured with /permissions.
+ */
+const CONFIGURABLE_COMMANDS = Object.keys(COMMAND_ACCESS).filter((name) => COMMAND_ACCESS[name] === "manager");
+
+/**
+ * Returns a command's ACL entry as { roles, users }, or null when the
+ * guild hasn't configured one.
+ */
+function getCommandRule(acl, command) {
+    const rule = acl && acl[command];
+    if (!rule || (!(rule.roles || []).length && !(rule.users || []).length)) return null;
+    return { roles: rule.roles || [], users: rule.users || [] };
+}
+
+/**
+ * Returns true if a member may run `command`.
+ * `member` is { isAdmin, isMod, userId, roleIds }; `acl` is the guild's ACL.
+ * Unknown commands are treated as admin-only.
+ */
+function canUseCommand(command, member, acl) {
+    if (member.isAdmin) return true;
+
+    const level = COMMAND_ACCESS[command] || "admin";
+    if (level === "everyone") return true;
+    if (level === "admin") return false;
+
+    const rule = getCommandRule(acl, command);
+    if (!rule) return member.isMod;
+    return rule.users.includes(member.userId) || member.roleIds.some((roleId) => rule.roles.includes(roleId));
+}
+
+/**
+ * Returns a copy of `acl` with a role and/or user added to (allow) or
+ * removed from (allow = false) a command's entry. Entries left empty are
+ * dropped, so the command goes back to its default.
+ */
+function editCommandRule(acl, command, { roleId = null, userId = null, allow = true }) {
+    const rule = getCommandRule(acl, command) || { roles: [], users: [] };
+    const edit = (ids, id) => {
+        if (!id) return ids;
+        const rest = ids.filter((existing) => existing !== id);
+        return allow ? [...rest, id] : rest;
+    };
+
+    const updated = { ...(acl || {}) };
+    const roles = edit(rule.roles, roleId);
+    const users = edit(rule.users, userId);
+    if (roles.length || users.length) {
+        updated[command] = { roles, users };
+    } else {
+        delete updated[command];
+    }
+    return updated;
+}
+
+module.exports = {
+    COMMAND_ACCESS,
+    CONFIGURABLE_COMMANDS,
+    getCommandRule,
+    canUseCommand,
+    editCommandRule,
+};
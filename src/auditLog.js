@@ -0,0 +1,81 @@
+const fs = require("fs");
+const path = require("path");
+const { getDataDir } = require("./jsonStore");
+const { rotateFile } = require("./logger");
+
+/************************************************
+ * Audit Trail
+ ************************************************/
+/**
+ * An append-only record of who ran which command where, of every
+ * reminder delivery, of how creators answered their reminders and of
+ * every /submit submission and review, kept as JSON lines in DATA_DIR/audit.log.
+ * The file rotates to audit.log.1 once it passes AUDIT_MAX_BYTES
+ * (default 5 MB); queries read both.
+ *
+ * Entries look like:
+ *   { time, type: "command", guildId, channelId, userId, command, options }
+ *   { time, type: "delivery", guildId, rowId, kinds, target, messageId, outcome }
+ *   { time, type: "acknowledgement", guildId, userId, rowId, sponsor, action, detail }
+ *   { time, type: "submission", guildId, userId, rowId, sponsor, action, stage, submissionId }
+ */
+function createAuditLog({
+    filePath = path.join(getDataDir(), "audit.log"),
+    maxBytes = Number(process.env.AUDIT_MAX_BYTES || 5 * 1024 * 1024),
+} = {}) {
+    function readEntries(file) {
+        if (!fs.existsSync(file)) return [];
+        return fs.readFileSync(file, "utf8")
+            .split("\n")
+            .filter(Boolean)
+            .map((line) => {
+                try {
+                    return JSON.parse(line);
+                } catch (err) {
+                    return null;
+                }
+            })
+            .filter(Boolean);
+    }
+
+    return {
+        filePath,
+
+        /**
+         * Appends an entry, stamping it with the current time.
+         */
+        record(entry) {
+            const line = JSON.stringify({ time: new Date().toISOString(), ...entry }) + "\n";
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            if (fs.existsSync(filePath) && fs.statSync(filePath).size + line.length > maxBytes) {
+                rotateFile(filePath, 1);
+            }
+            fs.appendFileSync(filePath, line);
+        },
+
+        /**
+         * Returns the newest entries first, filtered by any of:
+         * guildId, userId, command, type, date ("YYYY-MM-DD", UTC day), limit (default 20).
+         */
+        query({ guildId = null, userId = null, command = null, type = null, date = null, limit = 20 } = {}) {
+            const entries = [...readEntries(`${filePath}.1`), ...readEntries(filePath)];
+            const commandName = command ? command.replace(/^\//, "").toLowerCase() : null;
+
+            const matches = [];
+            for (let index = entries.length - 1; index >= 0 && matches.length < limit; index--) {
+                const entry = entries[index];
+                if (guildId && entry.guildId !== guildId) continue;
+                if (userId && entry.userId !== userId) continue;
+                if (commandName && String(entry.command || "").toLowerCase() !== commandName) continue;
+                if (type && entry.type !== type) continue;
+                if (date && !String(entry.time).startsWith(date)) continue;
+                matches.push(entry);
+            }
+            return matches;
+        },
+    };
+}
+
+module.exports = {
+    createAuditLog,
+};
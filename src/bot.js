@@ -0,0 +1,5332 @@
+const {
+    PermissionsBitField,
+    REST,
+    Routes,
+    EmbedBuilder,
+    ActivityType,
+    ActionRowBuilder,
+    ButtonBuilder,
+    ButtonStyle,
+    ModalBuilder,
+    TextInputBuilder,
+    TextInputStyle,
+    AttachmentBuilder,
+    ThreadAutoArchiveDuration
+} = require("discord.js");
+const cron = require("node-cron");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { createDataSource, createGuildDataSource, mapRowsToSchedule, SCHEDULE_HEADERS } = require("./dataSources");
+const { createReminderLedger } = require("./reminderLedger");
+const { createGuildSettings } = require("./guildSettings");
+const { createCreatorPreferences } = require("./creatorPreferences");
+const { ACK_RESPONSES, createReminderAcks } = require("./reminderAcks");
+const { SUBMISSION_STATUS_LABELS, createSubmissions } = require("./submissions");
+const {
+    getDefaultTimeZone,
+    isValidTimeZone,
+    isValidTimeOfDay,
+    getZonedToday,
+    hasTimeOfDayPassed,
+    timeOfDayToCron,
+    listTimeZones,
+    getZonedParts,
+} = require("./timezones");
+const { parseScheduleDate, getTimestamp, getIsoDate } = require("./dates");
+const {
+    parseOffsets,
+    resolvePolicy,
+    getAutomaticReminderKinds,
+    describeReminderKind,
+    daysBetween,
+} = require("./reminderPolicy");
+const { validateSchedule } = require("./validation");
+const { DEADLINE_FIELDS, diffSchedules } = require("./scheduleDiff");
+const { createDeliveryQueue, createDeliveryStats } = require("./deliveryQueue");
+const {
+    DEFAULT_MESSAGES,
+    MESSAGE_DESCRIPTIONS,
+    PLACEHOLDERS,
+    resolveTemplates,
+    getStatusStyle,
+    renderTemplate,
+    isValidColor,
+} = require("./templates");
+const { buildScheduleReport, formatCompletion } = require("./report");
+const { buildIcsCalendar, getFeedToken, startIcsFeedServer } = require("./icsFeed");
+const { isValidCronExpression, getNextFireTimes } = require("./cronSchedule");
+const { createMetrics } = require("./metrics");
+const { startStatusServer } = require("./statusServer");
+const { getLogger } = require("./logger");
+const { createAuditLog } = require("./auditLog");
+const { CONFIGURABLE_COMMANDS, getCommandRule, canUseCommand, editCommandRule } = require("./accessControl");
+const { MANAGER_COMMAND_PERMISSIONS, commands } = require("./commands");
+const { toCsv } = require("./dataSources/localFile");
+const { createJsonStore } = require("./jsonStore");
+
+/**
+ * Structured JSON logs, rotated by size (see src/logger.js).
+ */
+const logger = getLogger();
+
+/**
+ * Creates a bot on a Discord client and returns its controls.
+ *
+ * Options:
+ * - client: a discord.js Client, or anything shaped like one (test/helpers/fakeDiscord.js)
+ * - sheetsClient: a googleapis-style Sheets client used instead of the
+ *   service account (test/helpers/fakeSheets.js)
+ *
+ * Everything the bot keeps (stores, caches, cron jobs and servers) lives in
+ * this closure, so each call gets a bot of its own.
+ */
+function createBot({ client, sheetsClient = null }) {
+    /************************************************
+     * 2) Bot State
+     ************************************************/
+    /**
+     * Options passed to the schedule data sources, e.g. { sheetsClient }
+     * so tests can answer Sheets API calls without a service account.
+     */
+    const dataSourceOptions = sheetsClient ? { sheetsClient } : {};
+
+    /**
+     * The audit trail of commands and deliveries queried by /audit.
+     */
+    const auditLog = createAuditLog();
+
+    /**
+     * scheduleCache will hold the data loaded from every schedule source,
+     * keyed by each Guild's ID for easy reference.
+     */
+    let scheduleCache = {};
+
+    /**
+     * hasLoadedSchedule is set after the first fetch, so the initial load
+     * isn't reported as every row being new.
+     */
+    let hasLoadedSchedule = false;
+
+    /**
+     * guildSettings holds per-guild configuration set through admin commands
+     * (timezone, reminder time, ...), persisted across restarts.
+     */
+    const guildSettings = createGuildSettings();
+
+    /************************************************
+     * 2B) Metrics & Health
+     ************************************************/
+    /**
+     * Metrics exposed on /metrics (see startStatusPage) and summarized by /botstatus.
+     */
+    const metrics = createMetrics({ prefix: "sponsorbot_" });
+    const fetchDuration = metrics.histogram("fetch_duration_seconds", "Time taken to load a schedule source");
+    const fetchErrors = metrics.counter("fetch_errors_total", "Schedule source loads that failed");
+    const lastFetchSuccess = metrics.gauge("last_fetch_success_timestamp_seconds", "When fetchScheduleData last succeeded");
+    const scheduleRows = metrics.gauge("schedule_rows", "Schedule rows per guild");
+    const remindersSent = metrics.counter("reminders_sent_total", "Reminders delivered, by type");
+    const remindersFailed = metrics.counter("reminders_failed_total", "Reminders that could not be delivered, by type");
+    const remindersRetried = metrics.counter("reminder_retries_total", "Reminder messages that needed a retry");
+    const cronLastRun = metrics.gauge("cron_last_run_timestamp_seconds", "When each cron job last ran");
+    const cronLastDuration = metrics.gauge("cron_last_duration_seconds", "How long each cron job's last run took");
+    const gatewayConnected = metrics.gauge("discord_gateway_connected", "1 when the Discord gateway is connected");
+    const guildCount = metrics.gauge("discord_guilds", "Guilds the bot is in");
+
+    /**
+     * Health details shared by /healthz and /botstatus. The bot is healthy
+     * when the gateway is connected and the schedule was fetched successfully
+     * within HEALTH_MAX_FETCH_AGE_MINUTES (default 120).
+     */
+    let lastFetchSucceededAt = null;
+    let lastFetchError = null;
+
+    function getHealth() {
+        const maxAgeSeconds = Number(process.env.HEALTH_MAX_FETCH_AGE_MINUTES || 120) * 60;
+        const fetchAgeSeconds = lastFetchSucceededAt
+            ? Math.round((Date.now() - lastFetchSucceededAt.getTime()) / 1000)
+            : null;
+        const connected = client.isReady();
+
+        return {
+            ok: connected && fetchAgeSeconds !== null && fetchAgeSeconds <= maxAgeSeconds,
+            discordConnected: connected,
+            discordPingMs: connected ? client.ws.ping : null,
+            lastFetchSucceededAt: lastFetchSucceededAt ? lastFetchSucceededAt.toISOString() : null,
+            lastFetchAgeSeconds: fetchAgeSeconds,
+            lastFetchError,
+            uptimeSeconds: Math.round(process.uptime()),
+        };
+    }
+
+    /**
+     * Renders /metrics, refreshing the gauges read from the client first.
+     */
+    function renderMetrics() {
+        gatewayConnected.set({}, client.isReady() ? 1 : 0);
+        guildCount.set({}, client.guilds.cache.size);
+        return metrics.render();
+    }
+
+    /**
+     * Starts the /healthz and /metrics server when STATUS_PORT is set.
+     */
+    let statusServer = null;
+
+    function startStatusPage() {
+        const port = Number(process.env.STATUS_PORT || 0);
+        if (!port) return;
+        statusServer = startStatusServer({
+            port,
+            host: process.env.STATUS_HOST || "127.0.0.1",
+            getHealth,
+            getMetrics: renderMetrics,
+        });
+    }
+
+    /************************************************
+     * 3) Schedule Data Sources
+     ************************************************/
+    /**
+     * The schedule is loaded through pluggable data sources (see src/dataSources):
+     * - "default": the one configured in .env with DATA_SOURCE (Google Sheets
+     *   by default, or a local CSV/JSON file), shared by every guild
+     * - "g<guildId>": a guild's own spreadsheet, tab and range, bound with /setup
+     *
+     * Each entry keeps what its last successful fetch produced:
+     * { id, guildId, source, configKey, schedule, columns, issues, lastFetchedAt }
+     * so one failing source never wipes out the others, plus its refresh
+     * health: { lastError, consecutiveFailures, fromSnapshot }.
+     */
+    let scheduleSources = {};
+
+    /**
+     * The last rows each source loaded successfully, persisted so a restart
+     * while the Sheet is unreachable still has data to work with:
+     * { sources: { <id>: { configKey, fetchedAt, rows } } }.
+     */
+    const scheduleSnapshot = createJsonStore("schedule-snapshot.json", { sources: {} });
+
+    /**
+     * Data older than this many minutes is flagged as stale (STALE_AFTER_MINUTES, default 120).
+     */
+    const STALE_AFTER_MINUTES = Number(process.env.STALE_AFTER_MINUTES || 120);
+
+    /**
+     * Creates, replaces or removes source entries so they match the .env
+     * configuration and every guild's /setup binding.
+     */
+    function syncScheduleSources() {
+        const wanted = {};
+
+        const defaultSource = createDataSource(process.env, dataSourceOptions);
+        if (defaultSource) {
+            wanted.default = { guildId: null, configKey: "env", create: () => defaultSource };
+        }
+
+        for (const [guildId, settings] of Object.entries(guildSettings.all())) {
+            if (!settings.source) continue;
+            wanted[`g${guildId}`] = {
+                guildId,
+                configKey: JSON.stringify(settings.source),
+                create: () => createGuildDataSource(settings.source, process.env, dataSourceOptions),
+            };
+        }
+
+        for (const id of Object.keys(scheduleSources)) {
+            if (!wanted[id]) delete scheduleSources[id];
+        }
+
+        for (const [id, config] of Object.entries(wanted)) {
+            const existing = scheduleSources[id];
+            if (existing && existing.configKey === config.configKey) continue;
+
+            scheduleSources[id] = {
+                id,
+                guildId: config.guildId,
+                source: config.create(),
+                configKey: config.configKey,
+                schedule: {},
+                columns: {},
+                issues: [],
+                lastFetchedAt: null,
+                lastError: null,
+                consecutiveFailures: 0,
+                fromSnapshot: false,
+            };
+        }
+    }
+
+    /**
+     * Returns how fresh a guild's data is: { fetchedAt, stale }, where
+     * fetchedAt is the oldest successful fetch among the sources feeding the
+     * guild, and stale is set when one of them is failing to refresh or is
+     * older than STALE_AFTER_MINUTES. Pass null to cover every source.
+     */
+    function getDataAsOf(guildId) {
+        const entries = Object.values(scheduleSources).filter(
+            (entry) => !guildId || entry.guildId === guildId || (!entry.guildId && entry.schedule[guildId])
+        );
+
+        let fetchedAt = null;
+        let stale = false;
+        for (const entry of entries) {
+            if (!entry.lastFetchedAt) continue;
+            if (!fetchedAt || entry.lastFetchedAt < fetchedAt) fetchedAt = entry.lastFetchedAt;
+            if (entry.consecutiveFailures > 0 || entry.fromSnapshot) stale = true;
+        }
+        if (fetchedAt && Date.now() - fetchedAt.getTime() > STALE_AFTER_MINUTES * 60 * 1000) stale = true;
+        return { fetchedAt, stale };
+    }
+
+    /**
+     * Returns the sources a guild may see the health of: its own /setup
+     * spreadsheet and the shared default source. Other guilds' sources
+     * are left out.
+     */
+    function getGuildSourceEntries(guildId) {
+        return Object.values(scheduleSources).filter((entry) => !entry.guildId || entry.guildId === guildId);
+    }
+
+    /**
+     * Describes where a row lives, e.g. "sheet row 12" or "sheet row 12 (Agency tab)".
+     */
+    function describeSourceRow(sourceId, rowIndex) {
+        const entry = scheduleSources[sourceId];
+        if (!entry) return `row ${rowIndex}`;
+        const label = entry.source.describeRow(rowIndex);
+        return sourceId === "default" ? label : `${label} (${entry.source.name})`;
+    }
+
+    /************************************************
+     * 4) Fetch Schedule Data
+     ************************************************/
+    /**
+     * Pulls data from every configured source and rebuilds `scheduleCache`.
+     * Each row is mapped to an object with relevant columns (guild ID, channel, status, etc.).
+     *
+     * The new cache is built off to the side and swapped in at once, so commands
+     * never see a half-loaded (or empty) cache mid-fetch. A source that fails
+     * keeps its previous rows. Changes since the previous fetch are then posted
+     * to each guild's log channel (see notifyScheduleChanges).
+     *
+     * Returns false if the fetch as a whole failed (see lastFetchError); a
+     * source that fails on its own is tracked on its entry instead.
+     */
+    async function fetchScheduleData() {
+        try {
+            syncScheduleSources();
+
+            let serverCount = client.guilds.cache.size;
+            logger.info(`Bot is currently in ${serverCount} servers`);
+
+            // Load every source first, without touching the live entries
+            const results = {};
+            const failedSources = [];
+            const refreshNotices = [];
+            for (const entry of Object.values(scheduleSources)) {
+                const startedAt = Date.now();
+                try {
+                    const rows = await entry.source.loadRows();
+                    fetchDuration.observe({ source: entry.id }, (Date.now() - startedAt) / 1000);
+
+                    if (entry.consecutiveFailures > 0) {
+                        refreshNotices.push({ entry, recovered: true });
+                    }
+                    entry.consecutiveFailures = 0;
+                    entry.lastError = null;
+
+                    if (!rows || rows.length === 0) {
+                        logger.info(`No schedule data found in ${entry.source.name}.`);
+                        continue;
+                    }
+
+                    results[entry.id] = {
+                        ...mapRowsToSchedule(rows, {
+                            sourceId: entry.id,
+                            guildId: entry.guildId,
+                        }),
+                        fetchedAt: new Date(),
+                        fromSnapshot: false,
+                    };
+                    scheduleSnapshot.data.sources[entry.id] = {
+                        configKey: entry.configKey,
+                        fetchedAt: results[entry.id].fetchedAt.toISOString(),
+                        rows,
+                    };
+
+                    // Flag problem rows instead of silently skipping them or never reminding
+                    for (const issue of results[entry.id].issues) {
+                        logger.info(`Schedule issue in ${describeSourceRow(entry.id, issue.rowIndex)} (guild ${issue.guildId}): ${issue.message}`);
+                    }
+
+                    logger.info(`Schedule data loaded from ${entry.source.name}.`);
+                } catch (err) {
+                    logger.error(`Error fetching schedule data from ${entry.source.name}, keeping its previous rows:`, err);
+                    fetchDuration.observe({ source: entry.id }, (Date.now() - startedAt) / 1000);
+                    fetchErrors.inc({ source: entry.id });
+                    failedSources.push(`${entry.source.name}: ${err.message}`);
+
+                    entry.consecutiveFailures++;
+                    entry.lastError = err.message;
+                    if (entry.consecutiveFailures === 1) {
+                        refreshNotices.push({ entry, recovered: false });
+                    }
+
+                    // Nothing loaded since startup: fall back to the last-known-good snapshot
+                    const snapshot = scheduleSnapshot.data.sources[entry.id];
+                    if (!entry.lastFetchedAt && snapshot && snapshot.configKey === entry.configKey) {
+                        logger.warn(`Using the saved snapshot of ${entry.source.name} from ${snapshot.fetchedAt}`);
+                        results[entry.id] = {
+                            ...mapRowsToSchedule(snapshot.rows, {
+                                sourceId: entry.id,
+                                guildId: entry.guildId,
+                            }),
+                            fetchedAt: new Date(snapshot.fetchedAt),
+                            fromSnapshot: true,
+                        };
+                    }
+                }
+            }
+
+            if (Object.values(results).some((result) => !result.fromSnapshot)) {
+                try {
+                    scheduleSnapshot.save();
+                } catch (err) {
+                    logger.error("Failed to save the schedule snapshot:", err);
+                }
+            }
+
+            // Merge every source's rows per guild (fresh results, or the previous rows on failure)
+            const merged = {};
+            for (const entry of Object.values(scheduleSources)) {
+                const schedule = results[entry.id] ? results[entry.id].schedule : entry.schedule;
+                for (const [guildId, items] of Object.entries(schedule)) {
+                    merged[guildId] = (merged[guildId] || []).concat(items);
+                }
+            }
+
+            // Swap everything in at once
+            const fetchedAt = new Date();
+            for (const [id, result] of Object.entries(results)) {
+                Object.assign(scheduleSources[id], {
+                    schedule: result.schedule,
+                    columns: result.columns,
+                    issues: result.issues,
+                    lastFetchedAt: result.fetchedAt,
+                    fromSnapshot: result.fromSnapshot,
+                });
+            }
+            const previousCache = scheduleCache;
+            scheduleCache = merged;
+            logger.info("Schedule cache refreshed!");
+
+            scheduleRows.reset(Object.entries(merged).map(([guildId, items]) => [{ guild: guildId }, items.length]));
+            if (failedSources.length) {
+                lastFetchError = failedSources.join("; ");
+            } else {
+                lastFetchSucceededAt = fetchedAt;
+                lastFetchError = null;
+                lastFetchSuccess.set({}, Math.floor(fetchedAt.getTime() / 1000));
+            }
+
+            const changes = hasLoadedSchedule ? diffSchedules(previousCache, merged) : {};
+            hasLoadedSchedule = true;
+
+            // Creator timezones may have changed, so keep the reminder jobs in step,
+            // let guilds that asked for it know about new sheet problems, and report changes
+            if (client.isReady()) {
+                rescheduleReminderJobs();
+                postValidationReports();
+                notifyScheduleChanges(changes);
+                notifyRefreshProblems(refreshNotices);
+            }
+        } catch (err) {
+            logger.error("Error fetching schedule data:", err);
+            lastFetchError = err.message;
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Tells managers (in each affected guild's log channel) when a source
+     * starts failing to refresh, and again once it recovers. Reminders keep
+     * going out from the last data that loaded in the meantime.
+     */
+    async function notifyRefreshProblems(notices) {
+        for (const { entry, recovered } of notices) {
+            const guildIds = entry.guildId ? [entry.guildId] : Object.keys(entry.schedule);
+            const asOf = entry.lastFetchedAt ? `<t:${Math.floor(entry.lastFetchedAt.getTime() / 1000)}:f>` : "never";
+            const message = recovered
+                ? `The schedule is refreshing from **${entry.source.name}** again.`
+                : `Couldn't refresh the schedule from **${entry.source.name}**: ${entry.lastError}\n` +
+                  `Reminders and /schedule use the data as of ${asOf} until it recovers.`;
+
+            for (const guildId of guildIds) {
+                const logChannelId = guildSettings.get(guildId).logChannelId;
+                const logChannel = logChannelId && client.guilds.cache.get(guildId)?.channels.cache.get(logChannelId);
+                if (!logChannel) continue;
+                try {
+                    await logChannel.send({ content: message, allowedMentions: { parse: [] } });
+                } catch (err) {
+                    logger.error(`Failed to post the refresh notice for guild ${guildId}`, err);
+                }
+            }
+        }
+    }
+
+    /************************************************
+     * 4B) Write Status Back to the Data Source
+     ************************************************/
+    /**
+     * Statuses a creator can move their row through, in order.
+     * Creators may only move forward; admins/mods may set any of them.
+     */
+    const STATUS_FLOW = ["pending", "draft", "complete"];
+
+    /**
+     * Finds a cached item by guild and row ID (see mapRowsToSchedule).
+     */
+    function findScheduleItem(guildId, rowId) {
+        const guildData = scheduleCache[guildId] || [];
+        return guildData.find((item) => item.rowId === String(rowId)) || null;
+    }
+
+    /**
+     * Updates the status (and optionally the status message) of a row, both
+     * in the data source and in `scheduleCache`.
+     *
+     * Before writing, the row is re-read from the source and compared with the
+     * cached values. If someone edited the row since our last fetch (or the rows
+     * shifted), nothing is written and the caller is told to refresh instead,
+     * so a manager's newer edit is never overwritten.
+     *
+     * Manager rights are checked against the guild that owns the row, never
+     * the guild the user acted from. `byRowManager` is for callers that have
+     * already checked the user with isRowManager (submission reviews).
+     *
+     * Returns { success, message } so callers can reply to the user directly.
+     */
+    async function updateItemStatus({ guildId, rowId, newStatus, note, userId, byRowManager = false }) {
+        const item = findScheduleItem(guildId, rowId);
+        if (!item) {
+            return { success: false, message: "That row could not be found. Try again after a refresh." };
+        }
+        const isManager = byRowManager || await isGuildManager(item.guildId, userId);
+
+        const targetStatus = String(newStatus || "").toLowerCase();
+        if (!STATUS_FLOW.includes(targetStatus)) {
+            return { success: false, message: `Unknown status "${newStatus}".` };
+        }
+
+        // Creators can only change their own rows; managers can change any row
+        if (!isManager && String(item.creator).trim() !== userId) {
+            return { success: false, message: "You can only update the status of your own deliverables." };
+        }
+
+        // Creators can only move forward through the flow
+        const currentIndex = STATUS_FLOW.indexOf(item.status.toLowerCase());
+        if (!isManager && currentIndex > STATUS_FLOW.indexOf(targetStatus)) {
+            return { success: false, message: `This deliverable is already marked as "${item.status}".` };
+        }
+
+        const entry = scheduleSources[item.sourceId];
+        if (!entry) {
+            return { success: false, message: "That row's spreadsheet is no longer configured. Try again after a refresh." };
+        }
+        const { source, columns } = entry;
+
+        if (columns.status < 0 || (note && columns.statusMessage < 0)) {
+            return { success: false, message: "The Sheet is missing the status columns, please contact a manager." };
+        }
+
+        const rowLabel = describeSourceRow(item.sourceId, item.currentRowNumber);
+
+        // Optimistic concurrency: make sure the row still matches what we cached
+        const liveRow = await source.readRow(item.currentRowNumber);
+        const liveGuildId = (liveRow[columns.guildId] || "").trim();
+        const liveCreator = (liveRow[columns.creator] || "").trim();
+        const liveStatus = (liveRow[columns.status] || "").trim();
+        const liveStatusMessage = (liveRow[columns.statusMessage] || "").trim();
+
+        if (
+            liveGuildId !== guildId ||
+            liveCreator !== String(item.creator).trim() ||
+            liveStatus !== item.status ||
+            liveStatusMessage !== item.statusMessage
+        ) {
+            logger.info(`Status update for ${rowLabel} rejected: data changed since last fetch.`);
+            return {
+                success: false,
+                message: "This row was changed in the Sheet since the bot last loaded it. Please refresh and try again.",
+            };
+        }
+
+        const updates = { [columns.status]: targetStatus };
+        if (note) {
+            updates[columns.statusMessage] = note;
+        }
+        await source.writeCells(item.currentRowNumber, updates);
+
+        // Keep the cache in sync so follow-up updates pass the concurrency check
+        item.status = targetStatus;
+        if (note) {
+            item.statusMessage = note;
+        }
+
+        logger.info(`User ${userId} set ${rowLabel} in guild ${guildId} to "${targetStatus}".`);
+        return {
+            success: true,
+            message: `**${item.sponsor}** is now marked as **${targetStatus}**.`,
+        };
+    }
+
+    /**
+     * Returns the Discord timestamp tag (<t:…:R>) the deadline columns use for
+     * `isoDate`, keeping the time of day of the deadline it replaces (read in
+     * the row's timezone; end of day if it had none).
+     */
+    function buildDeadlineTag(item, field, isoDate) {
+        const timeZone = getItemTimeZone(item);
+        const previous = item[`${field}At`];
+        let time = previous && previous.time ? previous.time : "23:59";
+        if (previous && previous.timestamp !== undefined) {
+            const { hour, minute } = getZonedParts(new Date(previous.timestamp * 1000), timeZone);
+            time = `${String(hour).padStart(2, "0")}:${String(minute).padStart(2, "0")}`;
+        }
+        return `<t:${getTimestamp({ isoDate, time }, timeZone)}:R>`;
+    }
+
+    /**
+     * Moves one of a row's deadlines ("draftDeadline" or "uploadDeadline") to
+     * `isoDate` (YYYY-MM-DD), in the data source and in `scheduleCache`. Used
+     * when a manager approves an extension. The new deadline is written as a
+     * Discord timestamp tag, like the rest of the column (see buildDeadlineTag).
+     * Like updateItemStatus, nothing is written if the row changed since the
+     * last fetch.
+     *
+     * Returns { success, message }.
+     */
+    async function updateItemDeadline({ guildId, rowId, field, isoDate, userId }) {
+        const item = findScheduleItem(guildId, rowId);
+        if (!item) {
+            return { success: false, message: "That row could not be found. Try again after a refresh." };
+        }
+
+        const entry = scheduleSources[item.sourceId];
+        if (!entry) {
+            return { success: false, message: "That row's spreadsheet is no longer configured. Try again after a refresh." };
+        }
+        const { source, columns } = entry;
+
+        if (columns[field] < 0) {
+            return { success: false, message: `The Sheet has no "${SCHEDULE_HEADERS[field]}" column.` };
+        }
+
+        const rowLabel = describeSourceRow(item.sourceId, item.currentRowNumber);
+
+        // Optimistic concurrency: make sure the row still matches what we cached
+        const liveRow = await source.readRow(item.currentRowNumber);
+        const liveGuildId = (liveRow[columns.guildId] || "").trim();
+        const liveCreator = (liveRow[columns.creator] || "").trim();
+        const liveDeadline = liveRow[columns[field]] || "N/A";
+
+        if (liveGuildId !== guildId || liveCreator !== String(item.creator).trim() || liveDeadline !== item[field]) {
+            logger.info(`Deadline update for ${rowLabel} rejected: data changed since last fetch.`);
+            return {
+                success: false,
+                message: "This row was changed in the Sheet since the bot last loaded it. Please refresh and try again.",
+            };
+        }
+
+        const value = buildDeadlineTag(item, field, isoDate);
+        await source.writeCells(item.currentRowNumber, { [columns[field]]: value });
+
+        // Keep the cache in sync so follow-up updates pass the concurrency check
+        item[field] = value;
+        item[`${field}At`] = parseScheduleDate(value);
+
+        logger.info(`User ${userId} moved the ${DEADLINE_FIELDS[field]} of ${rowLabel} in guild ${guildId} to ${isoDate}.`);
+        return {
+            success: true,
+            message: `The ${DEADLINE_FIELDS[field]} for **${item.sponsor}** is now ${isoDate}.`,
+        };
+    }
+
+    /************************************************
+     * 4C) Schedule Validation Reports
+     ************************************************/
+    /**
+     * Remembers the last report posted to each guild's validation channel,
+     * so the same problems aren't re-posted on every refresh.
+     */
+    let lastValidationReports = {};
+
+    /**
+     * Validates the cached schedule and returns the problems relevant to a guild
+     * (its own rows plus sheet-wide header problems).
+     */
+    async function getValidationProblems(guildId) {
+        const problems = await validateSchedule({
+            schedule: scheduleCache,
+            sources: Object.values(scheduleSources),
+            client,
+        });
+        return problems.filter((problem) => problem.guildId === null || problem.guildId === guildId);
+    }
+
+    /**
+     * Builds an embed listing validation problems with their row location,
+     * trimmed to fit Discord's embed description limit.
+     */
+    function buildValidationEmbed(problems) {
+        if (!problems.length) {
+            return new EmbedBuilder()
+                .setColor("63e820")
+                .setTitle("Schedule validation")
+                .setDescription("No problems found.");
+        }
+
+        const lines = problems.map((problem) => {
+            const location = problem.rowIndex === null
+                ? `Header${problem.sourceId === "default" ? "" : ` (${scheduleSources[problem.sourceId]?.source.name})`}`
+                : describeSourceRow(problem.sourceId, problem.rowIndex);
+            return `**${location}**: ${problem.message}`;
+        });
+
+        let description = "";
+        let shown = 0;
+        for (const line of lines) {
+            if (description.length + line.length + 40 > 4000) break;
+            description += `${line}\n`;
+            shown++;
+        }
+        if (shown < lines.length) {
+            description += `...and ${lines.length - shown} more.`;
+        }
+
+        return new EmbedBuilder()
+            .setColor("e82020")
+            .setTitle(`Schedule validation: ${problems.length} problem${problems.length === 1 ? "" : "s"}`)
+            .setDescription(description);
+    }
+
+    /**
+     * After a refresh, posts the validation report to every guild that set a
+     * validation channel, but only when the problems changed since last time.
+     */
+    async function postValidationReports() {
+        for (const [guildId, settings] of Object.entries(guildSettings.all())) {
+            if (!settings.validationChannelId) continue;
+
+            try {
+                const channel = client.channels.cache.get(settings.validationChannelId);
+                if (!channel) {
+                    logger.info(`Validation channel ${settings.validationChannelId} not found for guild ${guildId}`);
+                    continue;
+                }
+
+                const problems = await getValidationProblems(guildId);
+                const signature = problems.map((p) => `${p.rowIndex}:${p.message}`).join("|");
+                if (lastValidationReports[guildId] === signature) continue;
+
+                // Skip the first clean report after startup, nothing changed for the reader
+                const isFirstReport = lastValidationReports[guildId] === undefined;
+                lastValidationReports[guildId] = signature;
+                if (isFirstReport && !problems.length) continue;
+
+                await channel.send({ embeds: [buildValidationEmbed(problems)] });
+            } catch (err) {
+                logger.error(`Failed to post validation report for guild ${guildId}`, err);
+            }
+        }
+    }
+
+    /************************************************
+     * 4D) Schedule Change Notifications
+     ************************************************/
+    /**
+     * Formats a deadline value for a message: a Discord date tag when it
+     * parses, the raw text otherwise.
+     */
+    function formatDeadline(rawValue, parsed, timeZone) {
+        const timestamp = getTimestamp(parsed, timeZone);
+        return timestamp !== null ? `<t:${timestamp}:D>` : rawValue || "N/A";
+    }
+
+    /**
+     * Builds the change log embed for one guild's diff, trimmed to fit
+     * Discord's embed description limit.
+     */
+    function buildChangesEmbed(diff) {
+        const lines = [];
+        const rowLabel = (item) => `**${item.sponsor}** (<@${String(item.creator).trim()}>, ${item.month} ${item.year})`;
+
+        for (const item of diff.added) {
+            lines.push(`🆕 New: ${rowLabel(item)}`);
+        }
+        for (const { item, field, before, after } of diff.deadlineChanges) {
+            const timeZone = getItemTimeZone(item);
+            const beforeText = formatDeadline(before, parseScheduleDate(before, { defaultYear: item.year }), timeZone);
+            const afterText = formatDeadline(after, parseScheduleDate(after, { defaultYear: item.year }), timeZone);
+            lines.push(`📅 ${DEADLINE_FIELDS[field]} changed for ${rowLabel(item)}: ${beforeText} → ${afterText}`);
+        }
+        for (const { item, before, after } of diff.statusChanges) {
+            lines.push(`🔄 Status of ${rowLabel(item)}: ${before || "none"} → ${after || "none"}`);
+        }
+        for (const item of diff.removed) {
+            lines.push(`🗑️ Removed: ${rowLabel(item)}`);
+        }
+
+        let description = "";
+        let shown = 0;
+        for (const line of lines) {
+            if (description.length + line.length + 40 > 4000) break;
+            description += `${line}\n`;
+            shown++;
+        }
+        if (shown < lines.length) {
+            description += `...and ${lines.length - shown} more.`;
+        }
+
+        return new EmbedBuilder()
+            .setColor("2089e8")
+            .setTitle("Schedule changes")
+            .setDescription(description)
+            .setTimestamp(new Date());
+    }
+
+    /**
+     * Posts each guild's changes to its log channel (set with /setup) and DMs
+     * creators whose deadlines moved.
+     */
+    async function notifyScheduleChanges(changes) {
+        for (const [guildId, diff] of Object.entries(changes)) {
+            const guild = client.guilds.cache.get(guildId);
+            if (!guild) continue;
+
+            const logChannelId = guildSettings.get(guildId).logChannelId;
+            if (logChannelId) {
+                try {
+                    const logChannel = guild.channels.cache.get(logChannelId);
+                    if (logChannel) {
+                        await logChannel.send({ embeds: [buildChangesEmbed(diff)], allowedMentions: { parse: [] } });
+                    } else {
+                        logger.info(`Log channel ${logChannelId} not found in guild ${guildId}`);
+                    }
+                } catch (err) {
+                    logger.error(`Failed to post schedule changes for guild ${guildId}`, err);
+                }
+            }
+
+            // Let creators know when one of their deadlines moved
+            for (const { item, field, before, after } of diff.deadlineChanges) {
+                if (item.ignore === "1" || item.shouldNotify !== "1") continue;
+
+                try {
+                    const timeZone = getItemTimeZone(item);
+                    const member = await guild.members.fetch(String(item.creator).trim());
+                    await member.send(
+                        `Heads up: the **${DEADLINE_FIELDS[field]}** for **${item.sponsor}** changed from ` +
+                        `${formatDeadline(before, parseScheduleDate(before, { defaultYear: item.year }), timeZone)} to ` +
+                        `${formatDeadline(after, parseScheduleDate(after, { defaultYear: item.year }), timeZone)}.`
+                    );
+                } catch (err) {
+                    logger.info(`Could not DM creator "${item.creator}" about a deadline change in guild ${guildId}`);
+                }
+            }
+        }
+    }
+
+    /************************************************
+     * 4E) Manager Digest Reports
+     ************************************************/
+    /**
+     * Builds a guild's report from scheduleCache (see src/report.js).
+     * `period` is "week" or "month".
+     */
+    function getGuildReport(guildId, period) {
+        return buildScheduleReport(scheduleCache[guildId] || [], {
+            period,
+            getDates: (item) => {
+                const timeZone = getItemTimeZone(item);
+                return {
+                    today: toIsoDate(getZonedToday(timeZone)),
+                    draft: getIsoDate(item.draftDeadlineAt, timeZone),
+                    upload: getIsoDate(item.uploadDeadlineAt, timeZone),
+                };
+            },
+        });
+    }
+
+    /**
+     * Joins report lines into an embed field value, noting how many didn't fit.
+     */
+    function toFieldValue(lines, emptyText, limit = 10) {
+        if (!lines.length) return emptyText;
+        const shown = lines.slice(0, limit);
+        if (lines.length > limit) shown.push(`...and ${lines.length - limit} more`);
+        return shown.join("\n").slice(0, 1024);
+    }
+
+    /**
+     * Builds the digest embed for a report.
+     */
+    function buildReportEmbed(report) {
+        const describeDeadline = ({ item, field }) =>
+            `<@${String(item.creator).trim()}> **${item.sponsor}** ${field}`;
+
+        const byRate = (tallies) => Object.entries(tallies)
+            .sort(([, a], [, b]) => a.complete / a.total - b.complete / b.total || b.total - a.total);
+
+        const windowLabel = report.period === "month" ? "30 days" : "7 days";
+        return new EmbedBuilder()
+            .setColor(report.overdue.length ? "e82020" : "2089e8")
+            .setTitle(report.period === "month" ? "Monthly schedule report" : "Weekly schedule report")
+            .setDescription(
+                report.monthTotal
+                    ? `This month: ${formatCompletion({ total: report.monthTotal, complete: report.monthComplete })} complete`
+                    : "No rows are scheduled for this month."
+            )
+            .addFields(
+                {
+                    name: `Due in the next ${windowLabel} (${report.dueSoon.length})`,
+                    value: toFieldValue(
+                        report.dueSoon.map((entry) =>
+                            `${describeDeadline(entry)} ${entry.days === 0 ? "today" : `in ${entry.days} day(s)`}`
+                        ),
+                        "Nothing due."
+                    ),
+                },
+                {
+                    name: `Overdue (${report.overdue.length})`,
+                    value: toFieldValue(
+                        report.overdue.map((entry) => `${describeDeadline(entry)} ${entry.days} day(s) late`),
+                        "Nothing overdue."
+                    ),
+                },
+                {
+                    name: "Completion by creator (this month)",
+                    value: toFieldValue(
+                        byRate(report.byCreator).map(([creator, counts]) => `<@${creator}> ${formatCompletion(counts)}`),
+                        "N/A"
+                    ),
+                    inline: true,
+                },
+                {
+                    name: "Completion by brand (this month)",
+                    value: toFieldValue(
+                        byRate(report.byBrand).map(([brand, counts]) => `${brand} ${formatCompletion(counts)}`),
+                        "N/A"
+                    ),
+                    inline: true,
+                },
+                {
+                    name: "Status counts (this month)",
+                    value: toFieldValue(
+                        Object.entries(report.statusCounts).map(([status, count]) => `${status}: ${count}`),
+                        "N/A"
+                    ),
+                }
+            )
+            .setTimestamp();
+    }
+
+    /**
+     * Posts the weekly or monthly digest to every guild that turned it on
+     * with /report (see the "digest" guild setting).
+     */
+    async function postDigests(period) {
+        const settingKey = period === "month" ? "monthly" : "weekly";
+        for (const [guildId, settings] of Object.entries(guildSettings.all())) {
+            const digest = settings.digest;
+            if (!digest || !digest.channelId || !digest[settingKey]) continue;
+
+            const channel = client.guilds.cache.get(guildId)?.channels.cache.get(digest.channelId);
+            if (!channel) {
+                logger.info(`Digest channel ${digest.channelId} not found in guild ${guildId}`);
+                continue;
+            }
+
+            try {
+                await channel.send({
+                    embeds: [buildReportEmbed(getGuildReport(guildId, period))],
+                    allowedMentions: { parse: [] },
+                });
+            } catch (err) {
+                logger.error(`Failed to post the ${settingKey} digest for guild ${guildId}`, err);
+            }
+        }
+    }
+
+    /************************************************
+     * 4F) Brand Summaries
+     ************************************************/
+    /**
+     * A per-brand view of a guild's rows for account managers: every creator,
+     * deliverable and status for one Brand. /brand shows it on demand, and
+     * brands mapped to a channel with /brand summary_channel get it posted
+     * there on the "brandSummaries" job (BRAND_SUMMARY_CRON, Mondays 09:00).
+     *
+     * The mapping is the "brandChannels" guild setting:
+     *   { "<brand, lowercase>": { name, channelId } }
+     */
+
+    /**
+     * Returns the guild's rows for a brand (matched case-insensitively on the
+     * whole name), skipping ignored rows.
+     */
+    function getBrandItems(guildId, brand) {
+        const brandLower = String(brand || "").trim().toLowerCase();
+        return (scheduleCache[guildId] || []).filter(
+            (item) => item.ignore !== "1" && item.sponsor.trim().toLowerCase() === brandLower
+        );
+    }
+
+    /**
+     * Builds the summary embed for a brand: one section per creator listing
+     * their deliverables, statuses and next deadlines, plus status counts.
+     * The color follows the least advanced status among the rows.
+     */
+    function buildBrandSummaryEmbed(guildId, brand, items) {
+        const templates = getGuildTemplates(guildId);
+        const byCreator = {};
+        const statusCounts = {};
+        for (const item of sortByNextDeadline(items)) {
+            const creator = String(item.creator).trim();
+            if (!byCreator[creator]) byCreator[creator] = [];
+            byCreator[creator].push(item);
+
+            const status = item.status || "no status";
+            statusCounts[status] = (statusCounts[status] || 0) + 1;
+        }
+
+        const sections = Object.entries(byCreator).map(([creator, creatorItems]) => {
+            const lines = creatorItems.map((item) => {
+                const emoji = getStatusStyle(templates, item.status).emoji;
+                const deadline = getNextDeadlineTimestamp(item);
+                return (
+                    `${emoji ? `${emoji} ` : ""}${item.type || "Deliverable"} (${item.month} ${item.year}): ` +
+                    `**${item.status || "no status"}**${deadline !== null ? `, next deadline <t:${deadline}:R>` : ""}`
+                );
+            });
+            return [`<@${creator}>`, ...lines].join("\n");
+        });
+
+        const leastAdvanced = STATUS_FLOW.find((status) => statusCounts[status]) || Object.keys(statusCounts)[0];
+        return new EmbedBuilder()
+            .setColor(getStatusColor(leastAdvanced || "pending", guildId))
+            .setTitle(`Brand: ${brand}`.slice(0, 256))
+            .setDescription(sections.join("\n\n").slice(0, 4096) || "No deliverables.")
+            .addFields({
+                name: `Deliverables (${items.length})`,
+                value: toFieldValue(Object.entries(statusCounts).map(([status, count]) => `${status}: ${count}`), "N/A"),
+            })
+            .setTimestamp();
+    }
+
+    /**
+     * Builds the messages of a brand's scheduled summary: the summary embed,
+     * then a card (see buildEmbedForItem) for every row that isn't complete,
+     * at most 10 embeds per message.
+     */
+    function buildBrandSummaryMessages(guildId, brand, items) {
+        const embeds = [
+            buildBrandSummaryEmbed(guildId, brand, items),
+            ...sortByNextDeadline(items)
+                .filter((item) => item.status.toLowerCase() !== "complete")
+                .map((item) => buildEmbedForItem(item)),
+        ];
+        return chunkItems(embeds, 10).map((chunk) => ({ embeds: chunk, allowedMentions: { parse: [] } }));
+    }
+
+    /**
+     * Posts the summary of every brand mapped to a channel with /brand.
+     */
+    async function postBrandSummaries() {
+        for (const [guildId, settings] of Object.entries(guildSettings.all())) {
+            for (const { name, channelId } of Object.values(settings.brandChannels || {})) {
+                const channel = client.guilds.cache.get(guildId)?.channels.cache.get(channelId);
+                if (!channel) {
+                    logger.info(`Brand summary channel ${channelId} for "${name}" not found in guild ${guildId}`);
+                    continue;
+                }
+
+                const items = getBrandItems(guildId, name);
+                if (!items.length) continue;
+
+                try {
+                    for (const message of buildBrandSummaryMessages(guildId, name, items)) {
+                        await channel.send(message);
+                    }
+                } catch (err) {
+                    logger.error(`Failed to post the "${name}" brand summary for guild ${guildId}`, err);
+                }
+            }
+        }
+    }
+
+    /************************************************
+     * 5) Color Helper for Embeds
+     ************************************************/
+    /**
+     * Returns a guild's message templates and status styles
+     * (see src/templates.js), including its /template settings.
+     */
+    function getGuildTemplates(guildId) {
+        return resolveTemplates(guildId, guildId ? guildSettings.get(guildId).templates : null);
+    }
+
+    /**
+     * Converts a textual status (pending/draft/complete, or any status the
+     * guild gave a style with /template) into a hex color code used by
+     * Discord.js embeds.
+     */
+    function getStatusColor(STATUS, guildId = null) {
+        return getStatusStyle(getGuildTemplates(guildId), STATUS).color.replace("#", "");
+    }
+
+    /************************************************
+     * 5B) getCurrentDateFormatted
+     ************************************************/
+    /**
+     * Returns the given date as M/D/YYYY, e.g. 4/10/2025
+     * Used to compare with reminderDate or reminderDate2 fields
+     */
+    function formatDate(date) {
+        const month = date.getMonth() + 1; // zero-based
+        const day = date.getDate();
+        const year = date.getFullYear();
+        return `${month}/${day}/${year}`;
+    }
+
+    /**
+     * Returns today's date as M/D/YYYY
+     */
+    function getCurrentDateFormatted() {
+        return formatDate(new Date());
+    }
+
+    /**
+     * Returns the given date as YYYY-MM-DD (local time), used for ledger bookkeeping.
+     */
+    function toIsoDate(date) {
+        const month = String(date.getMonth() + 1).padStart(2, "0");
+        const day = String(date.getDate()).padStart(2, "0");
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /************************************************
+     * 6) Building Single Embed for an Item
+     ************************************************/
+    /**
+     * Builds the embed fields for a deadline: the date, then a relative
+     * countdown, both rendered as Discord timestamps from the parsed value.
+     * Values that couldn't be parsed are shown as-is and flagged.
+     */
+    function buildDeadlineFields(name, rawValue, parsed, timeZone) {
+        const timestamp = getTimestamp(parsed, timeZone);
+        if (timestamp !== null) {
+            return [
+                { name, value: `<t:${timestamp}:D>`, inline: false },
+                { name: " ", value: `<t:${timestamp}:R>`, inline: false },
+            ];
+        }
+        if (!rawValue || rawValue === "N/A") {
+            return [{ name, value: "N/A", inline: false }];
+        }
+        return [{ name, value: `${rawValue} (unrecognized date)`, inline: false }];
+    }
+
+    /**
+     * Returns the template placeholder values for an item
+     * (see PLACEHOLDERS in src/templates.js).
+     */
+    function getItemTemplateValues(item, templates = getGuildTemplates(item.guildId)) {
+        const timeZone = getItemTimeZone(item);
+        const formatTemplateDeadline = (rawValue, parsed) => {
+            const timestamp = getTimestamp(parsed, timeZone);
+            return timestamp !== null ? `<t:${timestamp}:D>` : rawValue;
+        };
+
+        const nextDeadline = getNextOpenDeadline(item);
+        const daysRemaining = nextDeadline
+            ? daysBetween(toIsoDate(getZonedToday(timeZone)), getIsoDate(nextDeadline, timeZone))
+            : "N/A";
+
+        return {
+            creator: `<@${String(item.creator).trim()}>`,
+            brand: item.sponsor,
+            type: item.type || "N/A",
+            month: item.month,
+            year: item.year,
+            status: item.status || "no status",
+            statusEmoji: getStatusStyle(templates, item.status).emoji || "",
+            draftDeadline: formatTemplateDeadline(item.draftDeadline, item.draftDeadlineAt),
+            uploadDeadline: formatTemplateDeadline(item.uploadDeadline, item.uploadDeadlineAt),
+            daysRemaining,
+        };
+    }
+
+    /**
+     * Renders one of a guild's messages (see DEFAULT_MESSAGES in src/templates.js).
+     */
+    function renderGuildMessage(guildId, key, values = {}) {
+        const templates = getGuildTemplates(guildId);
+        const guild = client.guilds.cache.get(guildId);
+        return renderTemplate(templates.messages[key], { guild: guild ? guild.name : "", ...values });
+    }
+
+    /**
+     * Given a single row item, builds an EmbedBuilder with sponsor, deadlines, etc.
+     * When sent as a reminder, `reminderKinds` adds a line saying why
+     * (e.g. "Draft due in 3 days").
+     *
+     * The title, description, status colors/emoji and any extra sheet columns
+     * come from the guild's templates.
+     */
+    function buildEmbedForItem(item, reminderKinds = []) {
+        const templates = getGuildTemplates(item.guildId);
+        const values = getItemTemplateValues(item, templates);
+        const statusEmoji = values.statusEmoji;
+        const fields = [{ name: "Status", value: statusEmoji ? `${statusEmoji} ${item.status}` : item.status, inline: false }];
+
+        // Adds "Reminder" for automatic deadline reminders
+        const reminderLabels = reminderKinds.map(describeReminderKind).filter(Boolean);
+        if (reminderLabels.length) {
+            fields.unshift({ name: "Reminder", value: reminderLabels.join("\n"), inline: false });
+        }
+
+        // Adds "Message" if present
+        if (item.statusMessage) {
+            fields.push({ name: "Message", value: item.statusMessage, inline: false });
+        }
+        // Adds the creator's answer to the last reminder, if any
+        const ack = reminderAcks.get(item.guildId, item.rowId);
+        if (ack && ack.response) {
+            const answeredAt = Math.floor(new Date(ack.respondedAt).getTime() / 1000);
+            fields.push({ name: "Reminder Answer", value: `${ACK_RESPONSES[ack.response]} <t:${answeredAt}:R>`, inline: false });
+        }
+        // Adds "Type" if present
+        if (item.type) {
+            fields.push({ name: "Type", value: item.type, inline: false });
+        }
+
+        // Add draft/upload deadlines
+        const timeZone = getItemTimeZone(item);
+        fields.push(
+            ...buildDeadlineFields("Draft Deadline", item.draftDeadline, item.draftDeadlineAt, timeZone),
+            ...buildDeadlineFields("Upload Deadline", item.uploadDeadline, item.uploadDeadlineAt, timeZone)
+        );
+
+        // Add the extra sheet columns the guild chose to show
+        for (const column of templates.extraColumns) {
+            const value = (item.extraColumns || {})[column];
+            if (value) {
+                fields.push({ name: column, value: value.slice(0, 1024), inline: false });
+            }
+        }
+
+        const embed = new EmbedBuilder()
+            .setColor(getStatusColor(item.status, item.guildId))
+            .setTitle(renderTemplate(templates.messages.embedTitle, values).slice(0, 256) || item.sponsor)
+            .addFields(fields.slice(0, 25));
+
+        const description = renderTemplate(templates.messages.embedDescription, values);
+        if (description) embed.setDescription(description.slice(0, 4096));
+        return embed;
+    }
+
+    /************************************************
+     * 6A) Status Buttons for an Item
+     ************************************************/
+    /**
+     * Builds a row of buttons that let the creator move an item forward
+     * (draft / complete). The custom ID carries the guild and row so the
+     * click can be traced back to the Sheet row.
+     */
+    function buildStatusButtons(item) {
+        const label = item.sponsor.length > 40 ? `${item.sponsor.slice(0, 37)}...` : item.sponsor;
+        return new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`status:${item.guildId}:${item.rowId}:draft`)
+                .setLabel(`${label}: Draft sent`)
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(item.status.toLowerCase() !== "pending"),
+            new ButtonBuilder()
+                .setCustomId(`status:${item.guildId}:${item.rowId}:complete`)
+                .setLabel(`${label}: Complete`)
+                .setStyle(ButtonStyle.Success)
+                .setDisabled(item.status.toLowerCase() === "complete")
+        );
+    }
+
+    /**
+     * Builds the buttons a creator answers a reminder with ("Got it",
+     * "Need extension", "Already submitted"), see handleAcknowledgeButton.
+     */
+    function buildAcknowledgeButtons(item) {
+        return [
+            new ButtonBuilder()
+                .setCustomId(`ack:${item.guildId}:${item.rowId}:got-it`)
+                .setLabel(ACK_RESPONSES["got-it"])
+                .setStyle(ButtonStyle.Primary),
+            new ButtonBuilder()
+                .setCustomId(`ack:${item.guildId}:${item.rowId}:extension`)
+                .setLabel(ACK_RESPONSES.extension)
+                .setStyle(ButtonStyle.Secondary),
+            new ButtonBuilder()
+                .setCustomId(`ack:${item.guildId}:${item.rowId}:submitted`)
+                .setLabel(ACK_RESPONSES.submitted)
+                .setStyle(ButtonStyle.Secondary),
+        ];
+    }
+
+    /**
+     * The row of buttons under each item of a reminder: the status buttons
+     * plus the acknowledgement buttons (5 buttons, the most a row can hold).
+     */
+    function buildReminderButtons(item) {
+        return buildStatusButtons(item).addComponents(...buildAcknowledgeButtons(item));
+    }
+
+    /**
+     * Discord allows at most 5 component rows per message, so reminder
+     * messages are split into chunks of this many items (one row each).
+     */
+    const ITEMS_PER_MESSAGE = 5;
+
+    function chunkItems(items, size = ITEMS_PER_MESSAGE) {
+        const chunks = [];
+        for (let i = 0; i < items.length; i += size) {
+            chunks.push(items.slice(i, i + size));
+        }
+        return chunks;
+    }
+
+    /************************************************
+     * 6B) Filter Items that need a reminder on a date
+     ************************************************/
+    /**
+     * The reminder ledger records every delivered reminder on disk, so
+     * reminders go out exactly once per row, kind and day across restarts.
+     */
+    const reminderLedger = createReminderLedger();
+
+    /**
+     * Creator preferences from /remind-me: delivery method, snoozes and
+     * extra lead-time reminders, applied on top of the sheet's columns.
+     */
+    const creatorPreferences = createCreatorPreferences();
+
+    /**
+     * How creators answered their reminders, per row, and which unanswered
+     * reminders were escalated (see checkEscalations).
+     */
+    const reminderAcks = createReminderAcks();
+
+    /**
+     * Drafts and uploads handed in with /submit, with each row's review history.
+     */
+    const submissions = createSubmissions();
+
+    /**
+     * How many days back a reminder run looks for reminders it missed
+     * while the bot was offline.
+     */
+    const REMINDER_CATCHUP_DAYS = Number(process.env.REMINDER_CATCHUP_DAYS || 3);
+
+    /**
+     * Returns true if a row is eligible for reminders at all:
+     * shouldNotify=1, ignore=0, statusSend=1
+     */
+    function isReminderEligible(item) {
+        return item.shouldNotify === "1" && item.ignore === "0" && item.statusSend === "1";
+    }
+
+    /**
+     * The ledger date a reminder kind is tracked under: the monthly digest
+     * goes out once per month ("2025-4"), every other kind once per day.
+     */
+    function getLedgerDate(kind, date) {
+        return kind === "monthly" ? `${date.getFullYear()}-${date.getMonth() + 1}` : formatDate(date);
+    }
+
+    /**
+     * Filters down to only the items that need a reminder on `date`, returning
+     * one entry per item: { item, kinds, date } where kinds lists which
+     * reminders are due:
+     * - "reminder" / "reminder2": the parsed Reminder Date / Reminder Date 2 columns
+     * - "draft-T7", "upload-T1", ...: automatic reminders before each deadline,
+     *   per the guild's reminder policy (skipped when manual dates are set)
+     * - "draft-overdue" / "upload-overdue": daily nags once a deadline has passed
+     * - "monthly": the monthly digest
+     *
+     * `date` is the calendar day in the item's timezone (see getZonedToday).
+     * On the 1st of the month (or the 2nd, if the 1st was missed) every
+     * eligible item is included once as the monthly digest.
+     *
+     * Rows the creator snoozed with /remind-me are skipped, and the creator's
+     * extra lead-time offsets are added to the guild's policy (they apply
+     * even when the row has manual reminder dates).
+     *
+     * Reminders already recorded in the ledger are left out,
+     * unless `ignoreLedger` is set (used by a forced /resend).
+     */
+    function filterReminderItems(guildData, date = new Date(), { ignoreLedger = false } = {}) {
+        const isoDate = toIsoDate(date);
+        const currentDay = date.getDate();
+
+        const dueEntries = [];
+        for (const item of guildData) {
+            if (!isReminderEligible(item)) continue;
+
+            const prefs = creatorPreferences.get(item.creator);
+            if (creatorPreferences.isSnoozed(item.creator, `${item.guildId}:${item.rowId}`, isoDate)) continue;
+
+            // Reminder dates are parsed values; compare them as calendar days in the item's zone
+            const timeZone = getItemTimeZone(item);
+            const kinds = [];
+            if (currentDay === 1 || currentDay === 2) kinds.push("monthly");
+            if (getIsoDate(item.reminderAt, timeZone) === isoDate) kinds.push("reminder");
+            if (getIsoDate(item.reminder2At, timeZone) === isoDate) kinds.push("reminder2");
+
+            // Automatic reminders derived from the deadlines; manual dates override the offsets
+            const deadlines = {
+                draft: getIsoDate(item.draftDeadlineAt, timeZone),
+                upload: getIsoDate(item.uploadDeadlineAt, timeZone),
+            };
+            kinds.push(
+                ...getAutomaticReminderKinds({
+                    isoDate,
+                    deadlines,
+                    status: item.status,
+                    policy: resolvePolicy(guildSettings.get(item.guildId).reminderPolicy, item.type),
+                    useOffsets: !item.reminderAt && !item.reminder2At,
+                    includeOverdue: isoDate === toIsoDate(getZonedToday(timeZone)),
+                })
+            );
+
+            // The creator's extra lead-time reminders from /remind-me
+            if (prefs.extraOffsets && prefs.extraOffsets.length) {
+                const extraKinds = getAutomaticReminderKinds({
+                    isoDate,
+                    deadlines,
+                    status: item.status,
+                    policy: { offsets: prefs.extraOffsets, overdue: false },
+                    useOffsets: true,
+                    includeOverdue: false,
+                });
+                kinds.push(...extraKinds.filter((kind) => !kinds.includes(kind)));
+            }
+
+            const pendingKinds = kinds.filter(
+                (kind) =>
+                    ignoreLedger ||
+                    !reminderLedger.hasDelivered({
+                        guildId: item.guildId,
+                        row: item.rowId,
+                        kind,
+                        date: getLedgerDate(kind, date),
+                    })
+            );
+            if (pendingKinds.length) {
+                dueEntries.push({ item, kinds: pendingKinds, date });
+            }
+        }
+
+        return dueEntries;
+    }
+
+    /**
+     * Returns the calendar dates a reminder run in `timeZone` should cover:
+     * every day since the last completed run there (bounded by
+     * REMINDER_CATCHUP_DAYS), up to and including today in that zone.
+     */
+    function getReminderRunDates(timeZone, now = new Date()) {
+        const today = getZonedToday(timeZone, now);
+        const lastRunDate = reminderLedger.getLastRunDate(timeZone);
+        if (!lastRunDate) return [today];
+
+        const [year, month, day] = lastRunDate.split("-").map(Number);
+        const earliest = new Date(today);
+        earliest.setDate(earliest.getDate() - REMINDER_CATCHUP_DAYS);
+
+        let cursor = new Date(year, month - 1, day);
+        if (cursor < earliest) cursor = earliest;
+
+        const dates = [];
+        while (cursor <= today) {
+            dates.push(new Date(cursor));
+            cursor.setDate(cursor.getDate() + 1);
+        }
+        return dates.length ? dates : [today];
+    }
+
+    /**
+     * Returns how an item's reminders are delivered: the creator's /remind-me
+     * choice if set, else the sheet's Reminder Type ("channel post" or
+     * "private message", lowercased).
+     */
+    function getReminderDelivery(item) {
+        const delivery = creatorPreferences.get(item.creator).delivery;
+        if (delivery === "dm") return "private message";
+        if (delivery === "channel") return "channel post";
+        return item.reminderType.toLowerCase();
+    }
+
+    /************************************************
+     * 6D) Reminder Timezones & Slots
+     ************************************************/
+    /**
+     * Returns the timezone reminders for an item are evaluated in:
+     * the creator's Timezone column, else the guild's timezone setting,
+     * else TIMEZONE / the host's zone.
+     */
+    function getItemTimeZone(item) {
+        return item.timezone || guildSettings.get(item.guildId).timezone || getDefaultTimeZone();
+    }
+
+    /**
+     * Returns the reminder slot an item belongs to: { key, timeZone, time }.
+     * Guilds with a reminder time get a job firing at that local time in each
+     * zone their items use; everything else runs on the global CRONTIMER ("main").
+     */
+    function getReminderSlot(item) {
+        const timeZone = getItemTimeZone(item);
+        const time = guildSettings.get(item.guildId).reminderTime || null;
+        return {
+            key: time ? `reminders:${timeZone}@${time}` : "main",
+            timeZone,
+            time,
+        };
+    }
+
+    /************************************************
+     * 6C) createScheduleEmbeds - for the /schedule command
+     ************************************************/
+    /**
+     * For the /schedule slash command, we show rows that:
+     *  - have ignore != "1"
+     *  - if month != "All", item.month must match
+     *  - if year != "All", item.year must match
+     *  - match the optional creator (user ID), brand, status and type filters
+     *    (brand/type match case-insensitively on a substring)
+     */
+    function filterScheduleItems(guildId, { month = "All", year = "All", creator = null, brand = null, status = null, type = null } = {}) {
+        const guildData = scheduleCache[guildId] || [];
+
+        const monthLower = month.toLowerCase();
+        const yearLower = year.toLowerCase();
+        const brandLower = (brand || "").toLowerCase();
+        const statusLower = (status || "").toLowerCase();
+        const typeLower = (type || "").toLowerCase();
+
+        return guildData.filter((item) => {
+            if (item.ignore === "1") return false;
+
+            const monthMatches =
+                monthLower === "all" || item.month.toLowerCase() === monthLower;
+            const yearMatches =
+                yearLower === "all" || item.year.toLowerCase() === yearLower;
+            const creatorMatches = !creator || String(item.creator).trim() === creator;
+            const brandMatches = !brandLower || item.sponsor.toLowerCase().includes(brandLower);
+            const statusMatches = !statusLower || item.status.toLowerCase() === statusLower;
+            const typeMatches = !typeLower || item.type.toLowerCase().includes(typeLower);
+
+            return monthMatches && yearMatches && creatorMatches && brandMatches && statusMatches && typeMatches;
+        });
+    }
+
+    /**
+     * Builds one embed per matching item using buildEmbedForItem.
+     */
+    function createScheduleEmbeds(guildId, monthFilter = "All", yearFilter = "All", filters = {}) {
+        return filterScheduleItems(guildId, { ...filters, month: monthFilter, year: yearFilter })
+            .map((item) => buildEmbedForItem(item));
+    }
+
+    /************************************************
+     * 6E) Paginated /schedule Views
+     ************************************************/
+    /**
+     * Discord rejects more than 10 embeds per message, so /schedule replies are
+     * split into pages with Previous/Next buttons. In compact mode each page is
+     * a single table-style embed with one line per row instead.
+     *
+     * The rows are snapshotted when /schedule runs and kept in memory for a
+     * while, so paging stays consistent even if the cache refreshes meanwhile.
+     */
+    const SCHEDULE_EMBEDS_PER_PAGE = 10;
+    const SCHEDULE_ROWS_PER_COMPACT_PAGE = 15;
+    const SCHEDULE_VIEW_TTL_MS = 30 * 60 * 1000;
+
+    const scheduleViews = new Map();
+
+    /**
+     * Stores a new view and drops expired ones. Returns the view ID.
+     */
+    function createScheduleView(viewId, { items, compact, title, dataAsOf = getDataAsOf(null) }) {
+        const now = Date.now();
+        for (const [id, view] of scheduleViews) {
+            if (view.expiresAt < now) scheduleViews.delete(id);
+        }
+
+        const perPage = compact ? SCHEDULE_ROWS_PER_COMPACT_PAGE : SCHEDULE_EMBEDS_PER_PAGE;
+        scheduleViews.set(viewId, {
+            items,
+            compact,
+            title,
+            dataAsOf,
+            pageCount: Math.max(1, Math.ceil(items.length / perPage)),
+            expiresAt: now + SCHEDULE_VIEW_TTL_MS,
+        });
+        return viewId;
+    }
+
+    /**
+     * Builds a single table-style embed, one line per row.
+     */
+    function buildCompactScheduleEmbed(items, startIndex) {
+        const lines = items.map((item, index) => {
+            const timeZone = getItemTimeZone(item);
+            const draftTimestamp = getTimestamp(item.draftDeadlineAt, timeZone);
+            const uploadTimestamp = getTimestamp(item.uploadDeadlineAt, timeZone);
+            const draft = draftTimestamp !== null ? `<t:${draftTimestamp}:d>` : item.draftDeadline;
+            const upload = uploadTimestamp !== null ? `<t:${uploadTimestamp}:d>` : item.uploadDeadline;
+
+            return (
+                `\`${startIndex + index + 1}\` **${item.sponsor}** · <@${String(item.creator).trim()}> · ` +
+                `${item.status || "no status"} · Draft ${draft} · Upload ${upload}`
+            );
+        });
+
+        return new EmbedBuilder()
+            .setColor("2089e8")
+            .setTitle("Schedule")
+            .setDescription(lines.join("\n").slice(0, 4096));
+    }
+
+    /**
+     * Builds the message for one page of a view, with paging buttons when needed.
+     */
+    function buildSchedulePage(viewId, view, page) {
+        const perPage = view.compact ? SCHEDULE_ROWS_PER_COMPACT_PAGE : SCHEDULE_EMBEDS_PER_PAGE;
+        const currentPage = Math.min(Math.max(page, 0), view.pageCount - 1);
+        const startIndex = currentPage * perPage;
+        const pageItems = view.items.slice(startIndex, startIndex + perPage);
+
+        const embeds = view.compact
+            ? [buildCompactScheduleEmbed(pageItems, startIndex)]
+            : pageItems.map((item) => buildEmbedForItem(item));
+
+        // Say how fresh the data is, on the last embed of the page
+        const { fetchedAt, stale } = view.dataAsOf || {};
+        if (fetchedAt && embeds.length) {
+            embeds[embeds.length - 1]
+                .setFooter({ text: stale ? "⚠ Refresh failing, data as of" : "Data as of" })
+                .setTimestamp(fetchedAt);
+        }
+
+        const components = [];
+        if (view.pageCount > 1) {
+            components.push(
+                new ActionRowBuilder().addComponents(
+                    new ButtonBuilder()
+                        .setCustomId(`schedule-page:${viewId}:${currentPage - 1}`)
+                        .setLabel("Previous")
+                        .setStyle(ButtonStyle.Secondary)
+                        .setDisabled(currentPage === 0),
+                    new ButtonBuilder()
+                        .setCustomId(`schedule-page:${viewId}:${currentPage + 1}`)
+                        .setLabel("Next")
+                        .setStyle(ButtonStyle.Secondary)
+                        .setDisabled(currentPage >= view.pageCount - 1)
+                )
+            );
+        }
+
+        return {
+            content:
+                `${view.title} (${view.items.length} row${view.items.length === 1 ? "" : "s"}` +
+                `${view.pageCount > 1 ? `, page ${currentPage + 1}/${view.pageCount}` : ""})`,
+            embeds,
+            components,
+            allowedMentions: { parse: [] },
+        };
+    }
+
+    /************************************************
+     * 6F) /mydeadlines - a creator's own rows
+     ************************************************/
+    /**
+     * Returns every row across all guilds whose Creator is `userId`.
+     */
+    function getCreatorItems(userId) {
+        const items = [];
+        for (const guildData of Object.values(scheduleCache)) {
+            for (const item of guildData) {
+                if (item.ignore === "1") continue;
+                if (String(item.creator).trim() !== userId) continue;
+                items.push(item);
+            }
+        }
+        return items;
+    }
+
+    /**
+     * Returns which deadline is the nearest one still open for an item
+     * ("draftDeadline" until a draft is in, then "uploadDeadline"),
+     * or null when it's complete or has no recognized deadline.
+     */
+    function getNextOpenDeadlineField(item) {
+        const status = item.status.toLowerCase();
+        if (status === "complete") return null;
+
+        const timeZone = getItemTimeZone(item);
+        const fields = status === "draft" ? ["uploadDeadline"] : ["draftDeadline", "uploadDeadline"];
+        let nearest = null;
+        let nearestTimestamp = null;
+        for (const field of fields) {
+            const timestamp = getTimestamp(item[`${field}At`], timeZone);
+            if (timestamp !== null && (nearestTimestamp === null || timestamp < nearestTimestamp)) {
+                nearest = field;
+                nearestTimestamp = timestamp;
+            }
+        }
+        return nearest;
+    }
+
+    /**
+     * Returns the parsed value of the nearest deadline still open for an item,
+     * or null (see getNextOpenDeadlineField).
+     */
+    function getNextOpenDeadline(item) {
+        const field = getNextOpenDeadlineField(item);
+        return field ? item[`${field}At`] : null;
+    }
+
+    /**
+     * Returns the timestamp of an item's nearest open deadline, or null.
+     */
+    function getNextDeadlineTimestamp(item) {
+        const nextDeadline = getNextOpenDeadline(item);
+        return nextDeadline ? getTimestamp(nextDeadline, getItemTimeZone(item)) : null;
+    }
+
+    /**
+     * Sorts items by their nearest open deadline; items without one go last.
+     */
+    function sortByNextDeadline(items) {
+        return items
+            .map((item) => ({ item, timestamp: getNextDeadlineTimestamp(item) }))
+            .sort((a, b) => {
+                if (a.timestamp === null) return b.timestamp === null ? 0 : 1;
+                if (b.timestamp === null) return -1;
+                return a.timestamp - b.timestamp;
+            })
+            .map(({ item }) => item);
+    }
+
+    /************************************************
+     * 6G) Calendar & CSV Export
+     ************************************************/
+    /**
+     * Returns the calendar events for an item: one per recognized draft and
+     * upload deadline. Dates without a time become all-day events.
+     */
+    function getDeadlineEvents(item) {
+        const timeZone = getItemTimeZone(item);
+        const description = [
+            `Creator: ${item.creator}`,
+            item.type ? `Type: ${item.type}` : null,
+            `Status: ${item.status || "no status"}`,
+            `Month: ${item.month} ${item.year}`,
+        ].filter(Boolean).join("\n");
+
+        const events = [];
+        for (const [field, label] of [["draftDeadline", "Draft"], ["uploadDeadline", "Upload"]]) {
+            const parsed = item[`${field}At`];
+            if (!parsed) continue;
+
+            const event = {
+                uid: `${item.guildId}-${item.rowId}-${field}@sponsorbot`,
+                summary: `${label} due: ${item.sponsor}`,
+                description,
+            };
+            if (parsed.isoDate && !parsed.time) {
+                event.date = parsed.isoDate;
+            } else {
+                event.timestamp = getTimestamp(parsed, timeZone);
+            }
+            events.push(event);
+        }
+        return events;
+    }
+
+    /**
+     * Builds an .ics calendar with the deadlines of `items`.
+     */
+    function buildItemsCalendar(name, items) {
+        return buildIcsCalendar({ name, events: items.flatMap(getDeadlineEvents) });
+    }
+
+    /**
+     * Builds a CSV of `items`, using the sheet's own header names.
+     */
+    function buildScheduleCsv(items) {
+        const fields = ["sponsor", "creator", "channel", "type", "month", "year", "status", "statusMessage", "draftDeadline", "uploadDeadline"];
+        const rows = [fields.map((field) => SCHEDULE_HEADERS[field])];
+        for (const item of items) {
+            rows.push(fields.map((field) => item[field]));
+        }
+        return toCsv(rows);
+    }
+
+    /**
+     * The per-creator calendar feed runs when ICS_FEED_PORT is set. Its URLs
+     * are signed with ICS_FEED_SECRET, or a random secret kept in DATA_DIR.
+     */
+    const ICS_FEED_PORT = Number(process.env.ICS_FEED_PORT || 0);
+
+    let icsFeedSecret = null;
+    let calendarFeedServer = null;
+
+    function getIcsFeedSecret() {
+        if (!icsFeedSecret) {
+            if (process.env.ICS_FEED_SECRET) {
+                icsFeedSecret = process.env.ICS_FEED_SECRET;
+            } else {
+                const store = createJsonStore("ics-feed.json", { secret: null });
+                if (!store.data.secret) {
+                    store.data.secret = crypto.randomBytes(32).toString("hex");
+                    store.save();
+                }
+                icsFeedSecret = store.data.secret;
+            }
+        }
+        return icsFeedSecret;
+    }
+
+    /**
+     * Returns a creator's subscribable feed URL, or null if the feed is off.
+     * ICS_FEED_URL sets the public base URL (default http://localhost:<port>).
+     */
+    function getCreatorFeedUrl(userId) {
+        if (!ICS_FEED_PORT) return null;
+        const baseUrl = (process.env.ICS_FEED_URL || `http://localhost:${ICS_FEED_PORT}`).replace(/\/$/, "");
+        return `${baseUrl}/calendar/${userId}/${getFeedToken(getIcsFeedSecret(), userId)}.ics`;
+    }
+
+    /**
+     * Starts the calendar feed server, serving each creator's rows across every guild.
+     */
+    function startCalendarFeed() {
+        if (!ICS_FEED_PORT) return;
+        calendarFeedServer = startIcsFeedServer({
+            port: ICS_FEED_PORT,
+            host: process.env.ICS_FEED_HOST || "127.0.0.1",
+            secret: getIcsFeedSecret(),
+            getCalendar: (userId) => buildItemsCalendar("Sponsor deadlines", getCreatorItems(userId)),
+        });
+    }
+
+    /************************************************
+     * 7) Slash Command Registration
+     ************************************************/
+    /**
+     * Registers the slash commands (see src/commands.js) globally via the REST API.
+     */
+    async function registerCommands(clientId, guildId = null) {
+        try {
+            const rest = new REST({ version: "10" }).setToken(process.env.DISCORD_TOKEN);
+            await rest.put(Routes.applicationCommands(clientId), { body: commands });
+            logger.info(`Slash commands registered (global).`);
+        } catch (err) {
+            logger.error("Error registering slash commands:", err);
+        }
+    }
+
+    /************************************************
+     * 8) Named Cron Jobs
+     ************************************************/
+    /**
+     * We store references to each cron job in `cronTasks` by name
+     * (e.g. "main", "refresh"), so we can re-schedule them if the
+     * CRONTIMER or REFRESHTIMER changes. `cronJobDetails` keeps each job's
+     * expression, timezone and callback for /cron.
+     *
+     * The digest jobs default to Mondays and the 1st of the month at 09:00
+     * (WEEKLY_DIGEST_CRON / MONTHLY_DIGEST_CRON).
+     * The brand summaries default to Mondays at 09:00 (BRAND_SUMMARY_CRON), and
+     * the escalation job checks for unanswered reminders every hour (ESCALATION_CRON).
+     */
+    let cronTasks = {};
+    let cronJobDetails = {};
+
+    /**
+     * Expressions and pauses set with /cron, persisted so they survive
+     * restarts: { jobs: { <jobName>: { expression, paused } } }.
+     * An expression set here wins over the .env value.
+     */
+    const cronSettings = createJsonStore("cron-settings.json", { jobs: {} });
+
+    /**
+     * The named jobs: the env variable holding each one's expression,
+     * its default, and what it runs.
+     */
+    const CRON_JOBS = {
+      main: {
+        envName: "CRONTIMER",
+        description: "Fetch the schedule and send reminders",
+        run: async () => {
+          await fetchScheduleData();
+          sendScheduledReminders({ slotKey: "main" });
+        },
+      },
+      refresh: {
+        envName: "REFRESHTIMER",
+        description: "Fetch the schedule (cache only)",
+        run: async () => {
+          await fetchScheduleData();
+        },
+      },
+      weeklyDigest: {
+        envName: "WEEKLY_DIGEST_CRON",
+        defaultExpression: "0 9 * * 1",
+        description: "Post the weekly manager digest",
+        run: async () => {
+          await postDigests("week");
+        },
+      },
+      monthlyDigest: {
+        envName: "MONTHLY_DIGEST_CRON",
+        defaultExpression: "0 9 1 * *",
+        description: "Post the monthly manager digest",
+        run: async () => {
+          await postDigests("month");
+        },
+      },
+      brandSummaries: {
+        envName: "BRAND_SUMMARY_CRON",
+        defaultExpression: "0 9 * * 1",
+        description: "Post the scheduled brand summaries",
+        run: async () => {
+          await postBrandSummaries();
+        },
+      },
+      escalations: {
+        envName: "ESCALATION_CRON",
+        defaultExpression: "0 * * * *",
+        description: "Escalate unanswered reminders close to their deadline",
+        run: async () => {
+          await checkEscalations();
+        },
+      },
+    };
+
+    /**
+     * Returns a named job's expression: the /cron override, else the env value, else its default.
+     */
+    function getConfiguredExpression(jobName) {
+      const override = (cronSettings.data.jobs[jobName] || {}).expression;
+      const job = CRON_JOBS[jobName];
+      return override || process.env[job.envName] || job.defaultExpression;
+    }
+
+    let currentExpressions = {};
+    for (const jobName of Object.keys(CRON_JOBS)) {
+      currentExpressions[jobName] = getConfiguredExpression(jobName);
+    }
+
+    /**
+     * Updates a job's persisted /cron settings; null values remove keys.
+     */
+    function updateCronSettings(jobName, changes) {
+      const settings = { ...(cronSettings.data.jobs[jobName] || {}) };
+      for (const [key, value] of Object.entries(changes)) {
+        if (value === null || value === undefined) {
+          delete settings[key];
+        } else {
+          settings[key] = value;
+        }
+      }
+      if (Object.keys(settings).length) {
+        cronSettings.data.jobs[jobName] = settings;
+      } else {
+        delete cronSettings.data.jobs[jobName];
+      }
+      cronSettings.save();
+    }
+
+    /**
+     * Returns true if the job was paused with /cron.
+     */
+    function isCronJobPaused(jobName) {
+      return Boolean((cronSettings.data.jobs[jobName] || {}).paused);
+    }
+
+    /**
+     * scheduleCronJob: stops any existing job with the same name,
+     * then creates a new job with the given cron expression
+     * and callback function. Pass a timezone to evaluate the
+     * expression in that zone instead of the host's clock.
+     *
+     * Invalid expressions are rejected (the existing job keeps running)
+     * and false is returned. Jobs paused with /cron are created stopped.
+     */
+    function scheduleCronJob(jobName, cronExpression, callback, timezone = null) {
+      if (!isValidCronExpression(cronExpression)) {
+        logger.error(`Not scheduling "${jobName}": invalid CRON expression "${cronExpression}"`);
+        return false;
+      }
+      if (cronTasks[jobName]) {
+        cronTasks[jobName].stop();
+        delete cronTasks[jobName];
+      }
+      const paused = isCronJobPaused(jobName);
+      logger.info(
+        `Scheduling "${jobName}" with CRON: "${cronExpression}"${timezone ? ` (${timezone})` : ""}${paused ? " (paused)" : ""}`
+      );
+      const options = { scheduled: !paused };
+      if (timezone) options.timezone = timezone;
+      const details = { expression: cronExpression, timezone, callback, lastRunAt: null };
+      cronTasks[jobName] = cron.schedule(cronExpression, async () => {
+        const startedAt = Date.now();
+        details.lastRunAt = new Date(startedAt);
+        cronLastRun.set({ job: jobName }, Math.floor(startedAt / 1000));
+        try {
+          await callback();
+        } finally {
+          cronLastDuration.set({ job: jobName }, (Date.now() - startedAt) / 1000);
+        }
+      }, options);
+      cronJobDetails[jobName] = details;
+      return true;
+    }
+
+    /**
+     * Schedules one of the CRON_JOBS with its current expression.
+     */
+    function scheduleNamedJob(jobName) {
+      return scheduleCronJob(jobName, currentExpressions[jobName], async () => {
+        logger.info(`Cron job "${jobName}" triggered at: ${new Date().toLocaleString()}`);
+        await CRON_JOBS[jobName].run();
+      });
+    }
+
+    /**
+     * initCronJobs: sets up the "main" job (fetch + remind), the
+     * "refresh" job (fetch only), the digest and brand summary jobs and the escalation job using
+     * environment-based cron expressions (or their /cron overrides).
+     */
+    function initCronJobs() {
+      for (const jobName of Object.keys(CRON_JOBS)) {
+        scheduleNamedJob(jobName);
+      }
+    }
+
+    /**
+     * rescheduleReminderJobs: makes sure there is one "reminders:<zone>@<time>"
+     * job for every reminder slot in use (guild reminder time x timezone),
+     * firing at that local time in that zone, and stops jobs no longer needed.
+     * Called after every fetch (creator timezones may change) and after /timezone.
+     */
+    function rescheduleReminderJobs() {
+      const slots = {};
+      for (const guildData of Object.values(scheduleCache)) {
+        for (const item of guildData) {
+          const slot = getReminderSlot(item);
+          if (slot.time) slots[slot.key] = slot;
+        }
+      }
+
+      // Stop jobs for slots that are no longer used
+      for (const jobName of Object.keys(cronTasks)) {
+        if (jobName.startsWith("reminders:") && !slots[jobName]) {
+          logger.info(`Stopping unused reminder job "${jobName}"`);
+          cronTasks[jobName].stop();
+          delete cronTasks[jobName];
+          delete cronJobDetails[jobName];
+        }
+      }
+
+      for (const slot of Object.values(slots)) {
+        if (cronTasks[slot.key]) continue;
+        scheduleCronJob(slot.key, timeOfDayToCron(slot.time), async () => {
+          logger.info(`Reminder job "${slot.key}" triggered at: ${new Date().toLocaleString()}`);
+          await fetchScheduleData();
+          sendScheduledReminders({ slotKey: slot.key });
+        }, slot.timeZone);
+      }
+    }
+
+    /************************************************
+     * 9) Bot Events & Startup
+     ************************************************/
+    /**
+     * Once the bot is ready, we:
+     * 1) Register slash commands
+     * 2) Fetch schedule data initially
+     * 3) Optionally run reminders once immediately
+     * 4) Initialize the named cron jobs
+     */
+    async function handleReady() {
+        logger.info(`Logged in as ${client.user.tag}.`);
+        logger.info(`Current Server Date: ${getCurrentDateFormatted()} (default timezone ${getDefaultTimeZone()})`)
+
+        client.user.setPresence({
+            status: "online",
+            activities: [
+                {
+                    name: "ELITE REPRESENTATION FOR ELITE GAMERS",
+                    type: ActivityType.Playing,
+                },
+            ],
+        });
+
+        await registerCommands(client.user.id);
+        await fetchScheduleData();
+
+        // Catch up on anything missed while offline; the ledger skips
+        // reminders that were already delivered, so restarts never re-send
+        sendScheduledReminders({ catchUp: true });
+
+        // Set up the cron tasks based on environment, plus per-timezone reminder jobs
+        initCronJobs();
+        rescheduleReminderJobs();
+
+        // Serve the per-creator calendar feeds, if ICS_FEED_PORT is set
+        startCalendarFeed();
+    }
+
+    /************************************************
+     * 10) sendScheduledReminders()
+     * Used to send notifications based on the reminder
+     * dates for items that match "today", catching up on
+     * any days missed while the bot was offline
+     ************************************************/
+    /**
+     * Adds a reminder delivery (or failure) to the audit trail.
+     */
+    function recordDeliveryAudit(entry, { target, messageId = null, outcome, reason = null }) {
+        try {
+            auditLog.record({
+                type: "delivery",
+                guildId: entry.item.guildId,
+                userId: String(entry.item.creator).trim(),
+                rowId: entry.item.rowId,
+                sponsor: entry.item.sponsor,
+                kinds: entry.kinds,
+                target,
+                messageId,
+                outcome,
+                reason,
+            });
+        } catch (err) {
+            logger.error("Failed to write the delivery audit entry", err);
+        }
+    }
+
+    /**
+     * Records every due reminder in a sent chunk against the message that
+     * carried it, and starts waiting for the creator's answer.
+     */
+    function recordDeliveredChunk(guildId, chunk, target, messageId) {
+        for (const entry of chunk) {
+            recordDeliveryAudit(entry, { target, messageId, outcome: "delivered" });
+            reminderAcks.recordReminder({
+                guildId,
+                rowId: entry.item.rowId,
+                creator: String(entry.item.creator).trim(),
+                deadline: getNextDeadlineTimestamp(entry.item),
+                target,
+                messageId,
+            });
+            for (const kind of entry.kinds) {
+                reminderLedger.recordDelivery({
+                    guildId,
+                    row: entry.item.rowId,
+                    kind,
+                    date: getLedgerDate(kind, entry.date),
+                    target,
+                    messageId,
+                });
+            }
+        }
+    }
+
+    /**
+     * Every reminder message goes through the delivery queue, which retries
+     * transient failures and holds off while Discord is rate limiting us.
+     */
+    const deliveryQueue = createDeliveryQueue();
+
+    function handleRateLimited(info) {
+        logger.info(`Rate limited on ${info.route}, pausing deliveries for ${info.timeToReset}ms`);
+        deliveryQueue.pause(info.timeToReset);
+    }
+
+    /**
+     * Sends one message through the delivery queue, counting retries in
+     * `stats`. Returns { message } on success or { error } on failure.
+     */
+    async function deliverMessage(stats, target, send) {
+        const result = await deliveryQueue.deliver(send);
+        if (result.attempts > 1) {
+            stats.retried++;
+            remindersRetried.inc();
+        }
+        if (!result.ok) {
+            logger.error(`Failed to deliver to ${target} after ${result.attempts} attempt(s)`, result.error);
+            return { error: result.error };
+        }
+        return { message: result.value };
+    }
+
+    /**
+     * Records entries that were delivered. `type` is "channel", "dm" or
+     * "dm_fallback" (a DM that was posted in the row's channel instead).
+     */
+    function recordSentEntries(stats, type, entries) {
+        if (type === "dm_fallback") {
+            stats.fallback += entries.length;
+        } else {
+            stats.sent += entries.length;
+        }
+        remindersSent.inc({ type }, entries.length);
+    }
+
+    /**
+     * Records entries that could not be delivered at all.
+     */
+    function recordFailedEntries(stats, type, target, entries, reason) {
+        stats.failed += entries.length;
+        stats.failures.push({ target, items: entries.map((e) => e.item.sponsor), reason });
+        remindersFailed.inc({ type }, entries.length);
+        for (const entry of entries) {
+            recordDeliveryAudit(entry, { target, outcome: "failed", reason });
+        }
+    }
+
+    /**
+     * Posts reminders whose DM failed in each row's Channel instead,
+     * mentioning the creator so they still see it.
+     */
+    async function sendFallbackReminders(guild, fallbackEntries, date, isToday, stats) {
+        const dataByChannel = {};
+        for (const entry of fallbackEntries) {
+            const chanKey = entry.item.channel;
+            if (!dataByChannel[chanKey]) {
+                dataByChannel[chanKey] = [];
+            }
+            dataByChannel[chanKey].push(entry);
+        }
+
+        for (const [channelNameOrId, entries] of Object.entries(dataByChannel)) {
+            const targetChannel = guild.channels.cache.find(
+                (ch) => ch.name === channelNameOrId || ch.id === channelNameOrId
+            );
+            if (!targetChannel) {
+                recordFailedEntries(stats, "dm_fallback", `channel "${channelNameOrId}"`, entries, "DM failed and the row's channel was not found");
+                continue;
+            }
+
+            for (const chunk of chunkItems(entries)) {
+                const creators = [...new Set(chunk.map((e) => String(e.item.creator).trim()))];
+                const { message, error } = await deliverMessage(stats, `channel:${targetChannel.id}`, () =>
+                    targetChannel.send({
+                        content:
+                            `${creators.map((id) => `<@${id}>`).join(" ")} we couldn't DM you, so here is your ` +
+                            (isToday ? "schedule reminder:" : `schedule reminder from ${formatDate(date)}:`),
+                        embeds: chunk.map((e) => buildEmbedForItem(e.item, e.kinds)),
+                        components: chunk.map((e) => buildReminderButtons(e.item)),
+                        allowedMentions: { users: creators },
+                    })
+                );
+                if (message) {
+                    recordSentEntries(stats, "dm_fallback", chunk);
+                    recordDeliveredChunk(guild.id, chunk, `channel:${targetChannel.id}`, message.id);
+                } else {
+                    recordFailedEntries(stats, "dm_fallback", `channel:${targetChannel.id}`, chunk, `DM fallback failed: ${error.message}`);
+                }
+            }
+        }
+    }
+
+    /**
+     * DRY_RUN=1 turns every reminder run into a preview: nothing is sent or
+     * recorded, and what would have gone out is posted to each guild's log
+     * channel instead. Read on every run, so it can be flipped without a restart.
+     */
+    function isDryRun() {
+        return process.env.DRY_RUN === "1";
+    }
+
+    /**
+     * Returns true if an item is covered by a /resend or /preview-reminders
+     * target: { creator (user ID), channel ({ id, name }), rowId }, each
+     * optional. Rows name their channel by name or ID. No target covers every item.
+     */
+    function matchesReminderTarget(item, target) {
+        if (!target) return true;
+        if (target.creator && String(item.creator).trim() !== target.creator) return false;
+        if (target.rowId && item.rowId !== target.rowId) return false;
+        if (target.channel) {
+            const channel = String(item.channel).trim().toLowerCase();
+            if (channel !== target.channel.id && channel !== target.channel.name.toLowerCase()) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Works out who gets which reminders on `date`, without sending anything:
+     * { byChannel: { <channel>: entries }, byUser: { <userId>: entries } },
+     * grouped exactly as sendGuildRemindersForDate sends them.
+     * `options` are filterReminderItems' options plus an optional `target`
+     * (see matchesReminderTarget).
+     */
+    function planGuildReminders(guildData, date, options = {}) {
+        const reminderEntries = filterReminderItems(guildData, date, options).filter((entry) =>
+            matchesReminderTarget(entry.item, options.target)
+        );
+
+        // We'll separate items by "reminderType" (or the creator's /remind-me choice)
+        // 1) CHANNEL POST: group by channel
+        // 2) PRIVATE MESSAGE: group items by "creator" user
+        const plan = { byChannel: {}, byUser: {} };
+        for (const entry of reminderEntries) {
+            const delivery = getReminderDelivery(entry.item);
+            let groups;
+            let key;
+            if (delivery === "channel post") {
+                groups = plan.byChannel;
+                key = entry.item.channel;
+            } else if (delivery === "private message") {
+                groups = plan.byUser;
+                key = entry.item.creator;
+            } else {
+                continue;
+            }
+            if (!groups[key]) {
+                groups[key] = [];
+            }
+            groups[key].push(entry);
+        }
+        return plan;
+    }
+
+    /**
+     * Sends the reminders due on a single date for one guild.
+     * `guildData` holds the guild's items in one timezone, and `date` is the
+     * calendar day in that zone. Outcomes are tallied in `stats`
+     * (see createDeliveryStats).
+     */
+    async function sendGuildRemindersForDate(guild, guildData, date, timeZone, options, stats) {
+        const guildId = guild.id;
+        const isToday = toIsoDate(date) === toIsoDate(getZonedToday(timeZone));
+
+        // Filter out items that need a reminder on this date, grouped by where they go
+        const { byChannel: dataByChannel, byUser: dataByUser } = planGuildReminders(guildData, date, options);
+
+        // Send one message per channel, bundling all relevant items
+        for (const [channelNameOrId, entries] of Object.entries(dataByChannel)) {
+            const targetChannel = guild.channels.cache.find(
+                (ch) => ch.name === channelNameOrId || ch.id === channelNameOrId
+            );
+            if (!targetChannel) {
+                logger.info(`Channel "${channelNameOrId}" not found in guild ${guildId}`);
+                recordFailedEntries(stats, "channel", `channel "${channelNameOrId}"`, entries, "channel not found");
+                continue;
+            }
+
+            // Send in chunks so each item can carry its own status buttons
+            for (const [chunkIndex, chunk] of chunkItems(entries).entries()) {
+                const { message, error } = await deliverMessage(stats, `channel:${targetChannel.id}`, () =>
+                    targetChannel.send({
+                        content: chunkIndex === 0
+                            ? renderGuildMessage(guildId, isToday ? "channelIntro" : "channelIntroMissed", {
+                                date: formatDate(date),
+                                count: entries.length,
+                            })
+                            : undefined,
+                        embeds: chunk.map((e) => buildEmbedForItem(e.item, e.kinds)),
+                        components: chunk.map((e) => buildReminderButtons(e.item)),
+                    })
+                );
+                if (message) {
+                    recordSentEntries(stats, "channel", chunk);
+                    recordDeliveredChunk(guildId, chunk, `channel:${targetChannel.id}`, message.id);
+                } else {
+                    recordFailedEntries(stats, "channel", `channel:${targetChannel.id}`, chunk, error.message);
+                }
+            }
+        }
+
+        // Build and send one DM per user; anything that can't be DMed falls back to the row's channel
+        const fallbackEntries = [];
+        for (const [userId, entries] of Object.entries(dataByUser)) {
+            // Attempt to fetch the user by ID in this guild
+            const fetched = await deliveryQueue.deliver(() => guild.members.fetch(String(userId).trim()));
+            if (!fetched.ok || !fetched.value) {
+                logger.info(`Could not fetch user with ID "${userId}" in guild ${guildId}`);
+                fallbackEntries.push(...entries);
+                continue;
+            }
+            const user = fetched.value;
+
+            // DM the user, chunked so each item can carry its own status buttons
+            let sentCount = 0;
+            for (const [chunkIndex, chunk] of chunkItems(entries).entries()) {
+                const { message } = await deliverMessage(stats, `user:${user.id}`, () =>
+                    user.send({
+                        content: chunkIndex === 0
+                            ? renderGuildMessage(guildId, isToday ? "dmIntro" : "dmIntroMissed", {
+                                date: formatDate(date),
+                                count: entries.length,
+                                creator: `<@${user.id}>`,
+                            })
+                            : undefined,
+                        embeds: chunk.map((e) => buildEmbedForItem(e.item, e.kinds)),
+                        components: chunk.map((e) => buildReminderButtons(e.item)),
+                    })
+                );
+                if (message) {
+                    recordSentEntries(stats, "dm", chunk);
+                    sentCount += chunk.length;
+                    recordDeliveredChunk(guildId, chunk, `user:${user.id}`, message.id);
+                } else {
+                    fallbackEntries.push(...chunk);
+                }
+            }
+            if (sentCount) {
+                logger.info(`Sent a private message to user ${user.id} with ${sentCount} items.`);
+            }
+        }
+
+        if (fallbackEntries.length) {
+            await sendFallbackReminders(guild, fallbackEntries, date, isToday, stats);
+        }
+    }
+
+    /**
+     * Builds the per-run delivery summary for a guild's log channel.
+     */
+    function buildDeliverySummaryEmbed(stats) {
+        const embed = new EmbedBuilder()
+            .setColor(stats.failed ? "e82020" : stats.fallback ? "e8db20" : "63e820")
+            .setTitle("Reminder delivery summary")
+            .addFields(
+                { name: "Sent", value: String(stats.sent), inline: true },
+                { name: "Retried", value: String(stats.retried), inline: true },
+                { name: "Fell back to channel", value: String(stats.fallback), inline: true },
+                { name: "Failed", value: String(stats.failed), inline: true }
+            )
+            .setTimestamp();
+
+        if (stats.failures.length) {
+            const lines = stats.failures
+                .slice(0, 15)
+                .map((f) => `- ${f.target}: ${f.items.join(", ")} (${f.reason})`);
+            if (stats.failures.length > 15) {
+                lines.push(`...and ${stats.failures.length - 15} more`);
+            }
+            embed.setDescription(lines.join("\n").slice(0, 4096));
+        }
+        return embed;
+    }
+
+    /**
+     * Posts each guild's delivery summary to its log channel (see /setup),
+     * skipping guilds where nothing was due.
+     */
+    async function postDeliverySummaries(statsByGuild) {
+        for (const [guildId, stats] of Object.entries(statsByGuild)) {
+            if (!stats.sent && !stats.fallback && !stats.failed) continue;
+            logger.info(
+                `Reminder delivery for guild ${guildId}: ${stats.sent} sent, ${stats.retried} retried, ` +
+                `${stats.fallback} fell back, ${stats.failed} failed`
+            );
+
+            const logChannelId = guildSettings.get(guildId).logChannelId;
+            if (!logChannelId) continue;
+
+            const logChannel = client.guilds.cache.get(guildId)?.channels.cache.get(logChannelId);
+            if (!logChannel) {
+                logger.info(`Log channel ${logChannelId} not found in guild ${guildId}`);
+                continue;
+            }
+            try {
+                await logChannel.send({ embeds: [buildDeliverySummaryEmbed(stats)], allowedMentions: { parse: [] } });
+            } catch (err) {
+                logger.error(`Failed to post the delivery summary for guild ${guildId}`, err);
+            }
+        }
+    }
+
+    /**
+     * Labels for the reminder kinds describeReminderKind doesn't cover.
+     */
+    const REMINDER_KIND_LABELS = {
+        reminder: "Reminder Date",
+        reminder2: "Reminder Date 2",
+        monthly: "Monthly digest",
+    };
+
+    /**
+     * Builds the embed listing where each planned reminder would go, for
+     * /preview-reminders and dry runs. `previews` is [{ date, plan }]
+     * (see planGuildReminders).
+     */
+    function buildReminderPreviewEmbed(guild, previews, title) {
+        const describeEntries = (entries) =>
+            entries
+                .map((e) => {
+                    const kinds = e.kinds.map((kind) => describeReminderKind(kind) || REMINDER_KIND_LABELS[kind] || kind);
+                    return `- ${e.item.sponsor} (${kinds.join(", ")})`;
+                })
+                .join("\n");
+
+        const lines = [];
+        let rowCount = 0;
+        for (const { date, plan } of previews) {
+            const channelGroups = Object.entries(plan.byChannel);
+            const userGroups = Object.entries(plan.byUser);
+            if (!channelGroups.length && !userGroups.length) continue;
+
+            if (previews.length > 1) lines.push(`__${formatDate(date)}__`);
+            for (const [channelNameOrId, entries] of channelGroups) {
+                const channel = guild.channels.cache.find((ch) => ch.name === channelNameOrId || ch.id === channelNameOrId);
+                lines.push(
+                    channel
+                        ? `**Post in <#${channel.id}>**`
+                        : `**Post in "${channelNameOrId}"** (channel not found, would fail)`,
+                    describeEntries(entries)
+                );
+                rowCount += entries.length;
+            }
+            for (const [userId, entries] of userGroups) {
+                lines.push(`**DM <@${String(userId).trim()}>** (posted in the row's channel if the DM fails)`, describeEntries(entries));
+                rowCount += entries.length;
+            }
+        }
+
+        let description = lines.join("\n") || "Nothing would be sent.";
+        if (description.length > 4000) {
+            description = `${description.slice(0, 3990)}\n...`;
+        }
+        return new EmbedBuilder()
+            .setColor("2089e8")
+            .setTitle(`${title} (${rowCount} reminder${rowCount === 1 ? "" : "s"})`.slice(0, 256))
+            .setDescription(description);
+    }
+
+    /**
+     * Posts each guild's dry run preview to its log channel (see /setup).
+     */
+    async function postReminderPreviews(previewsByGuild) {
+        for (const [guildId, previews] of Object.entries(previewsByGuild)) {
+            const guild = client.guilds.cache.get(guildId);
+            const embed = buildReminderPreviewEmbed(guild, previews, "Dry run: reminders that would have been sent");
+            logger.info(`Dry run for guild ${guildId}: ${embed.data.title}`);
+
+            const logChannelId = guildSettings.get(guildId).logChannelId;
+            const logChannel = logChannelId && guild.channels.cache.get(logChannelId);
+            if (!logChannel) continue;
+            try {
+                await logChannel.send({ embeds: [embed], allowedMentions: { parse: [] } });
+            } catch (err) {
+                logger.error(`Failed to post the dry run preview for guild ${guildId}`, err);
+            }
+        }
+    }
+
+    /**
+     * Sends every reminder that is due and not yet in the ledger.
+     *
+     * Options:
+     * - slotKey: only handle items in this reminder slot (see getReminderSlot),
+     *   used by the per-timezone cron jobs and the "main" CRONTIMER job
+     * - catchUp: skip today for slots whose local reminder time hasn't come yet
+     *   (used at startup, so a restart doesn't send today's reminders early)
+     * - force: resend today's reminders even if they were already delivered
+     * - target: only this guild's rows for one creator, channel or row
+     *   ({ guildId, creator, channel, rowId }, see matchesReminderTarget)
+     *
+     * A summary of what was sent, retried, fell back or failed is posted to
+     * each guild's log channel afterwards. With DRY_RUN on, nothing is sent
+     * and the log channel gets a preview of what would have been instead.
+     */
+    async function sendScheduledReminders({ force = false, slotKey = null, catchUp = false, target = null } = {}) {
+        try {
+            reminderLedger.prune();
+
+            const dryRun = isDryRun();
+            const guildIds = Object.keys(scheduleCache);
+            const completedZones = new Set();
+            const statsByGuild = {};
+            const previewsByGuild = {};
+
+            for (const guildId of guildIds) {
+                const guildData = scheduleCache[guildId];
+                if (!guildData || !guildData.length) continue;
+                if (target && target.guildId && target.guildId !== guildId) continue;
+
+                // Attempt to find the guild object in Discord's cache
+                const guild = client.guilds.cache.get(guildId);
+                if (!guild) {
+                    logger.info(`Bot not in guild ${guildId} or not cached.`);
+                    continue;
+                }
+
+                // Group the guild's items by reminder slot, so each zone is evaluated on its own day
+                const itemsBySlot = {};
+                for (const item of guildData) {
+                    const slot = getReminderSlot(item);
+                    if (slotKey && slot.key !== slotKey) continue;
+                    if (!itemsBySlot[slot.key]) {
+                        itemsBySlot[slot.key] = { slot, items: [] };
+                    }
+                    itemsBySlot[slot.key].items.push(item);
+                }
+
+                for (const { slot, items } of Object.values(itemsBySlot)) {
+                    let runDates = force ? [getZonedToday(slot.timeZone)] : getReminderRunDates(slot.timeZone);
+
+                    // Don't send today's reminders before the slot's local time
+                    if (catchUp && slot.time && !hasTimeOfDayPassed(slot.time, slot.timeZone)) {
+                        const today = toIsoDate(getZonedToday(slot.timeZone));
+                        runDates = runDates.filter((date) => toIsoDate(date) !== today);
+                    }
+
+                    if (dryRun) {
+                        if (!previewsByGuild[guildId]) previewsByGuild[guildId] = [];
+                        for (const date of runDates) {
+                            previewsByGuild[guildId].push({ date, plan: planGuildReminders(items, date, { ignoreLedger: force, target }) });
+                        }
+                        continue;
+                    }
+
+                    if (!statsByGuild[guildId]) statsByGuild[guildId] = createDeliveryStats();
+                    for (const date of runDates) {
+                        await sendGuildRemindersForDate(
+                            guild, items, date, slot.timeZone, { ignoreLedger: force, target }, statsByGuild[guildId]
+                        );
+                    }
+                    completedZones.add(slot.timeZone);
+                }
+            }
+
+            if (dryRun) {
+                await postReminderPreviews(previewsByGuild);
+                return;
+            }
+
+            // A targeted resend only covered some rows, so the rest still need their catch-up
+            if (!target) {
+                for (const timeZone of completedZones) {
+                    reminderLedger.setLastRunDate(timeZone, toIsoDate(getZonedToday(timeZone)));
+                }
+            }
+
+            await postDeliverySummaries(statsByGuild);
+        } catch (err) {
+            logger.error("Error in sendScheduledReminders:", err);
+        }
+    }
+
+    /************************************************
+     * 10B) Reminder Acknowledgements & Escalation
+     ************************************************/
+    /**
+     * A creator gets at least this long to answer a reminder before it is
+     * escalated, so an escalation never lands right on top of the reminder.
+     */
+    const ESCALATION_GRACE_MS = 60 * 60 * 1000;
+
+    /**
+     * Finds the channel a row names (by name or ID) in its guild, or null.
+     */
+    function findItemChannel(item) {
+        const guild = client.guilds.cache.get(item.guildId);
+        if (!guild) return null;
+        const channelNameOrId = String(item.channel).trim();
+        return guild.channels.cache.find((ch) => ch.name === channelNameOrId || ch.id === channelNameOrId) || null;
+    }
+
+    /**
+     * Returns who to ping about a row's unanswered reminders and extension
+     * requests: { userId } from the row's Manager column (a user ID or
+     * mention), else { roleId } for the guild's moderator role (see
+     * hasModRole), or null when there is neither.
+     */
+    function getRowManager(item) {
+        const userMatch = String(item.manager || "").trim().match(/^(?:<@!?)?(\d+)>?$/);
+        if (userMatch) return { userId: userMatch[1] };
+
+        const modRoleId = guildSettings.get(item.guildId).modRoleId;
+        if (modRoleId) return { roleId: modRoleId };
+
+        const guild = client.guilds.cache.get(item.guildId);
+        const roleName = String(process.env.ROLE || "").trim().toLowerCase();
+        const role = guild && roleName ? guild.roles.cache.find((r) => r.name.toLowerCase() === roleName) : null;
+        return role ? { roleId: role.id } : null;
+    }
+
+    /**
+     * Returns true if the interaction's user may answer for a row's manager:
+     * a guild manager (see isManagerMember) or the row's own Manager.
+     */
+    function isRowManager(interaction, item) {
+        const manager = getRowManager(item);
+        return isManagerMember(interaction.member) || Boolean(manager && manager.userId === interaction.user.id);
+    }
+
+    /**
+     * The mention text and allowedMentions for a getRowManager() result.
+     */
+    function mentionRowManager(manager) {
+        if (!manager) return { mention: "", allowedMentions: { parse: [] } };
+        return manager.userId
+            ? { mention: `<@${manager.userId}>`, allowedMentions: { users: [manager.userId] } }
+            : { mention: `<@&${manager.roleId}>`, allowedMentions: { roles: [manager.roleId] } };
+    }
+
+    /**
+     * Adds a reminder answer, escalation or extension decision to the audit trail.
+     * `action` is one of ACK_RESPONSES' keys, "escalated-channel",
+     * "escalated-manager", "extension-approved" or "extension-denied".
+     */
+    function recordAcknowledgementAudit(item, { userId, action, detail = null }) {
+        try {
+            auditLog.record({
+                type: "acknowledgement",
+                guildId: item.guildId,
+                userId,
+                rowId: item.rowId,
+                sponsor: item.sponsor,
+                action,
+                detail,
+            });
+        } catch (err) {
+            logger.error("Failed to write the acknowledgement audit entry", err);
+        }
+    }
+
+    /**
+     * Posts an escalation step in the row's channel. Returns true once it's
+     * been dealt with (posted, or impossible to post), so it isn't retried every hour.
+     */
+    async function postEscalation(item, payload) {
+        const channel = findItemChannel(item);
+        if (!channel) {
+            logger.info(`Can't escalate row ${item.rowId} in guild ${item.guildId}: channel "${item.channel}" not found`);
+            return true;
+        }
+        const result = await deliveryQueue.deliver(() => channel.send(payload));
+        if (!result.ok) {
+            logger.error(`Failed to escalate row ${item.rowId} in guild ${item.guildId} to channel:${channel.id}`, result.error);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Escalates reminders nobody answered as their deadline gets close.
+     * Once a row's open deadline is within the policy's `escalateHours` (see
+     * src/reminderPolicy.js) and the creator hasn't pressed any of the
+     * reminder's buttons:
+     * 1) the creator is mentioned in the row's channel, with the buttons again
+     * 2) from half the window on, the row's manager is pinged (see getRowManager)
+     *
+     * Each step is taken once per deadline, and the second never in the same
+     * run as the first. Runs hourly as the "escalations" job.
+     */
+    async function checkEscalations(now = new Date()) {
+        try {
+            reminderAcks.prune(now);
+            const nowSeconds = Math.floor(now.getTime() / 1000);
+
+            for (const entry of reminderAcks.list()) {
+                if (entry.response || entry.escalations.manager) continue;
+                if (!entry.remindedAt || now.getTime() - new Date(entry.remindedAt).getTime() < ESCALATION_GRACE_MS) continue;
+
+                const item = findScheduleItem(entry.guildId, entry.rowId);
+                if (!item) continue;
+
+                // Only the deadline the reminder was about; a moved deadline gets a new reminder first
+                const deadline = getNextDeadlineTimestamp(item);
+                if (deadline === null || deadline !== entry.deadline) continue;
+
+                const policy = resolvePolicy(guildSettings.get(item.guildId).reminderPolicy, item.type);
+                const windowSeconds = policy.escalateHours * 60 * 60;
+                if (!windowSeconds || nowSeconds < deadline - windowSeconds) continue;
+
+                const creator = String(item.creator).trim();
+                const deadlineName = DEADLINE_FIELDS[getNextOpenDeadlineField(item)];
+
+                if (!entry.escalations.channel) {
+                    const done = await postEscalation(item, {
+                        content:
+                            `<@${creator}> you haven't answered the reminder for **${item.sponsor}** yet. ` +
+                            `The ${deadlineName} is <t:${deadline}:R>, please let us know where things stand.`,
+                        components: [new ActionRowBuilder().addComponents(...buildAcknowledgeButtons(item))],
+                        allowedMentions: { users: [creator] },
+                    });
+                    if (done) {
+                        reminderAcks.recordEscalation(item.guildId, item.rowId, "channel");
+                        recordAcknowledgementAudit(item, { userId: creator, action: "escalated-channel" });
+                    }
+                    continue;
+                }
+
+                if (nowSeconds < deadline - windowSeconds / 2) continue;
+
+                const manager = getRowManager(item);
+                if (!manager) {
+                    logger.info(`No manager to escalate row ${item.rowId} in guild ${item.guildId} to`);
+                }
+                const { mention, allowedMentions } = mentionRowManager(manager);
+                const done = !manager || await postEscalation(item, {
+                    content:
+                        `${mention} <@${creator}> hasn't answered the reminder for **${item.sponsor}**, ` +
+                        `and the ${deadlineName} is <t:${deadline}:R>.`,
+                    allowedMentions,
+                });
+                if (done) {
+                    reminderAcks.recordEscalation(item.guildId, item.rowId, "manager");
+                    recordAcknowledgementAudit(item, { userId: creator, action: "escalated-manager", detail: manager ? mention : "no manager" });
+                }
+            }
+        } catch (err) {
+            logger.error("Error in checkEscalations:", err);
+        }
+    }
+
+    /**
+     * Opens a thread in the row's channel where the row's manager can approve
+     * or deny a creator's extension request, and records the request.
+     * Returns the thread, or null if the row's channel wasn't found.
+     */
+    async function openExtensionThread(item, { userId, field, isoDate, reason }) {
+        const channel = findItemChannel(item);
+        if (!channel) return null;
+
+        const thread = await channel.threads.create({
+            name: `Extension: ${item.sponsor}`.slice(0, 100),
+            autoArchiveDuration: ThreadAutoArchiveDuration.OneWeek,
+            reason: `Extension requested by ${userId}`,
+        });
+
+        const current = formatDeadline(item[field], item[`${field}At`], getItemTimeZone(item));
+        const { mention, allowedMentions } = mentionRowManager(getRowManager(item));
+        const message = await thread.send({
+            content:
+                `${mention} <@${userId}> asked to move the ${DEADLINE_FIELDS[field]} for **${item.sponsor}** ` +
+                `from ${current} to **${isoDate}**.${reason ? `\nReason: ${reason}` : ""}`,
+            components: [
+                new ActionRowBuilder().addComponents(
+                    new ButtonBuilder()
+                        .setCustomId(`extension:${item.guildId}:${item.rowId}:approve`)
+                        .setLabel("Approve")
+                        .setStyle(ButtonStyle.Success),
+                    new ButtonBuilder()
+                        .setCustomId(`extension:${item.guildId}:${item.rowId}:deny`)
+                        .setLabel("Deny")
+                        .setStyle(ButtonStyle.Danger)
+                ),
+            ],
+            allowedMentions: { ...allowedMentions, users: [...(allowedMentions.users || []), userId] },
+        });
+
+        reminderAcks.updateExtension(item.guildId, item.rowId, {
+            status: "pending",
+            requestedBy: userId,
+            requestedAt: new Date().toISOString(),
+            field,
+            isoDate,
+            reason,
+            threadId: thread.id,
+            messageId: message.id,
+        });
+        return thread;
+    }
+
+    /************************************************
+     * 11) Interaction Create: slash command
+     ************************************************/
+    /**
+     * Returns true if the interaction's member is an admin or has the mod role.
+     * In DMs there is no member, so this is always false.
+     */
+    function isManagerMember(member) {
+        if (!member || !member.permissions || !member.roles) return false;
+        const isAdmin = member.permissions.has(PermissionsBitField.Flags.Administrator);
+        const isMod = hasModRole(member);
+        return isAdmin || isMod;
+    }
+
+    /**
+     * Returns true if the user is an admin or has the mod role in the given
+     * guild, looked up there rather than wherever the user is acting from.
+     */
+    async function isGuildManager(guildId, userId) {
+        const guild = client.guilds.cache.get(String(guildId));
+        if (!guild) return false;
+        const member = await guild.members.fetch(String(userId)).catch(() => null);
+        return isManagerMember(member);
+    }
+
+    /**
+     * Returns true if the member has the guild's moderator role: the role bound
+     * with /setup, or (if none is set) the role named by the ROLE env var,
+     * compared case-insensitively.
+     */
+    function hasModRole(member) {
+        const modRoleId = guildSettings.get(member.guild.id).modRoleId;
+        if (modRoleId) {
+            return member.roles.cache.has(modRoleId);
+        }
+        const roleName = String(process.env.ROLE || "").trim().toLowerCase();
+        return Boolean(roleName) && member.roles.cache.some(
+            (role) => role.name.toLowerCase() === roleName
+        );
+    }
+
+    /**
+     * Returns true if the member may run the command in their guild, following
+     * the guild's ACL (see src/accessControl.js and /permissions).
+     */
+    function canRunCommand(member, commandName) {
+        if (!member || !member.permissions || !member.roles) return false;
+        return canUseCommand(
+            commandName,
+            {
+                isAdmin: member.permissions.has(PermissionsBitField.Flags.Administrator),
+                isMod: hasModRole(member),
+                userId: member.id,
+                roleIds: [...member.roles.cache.keys()],
+            },
+            guildSettings.get(member.guild.id).acl
+        );
+    }
+
+    /**
+     * Lists the rows a user may update with /status: their own rows, or every
+     * row in the guild for managers. Works in DMs by searching every guild.
+     */
+    function getStatusCandidates(interaction) {
+        const isManager = isManagerMember(interaction.member);
+        const guildIds = interaction.guildId ? [interaction.guildId] : Object.keys(scheduleCache);
+
+        const candidates = [];
+        for (const guildId of guildIds) {
+            for (const item of scheduleCache[guildId] || []) {
+                if (item.ignore === "1") continue;
+                if (!isManager && String(item.creator).trim() !== interaction.user.id) continue;
+                candidates.push(item);
+            }
+        }
+        return candidates;
+    }
+
+    /**
+     * Handles the autocomplete for /status by listing the user's deliverables.
+     * Each choice value is "<guildId>:<rowId>".
+     */
+    async function handleStatusAutocomplete(interaction) {
+        const focused = interaction.options.getFocused().toLowerCase();
+        const choices = getStatusCandidates(interaction)
+            .map((item) => ({
+                name: `${item.sponsor} - ${item.month} ${item.year} (${item.status || "no status"})`.slice(0, 100),
+                value: `${item.guildId}:${item.rowId}`,
+            }))
+            .filter((choice) => choice.name.toLowerCase().includes(focused))
+            .slice(0, 25);
+
+        await interaction.respond(choices);
+    }
+
+    /**
+     * Handles a click on one of the status buttons by opening a modal,
+     * so the creator can attach an optional note before confirming.
+     */
+    async function handleStatusButton(interaction) {
+        const [, guildId, rowId, newStatus] = interaction.customId.split(":");
+        const item = findScheduleItem(guildId, rowId);
+
+        const modal = new ModalBuilder()
+            .setCustomId(`status-modal:${guildId}:${rowId}:${newStatus}`)
+            .setTitle(`Mark ${item ? item.sponsor : "deliverable"} as ${newStatus}`.slice(0, 45))
+            .addComponents(
+                new ActionRowBuilder().addComponents(
+                    new TextInputBuilder()
+                        .setCustomId("note")
+                        .setLabel("Note (optional)")
+                        .setStyle(TextInputStyle.Paragraph)
+                        .setRequired(false)
+                        .setMaxLength(500)
+                )
+            );
+
+        await interaction.showModal(modal);
+    }
+
+    /**
+     * Handles the status modal submit (from a button) by writing the update.
+     */
+    async function handleStatusModal(interaction) {
+        const [, guildId, rowId, newStatus] = interaction.customId.split(":");
+        const note = interaction.fields.getTextInputValue("note").trim();
+
+        await interaction.deferReply({ ephemeral: true });
+        const result = await updateItemStatus({
+            guildId,
+            rowId,
+            newStatus,
+            note,
+            userId: interaction.user.id,
+        });
+        await interaction.editReply(result.message);
+    }
+
+    /**
+     * Handles a click on a reminder's "Got it" / "Need extension" / "Already
+     * submitted" buttons. Only the row's creator (or a manager) may answer.
+     * "Need extension" opens a modal for the new date first.
+     */
+    async function handleAcknowledgeButton(interaction) {
+        const [, guildId, rowId, response] = interaction.customId.split(":");
+        const item = findScheduleItem(guildId, rowId);
+        if (!item || !ACK_RESPONSES[response]) {
+            return interaction.reply({ content: "That row could not be found. Try again after a refresh.", ephemeral: true });
+        }
+
+        const creator = String(item.creator).trim();
+        if (interaction.user.id !== creator && !isManagerMember(interaction.member)) {
+            return interaction.reply({ content: `Only <@${creator}> can answer this reminder.`, ephemeral: true });
+        }
+
+        if (response === "extension") {
+            const modal = new ModalBuilder()
+                .setCustomId(`extension-modal:${guildId}:${rowId}`)
+                .setTitle(`Extension for ${item.sponsor}`.slice(0, 45))
+                .addComponents(
+                    new ActionRowBuilder().addComponents(
+                        new TextInputBuilder()
+                            .setCustomId("date")
+                            .setLabel("New date")
+                            .setPlaceholder("2025-04-20")
+                            .setStyle(TextInputStyle.Short)
+                            .setRequired(true)
+                            .setMaxLength(40)
+                    ),
+                    new ActionRowBuilder().addComponents(
+                        new TextInputBuilder()
+                            .setCustomId("reason")
+                            .setLabel("Reason (optional)")
+                            .setStyle(TextInputStyle.Paragraph)
+                            .setRequired(false)
+                            .setMaxLength(500)
+                    )
+                );
+            return interaction.showModal(modal);
+        }
+
+        reminderAcks.respond(guildId, rowId, { response, userId: interaction.user.id });
+        recordAcknowledgementAudit(item, { userId: interaction.user.id, action: response });
+        await interaction.reply({
+            content: response === "submitted"
+                ? `Thanks, noted that **${item.sponsor}** is already submitted.`
+                : `Thanks, noted that you've seen the reminder for **${item.sponsor}**.`,
+            ephemeral: true,
+        });
+    }
+
+    /**
+     * Handles the extension modal submit: records the request and opens a
+     * thread in the row's channel for the manager to answer.
+     */
+    async function handleExtensionModal(interaction) {
+        const [, guildId, rowId] = interaction.customId.split(":");
+        const dateArg = interaction.fields.getTextInputValue("date").trim();
+        const reason = interaction.fields.getTextInputValue("reason").trim();
+        const item = findScheduleItem(guildId, rowId);
+        if (!item) {
+            return interaction.reply({ content: "That row could not be found. Try again after a refresh.", ephemeral: true });
+        }
+
+        const field = getNextOpenDeadlineField(item);
+        if (!field) {
+            return interaction.reply({ content: `**${item.sponsor}** has no open deadline to extend.`, ephemeral: true });
+        }
+        const parsed = parseScheduleDate(dateArg, { defaultYear: item.year });
+        if (!parsed || parsed.error || !parsed.isoDate) {
+            return interaction.reply({ content: `"${dateArg}" is not a date, use something like "2025-04-20".`, ephemeral: true });
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+        const thread = await openExtensionThread(item, { userId: interaction.user.id, field, isoDate: parsed.isoDate, reason });
+        if (!thread) {
+            return interaction.editReply(`The channel for **${item.sponsor}** could not be found, please ask a manager directly.`);
+        }
+
+        reminderAcks.respond(guildId, rowId, { response: "extension", userId: interaction.user.id });
+        recordAcknowledgementAudit(item, { userId: interaction.user.id, action: "extension", detail: parsed.isoDate });
+        await interaction.editReply(`Extension to ${parsed.isoDate} requested, a manager will answer in <#${thread.id}>.`);
+    }
+
+    /**
+     * Handles the Approve / Deny buttons of an extension thread. Managers and
+     * the row's own manager may answer; approving moves the deadline in the Sheet.
+     */
+    async function handleExtensionButton(interaction) {
+        const [, guildId, rowId, decision] = interaction.customId.split(":");
+        const item = findScheduleItem(guildId, rowId);
+        const ack = reminderAcks.get(guildId, rowId);
+        const extension = ack && ack.extension;
+        if (!item || !extension) {
+            return interaction.reply({ content: "That request could not be found. Try again after a refresh.", ephemeral: true });
+        }
+        if (extension.status !== "pending") {
+            return interaction.reply({ content: `This request was already ${extension.status}.`, ephemeral: true });
+        }
+
+        if (!isRowManager(interaction, item)) {
+            return interaction.reply({ content: "Only a manager can answer extension requests.", ephemeral: true });
+        }
+
+        // Writing the deadline can take a while (retries), so acknowledge first
+        await interaction.deferUpdate();
+
+        try {
+            let outcome;
+            if (decision === "approve") {
+                const result = await updateItemDeadline({
+                    guildId,
+                    rowId,
+                    field: extension.field,
+                    isoDate: extension.isoDate,
+                    userId: interaction.user.id,
+                });
+                if (!result.success) {
+                    return interaction.followUp({ content: result.message, ephemeral: true });
+                }
+                outcome = `Approved by <@${interaction.user.id}>. ${result.message}`;
+            } else {
+                outcome = `Denied by <@${interaction.user.id}>, the ${DEADLINE_FIELDS[extension.field]} stays as it is.`;
+            }
+
+            const status = decision === "approve" ? "approved" : "denied";
+            reminderAcks.updateExtension(guildId, rowId, {
+                status,
+                decidedBy: interaction.user.id,
+                decidedAt: new Date().toISOString(),
+            });
+            recordAcknowledgementAudit(item, { userId: interaction.user.id, action: `extension-${status}`, detail: extension.isoDate });
+            await interaction.editReply({
+                content: `${interaction.message.content}\n\n${outcome}`,
+                components: [],
+                allowedMentions: { parse: [] },
+            });
+        } catch (err) {
+            logger.error("Error answering an extension request:", err);
+            await interaction.followUp({ content: "An error occurred while answering the extension request.", ephemeral: true });
+        }
+    }
+
+    /**
+     * Handles the autocomplete for /schedule's month, year, brand and type
+     * options, suggesting values found in this guild's rows.
+     */
+    async function handleScheduleAutocomplete(interaction) {
+        const focused = interaction.options.getFocused(true);
+        const fieldByOption = { month: "month", year: "year", brand: "sponsor", type: "type" };
+        const field = fieldByOption[focused.name];
+        if (!field) return interaction.respond([]);
+
+        const values = [...new Set((scheduleCache[interaction.guildId] || [])
+            .filter((item) => item.ignore !== "1")
+            .map((item) => String(item[field]).trim())
+            .filter((value) => value && value !== "N/A"))];
+        if (field === "month" || field === "year") values.unshift("All");
+
+        const choices = values
+            .filter((value) => value.toLowerCase().includes(focused.value.toLowerCase()))
+            .slice(0, 25)
+            .map((value) => ({ name: value.slice(0, 100), value: value.slice(0, 100) }));
+
+        await interaction.respond(choices);
+    }
+
+    /**
+     * Handles the Previous/Next buttons of a paginated /schedule reply.
+     */
+    async function handleSchedulePageButton(interaction) {
+        const [, viewId, page] = interaction.customId.split(":");
+        const view = scheduleViews.get(viewId);
+        if (!view || view.expiresAt < Date.now()) {
+            return interaction.reply({
+                content: "This schedule view has expired, please run /schedule again.",
+                ephemeral: true,
+            });
+        }
+
+        await interaction.update(buildSchedulePage(viewId, view, Number(page)));
+    }
+
+    /**
+     * Handles /mydeadlines by listing the user's own rows, reusing the
+     * paginated /schedule views.
+     */
+    async function handleMyDeadlinesCommand(interaction) {
+        const includeComplete = interaction.options.getBoolean("include_complete") || false;
+        const compact = interaction.options.getBoolean("compact") || false;
+
+        const items = sortByNextDeadline(
+            getCreatorItems(interaction.user.id).filter(
+                (item) => includeComplete || item.status.toLowerCase() !== "complete"
+            )
+        );
+        if (!items.length) {
+            return interaction.reply({
+                content: includeComplete
+                    ? "You have no deliverables in the schedule."
+                    : "You have no open deliverables in the schedule.",
+                ephemeral: true,
+            });
+        }
+
+        const viewId = createScheduleView(interaction.id, { items, compact, title: "Your deliverables" });
+        await interaction.reply({
+            ...buildSchedulePage(viewId, scheduleViews.get(viewId), 0),
+            ephemeral: true,
+        });
+    }
+
+    /**
+     * Handles the autocomplete for /remind-me snooze by listing the user's own rows.
+     * Each choice value is "<guildId>:<rowId>".
+     */
+    async function handleRemindMeAutocomplete(interaction) {
+        const focused = interaction.options.getFocused().toLowerCase();
+        const choices = getCreatorItems(interaction.user.id)
+            .map((item) => ({
+                name: `${item.sponsor} - ${item.month} ${item.year} (${item.status || "no status"})`.slice(0, 100),
+                value: `${item.guildId}:${item.rowId}`,
+            }))
+            .filter((choice) => choice.name.toLowerCase().includes(focused))
+            .slice(0, 25);
+
+        await interaction.respond(choices);
+    }
+
+    /**
+     * Handles /remind-me: without options it shows the user's preferences,
+     * otherwise it updates the delivery method, extra lead days or a snooze.
+     */
+    async function handleRemindMeCommand(interaction) {
+        const userId = interaction.user.id;
+        const delivery = interaction.options.getString("delivery");
+        const leadDays = interaction.options.getString("lead_days");
+        const snoozeKey = interaction.options.getString("snooze");
+        const snoozeDays = interaction.options.getInteger("snooze_days");
+
+        const changes = {};
+        if (delivery) changes.delivery = delivery === "sheet" ? null : delivery;
+        if (leadDays !== null) {
+            const offsets = parseOffsets(leadDays);
+            if (!offsets) {
+                return interaction.reply({
+                    content: 'Lead days must be whole numbers between 1 and 365, e.g. "14,10", or "none".',
+                    ephemeral: true,
+                });
+            }
+            changes.extraOffsets = offsets.length ? offsets : null;
+        }
+
+        const lines = [];
+        if (snoozeKey) {
+            const [guildId, rowId] = snoozeKey.split(":");
+            const item = findScheduleItem(guildId, rowId);
+            if (!item || String(item.creator).trim() !== userId) {
+                return interaction.reply({ content: "That deliverable isn't one of yours.", ephemeral: true });
+            }
+
+            const today = getZonedToday(getItemTimeZone(item));
+            const days = snoozeDays === null ? 1 : snoozeDays;
+            const until = new Date(today);
+            until.setDate(until.getDate() + days - 1);
+            creatorPreferences.snooze(userId, snoozeKey, days ? toIsoDate(until) : null, toIsoDate(today));
+            lines.push(
+                days
+                    ? `Snoozed reminders for **${item.sponsor}** through ${formatDate(until)}.`
+                    : `Reminders for **${item.sponsor}** are back on.`
+            );
+        }
+
+        const prefs = Object.keys(changes).length
+            ? creatorPreferences.update(userId, changes)
+            : creatorPreferences.get(userId);
+
+        const deliveryLabels = { dm: "direct message", channel: "channel post" };
+        lines.push(`Delivery: ${deliveryLabels[prefs.delivery] || "as set in the sheet"}`);
+        lines.push(
+            prefs.extraOffsets && prefs.extraOffsets.length
+                ? `Extra lead-time reminders: ${prefs.extraOffsets.join(", ")} day(s) before each deadline`
+                : "Extra lead-time reminders: none"
+        );
+
+        const todayIso = toIsoDate(getZonedToday(getDefaultTimeZone()));
+        const snoozed = Object.entries(prefs.snoozes || {})
+            .filter(([, until]) => until && until >= todayIso)
+            .map(([key, until]) => {
+                const [guildId, rowId] = key.split(":");
+                const item = findScheduleItem(guildId, rowId);
+                return `- ${item ? item.sponsor : key} until ${until}`;
+            });
+        if (snoozed.length) lines.push("Snoozed:", ...snoozed);
+
+        await interaction.reply({ content: lines.join("\n"), ephemeral: true });
+    }
+
+    /**
+     * Handles the autocomplete for /timezone by suggesting IANA zone names.
+     */
+    async function handleTimezoneAutocomplete(interaction) {
+        const focused = interaction.options.getFocused().toLowerCase();
+        const choices = ["default", ...listTimeZones()]
+            .filter((zone) => zone.toLowerCase().includes(focused))
+            .slice(0, 25)
+            .map((zone) => ({ name: zone, value: zone }));
+
+        await interaction.respond(choices);
+    }
+
+    /**
+     * Handles /timezone: shows or updates the guild's reminder timezone and
+     * local reminder time. "default" clears a setting.
+     */
+    async function handleTimezoneCommand(interaction) {
+        const guildId = interaction.guildId;
+        const zoneArg = interaction.options.getString("zone");
+        const timeArg = interaction.options.getString("time");
+        const changes = {};
+
+        if (zoneArg) {
+            if (zoneArg.toLowerCase() === "default") {
+                changes.timezone = null;
+            } else if (isValidTimeZone(zoneArg)) {
+                changes.timezone = zoneArg;
+            } else {
+                return interaction.reply({ content: `"${zoneArg}" is not a valid IANA timezone.`, ephemeral: true });
+            }
+        }
+
+        if (timeArg) {
+            if (timeArg.toLowerCase() === "default") {
+                changes.reminderTime = null;
+            } else if (isValidTimeOfDay(timeArg)) {
+                const [hours, minutes] = timeArg.split(":");
+                changes.reminderTime = `${hours.padStart(2, "0")}:${minutes}`;
+            } else {
+                return interaction.reply({ content: `"${timeArg}" is not a valid time, use HH:MM (24h).`, ephemeral: true });
+            }
+        }
+
+        const settings = Object.keys(changes).length
+            ? guildSettings.update(guildId, changes)
+            : guildSettings.get(guildId);
+
+        if (Object.keys(changes).length) {
+            logger.info(`Guild ${guildId} reminder settings updated by ${interaction.user.id}:`, changes);
+            rescheduleReminderJobs();
+        }
+
+        const zone = settings.timezone || `${getDefaultTimeZone()} (default)`;
+        const time = settings.reminderTime || `CRONTIMER "${currentExpressions.main}" (default)`;
+        await interaction.reply({
+            content:
+                `Reminder timezone: **${zone}**\n` +
+                `Reminder time: **${time}**\n` +
+                `Creators can override the timezone with the "Timezone" column in the Sheet.`,
+            ephemeral: true,
+        });
+    }
+
+    /**
+     * Formats a reminder policy for display, e.g. "7, 3, 1 days before; overdue nags on".
+     */
+    function describePolicy(policy) {
+        const offsets = policy.offsets.length ? `${policy.offsets.join(", ")} days before` : "no advance reminders";
+        const escalation = policy.escalateHours ? `escalate unanswered reminders ${policy.escalateHours}h before` : "no escalation";
+        return `${offsets}; overdue nags ${policy.overdue ? "on" : "off"}; ${escalation}`;
+    }
+
+    /**
+     * Handles the autocomplete for /reminder-policy by listing the Types in this guild's rows.
+     */
+    async function handleReminderPolicyAutocomplete(interaction) {
+        const focused = interaction.options.getFocused().toLowerCase();
+        const types = [...new Set((scheduleCache[interaction.guildId] || []).map((item) => item.type).filter(Boolean))];
+        const choices = types
+            .filter((type) => type.toLowerCase().includes(focused))
+            .slice(0, 25)
+            .map((type) => ({ name: type, value: type }));
+
+        await interaction.respond(choices);
+    }
+
+    /**
+     * Handles /reminder-policy: shows or updates the automatic reminder offsets,
+     * either the guild default or the policy for one Type.
+     */
+    async function handleReminderPolicyCommand(interaction) {
+        const guildId = interaction.guildId;
+        const typeArg = (interaction.options.getString("type") || "").trim();
+        const offsetsArg = interaction.options.getString("offsets");
+        const overdueArg = interaction.options.getBoolean("overdue");
+        const escalateArg = interaction.options.getInteger("escalate_hours");
+        const resetArg = interaction.options.getBoolean("reset") || false;
+
+        const guildPolicy = JSON.parse(JSON.stringify(guildSettings.get(guildId).reminderPolicy || {}));
+        const typeKey = typeArg.toLowerCase();
+        const current = typeKey ? (guildPolicy.types || {})[typeKey] || {} : guildPolicy.default || {};
+        const target = resetArg ? {} : { ...current };
+
+        if (offsetsArg !== null) {
+            const offsets = parseOffsets(offsetsArg);
+            if (!offsets) {
+                return interaction.reply({
+                    content: `"${offsetsArg}" is not a valid list of days, use something like "7,3,1" or "none".`,
+                    ephemeral: true,
+                });
+            }
+            target.offsets = offsets;
+        }
+        if (overdueArg !== null) {
+            target.overdue = overdueArg;
+        }
+        if (escalateArg !== null) {
+            target.escalateHours = escalateArg;
+        }
+
+        const changed = resetArg || offsetsArg !== null || overdueArg !== null || escalateArg !== null;
+        if (changed) {
+            if (typeKey) {
+                guildPolicy.types = { ...(guildPolicy.types || {}), [typeKey]: target };
+                if (!Object.keys(target).length) delete guildPolicy.types[typeKey];
+            } else {
+                guildPolicy.default = target;
+            }
+            guildSettings.update(guildId, { reminderPolicy: guildPolicy });
+            logger.info(`Guild ${guildId} reminder policy updated by ${interaction.user.id}:`, guildPolicy);
+        }
+
+        const lines = [`Default: ${describePolicy(resolvePolicy(guildPolicy, ""))}`];
+        for (const type of Object.keys(guildPolicy.types || {})) {
+            lines.push(`Type "${type}": ${describePolicy(resolvePolicy(guildPolicy, type))}`);
+        }
+        lines.push("Rows with a Reminder Date set use those dates instead of the offsets.");
+
+        await interaction.reply({
+            content: `${changed ? "Reminder policy updated.\n" : ""}${lines.join("\n")}`,
+            ephemeral: true,
+        });
+    }
+
+    /**
+     * Handles /validate: lists every schedule problem for this guild, and
+     * optionally sets (or clears) the channel the report is posted to after each refresh.
+     */
+    async function handleValidateCommand(interaction) {
+        const guildId = interaction.guildId;
+        const autopostChannel = interaction.options.getChannel("autopost_channel");
+        const disableAutopost = interaction.options.getBoolean("disable_autopost") || false;
+
+        let note = "";
+        if (autopostChannel) {
+            guildSettings.update(guildId, { validationChannelId: autopostChannel.id });
+            delete lastValidationReports[guildId];
+            note = `The report will be posted to <#${autopostChannel.id}> after each refresh when problems change.`;
+        } else if (disableAutopost) {
+            guildSettings.update(guildId, { validationChannelId: null });
+            note = "The report will no longer be posted automatically.";
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+        const problems = await getValidationProblems(guildId);
+        await interaction.editReply({
+            content: note || undefined,
+            embeds: [buildValidationEmbed(problems)],
+        });
+    }
+
+    /**
+     * Handles /report: shows the report, and optionally sets where and how
+     * often the digest is posted. Setting a channel without choosing
+     * digests turns on both.
+     */
+    async function handleReportCommand(interaction) {
+        const guildId = interaction.guildId;
+        const period = interaction.options.getString("period") || "week";
+        const digestChannel = interaction.options.getChannel("digest_channel");
+        const digestChoice = interaction.options.getString("digest");
+
+        let note = "";
+        if (digestChannel || digestChoice) {
+            const current = guildSettings.get(guildId).digest || {};
+            const choice = digestChoice || (current.weekly || current.monthly ? null : "both");
+            const digest = {
+                ...current,
+                channelId: digestChannel ? digestChannel.id : current.channelId,
+            };
+            if (choice) {
+                digest.weekly = choice === "weekly" || choice === "both";
+                digest.monthly = choice === "monthly" || choice === "both";
+            }
+
+            if (!digest.channelId && (digest.weekly || digest.monthly)) {
+                return interaction.reply({ content: "Pick a digest_channel to post the digest to.", ephemeral: true });
+            }
+            guildSettings.update(guildId, { digest: digest.weekly || digest.monthly ? digest : null });
+
+            const schedules = [
+                digest.weekly ? `weekly (${currentExpressions.weeklyDigest})` : null,
+                digest.monthly ? `monthly (${currentExpressions.monthlyDigest})` : null,
+            ].filter(Boolean);
+            note = schedules.length
+                ? `The ${schedules.join(" and ")} digest will be posted to <#${digest.channelId}>.`
+                : "Scheduled digests are off.";
+        }
+
+        await interaction.reply({
+            content: note || undefined,
+            embeds: [buildReportEmbed(getGuildReport(guildId, period))],
+            allowedMentions: { parse: [] },
+        });
+    }
+
+    /**
+     * Handles the autocomplete for /brand by listing the brands in this guild's rows.
+     */
+    async function handleBrandAutocomplete(interaction) {
+        const focused = interaction.options.getFocused().toLowerCase();
+        const brands = [...new Set(
+            (scheduleCache[interaction.guildId] || [])
+                .filter((item) => item.ignore !== "1")
+                .map((item) => item.sponsor.trim())
+                .filter(Boolean)
+        )];
+        const choices = brands
+            .filter((brand) => brand.toLowerCase().includes(focused))
+            .slice(0, 25)
+            .map((brand) => ({ name: brand.slice(0, 100), value: brand.slice(0, 100) }));
+
+        await interaction.respond(choices);
+    }
+
+    /**
+     * Handles /brand: shows a brand's summary (and optionally a card per row),
+     * and maps the brand to a channel for scheduled summaries, or unmaps it.
+     */
+    async function handleBrandCommand(interaction) {
+        const guildId = interaction.guildId;
+        const nameArg = interaction.options.getString("name").trim();
+        const showCards = interaction.options.getBoolean("cards") || false;
+        const summaryChannel = interaction.options.getChannel("summary_channel");
+        const stopSummaries = interaction.options.getBoolean("stop_summaries") || false;
+
+        const items = getBrandItems(guildId, nameArg);
+        const brandKey = nameArg.toLowerCase();
+        const brandChannels = { ...(guildSettings.get(guildId).brandChannels || {}) };
+        if (!items.length && !(stopSummaries && brandChannels[brandKey])) {
+            return interaction.reply({ content: `No rows found for brand "${nameArg}".`, ephemeral: true });
+        }
+
+        // Keep the Sheet's spelling of the brand
+        const brand = items.length ? items[0].sponsor.trim() : brandChannels[brandKey].name;
+
+        if (stopSummaries) {
+            delete brandChannels[brandKey];
+        } else if (summaryChannel) {
+            brandChannels[brandKey] = { name: brand, channelId: summaryChannel.id };
+        }
+        if (stopSummaries || summaryChannel) {
+            guildSettings.update(guildId, { brandChannels: Object.keys(brandChannels).length ? brandChannels : null });
+            logger.info(`Guild ${guildId} summary channel for brand "${brand}" updated by ${interaction.user.id}:`, brandChannels[brandKey] || "off");
+        }
+
+        const mapping = brandChannels[brandKey];
+        let note = null;
+        if (mapping) {
+            note = `The ${brand} summary is posted to <#${mapping.channelId}> on schedule (${currentExpressions.brandSummaries}).`;
+        } else if (stopSummaries) {
+            note = `Scheduled summaries for ${brand} are off.`;
+        }
+        if (!items.length) {
+            return interaction.reply({ content: note, ephemeral: true });
+        }
+
+        await interaction.reply({
+            content: note || undefined,
+            embeds: [buildBrandSummaryEmbed(guildId, brand, items)],
+            allowedMentions: { parse: [] },
+        });
+
+        if (showCards) {
+            const viewId = createScheduleView(interaction.id, {
+                items: sortByNextDeadline(items),
+                compact: false,
+                title: `Deliverables for **${brand}**`,
+                dataAsOf: getDataAsOf(guildId),
+            });
+            await interaction.followUp(buildSchedulePage(viewId, scheduleViews.get(viewId), 0));
+        }
+    }
+
+    /**
+     * Handles /export: attaches the filtered schedule as .ics and/or .csv.
+     * Members without the manager role can only export their own rows.
+     */
+    async function handleExportCommand(interaction, isManager) {
+        const guildId = interaction.guildId;
+        const monthArg = interaction.options.getString("month") || "All";
+        const yearArg = interaction.options.getString("year") || "All";
+        const format = interaction.options.getString("format") || "both";
+        const mine = interaction.options.getBoolean("mine") || !isManager;
+        const creator = mine ? interaction.user.id : interaction.options.getUser("creator")?.id || null;
+
+        const items = filterScheduleItems(guildId, { month: monthArg, year: yearArg, creator });
+        if (!items.length) {
+            return interaction.reply({
+                content: `No schedule data found for month "${monthArg}" and year "${yearArg}".`,
+                ephemeral: true,
+            });
+        }
+
+        const baseName = ["schedule", monthArg, yearArg, creator].filter((part) => part && part !== "All")
+            .join("-").toLowerCase().replace(/[^a-z0-9-]+/g, "");
+        const files = [];
+        if (format !== "csv") {
+            const name = creator ? "Sponsor deadlines" : `${interaction.guild.name} schedule`;
+            files.push(new AttachmentBuilder(Buffer.from(buildItemsCalendar(name, items)), { name: `${baseName}.ics` }));
+        }
+        if (format !== "ics") {
+            files.push(new AttachmentBuilder(Buffer.from(buildScheduleCsv(items)), { name: `${baseName}.csv` }));
+        }
+
+        const lines = [`Exported ${items.length} row${items.length === 1 ? "" : "s"}.`];
+        const feedUrl = mine ? getCreatorFeedUrl(interaction.user.id) : null;
+        if (feedUrl) {
+            lines.push(`Subscribe to your deadlines in any calendar app (keep this link private): ${feedUrl}`);
+        }
+
+        await interaction.reply({ content: lines.join("\n"), files, ephemeral: true });
+    }
+
+    /**
+     * Cron jobs are shared by every server, so only the users listed in
+     * BOT_OWNER_IDS (comma-separated user IDs) may change them. Without
+     * owners, nobody can: a server's admin must not pause another's reminders.
+     */
+    function getBotOwnerIds() {
+        return (process.env.BOT_OWNER_IDS || "").split(",").map((id) => id.trim()).filter(Boolean);
+    }
+
+    function canManageCron(userId) {
+        return getBotOwnerIds().includes(userId);
+    }
+
+    /**
+     * Describes one job for /cron list: expression, state and next fire times.
+     */
+    function describeCronJob(jobName) {
+        const details = cronJobDetails[jobName];
+        const paused = isCronJobPaused(jobName);
+        const source = CRON_JOBS[jobName]
+            ? ((cronSettings.data.jobs[jobName] || {}).expression ? "set with /cron" : CRON_JOBS[jobName].envName)
+            : "reminder time from /timezone";
+
+        if (!details) {
+            return `**${jobName}**: not scheduled (expression "${currentExpressions[jobName] || ""}" is missing or invalid)`;
+        }
+
+        const nextTimes = paused
+            ? "paused"
+            : getNextFireTimes(details.expression, { count: 3, timeZone: details.timezone })
+                .map((date) => `<t:${Math.floor(date.getTime() / 1000)}:f>`)
+                .join(", ") || "never";
+        return (
+            `**${jobName}**: \`${details.expression}\`${details.timezone ? ` (${details.timezone})` : ""}, ${source}\n` +
+            `  Next: ${nextTimes}`
+        );
+    }
+
+    /**
+     * Handles the autocomplete for /cron by listing the scheduled jobs.
+     */
+    async function handleCronAutocomplete(interaction) {
+        const focused = interaction.options.getFocused().toLowerCase();
+        const subcommand = interaction.options.getSubcommand();
+        const jobNames = subcommand === "set"
+            ? Object.keys(CRON_JOBS)
+            : [...new Set([...Object.keys(CRON_JOBS), ...Object.keys(cronTasks)])];
+
+        await interaction.respond(
+            jobNames
+                .filter((name) => name.toLowerCase().includes(focused))
+                .slice(0, 25)
+                .map((name) => ({ name: name.slice(0, 100), value: name.slice(0, 100) }))
+        );
+    }
+
+    /**
+     * Handles /cron: lists the jobs, or changes, pauses, resumes or runs one.
+     * Changes are persisted in cron-settings.json.
+     */
+    async function handleCronCommand(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+
+        if (subcommand === "list") {
+            const jobNames = [...new Set([...Object.keys(CRON_JOBS), ...Object.keys(cronTasks)])];
+            return interaction.reply({
+                content: jobNames.map(describeCronJob).join("\n").slice(0, 2000),
+                ephemeral: true,
+            });
+        }
+
+        if (!canManageCron(interaction.user.id)) {
+            return interaction.reply({
+                content: getBotOwnerIds().length
+                    ? "Only the bot owners can change the scheduled jobs."
+                    : "The scheduled jobs are shared by every server, so they can only be changed by the bot owners, and none are configured (BOT_OWNER_IDS).",
+                ephemeral: true,
+            });
+        }
+
+        const jobName = interaction.options.getString("job");
+        if (!cronTasks[jobName] && !CRON_JOBS[jobName]) {
+            return interaction.reply({ content: `There is no job named "${jobName}".`, ephemeral: true });
+        }
+
+        if (subcommand === "set") {
+            if (!CRON_JOBS[jobName]) {
+                return interaction.reply({
+                    content: "Reminder time jobs follow /timezone; change the time there.",
+                    ephemeral: true,
+                });
+            }
+
+            const value = interaction.options.getString("expression").trim();
+            const useDefault = value.toLowerCase() === "default";
+            const job = CRON_JOBS[jobName];
+            const expression = useDefault ? process.env[job.envName] || job.defaultExpression : value;
+            if (!isValidCronExpression(expression)) {
+                return interaction.reply({
+                    content: useDefault
+                        ? `${job.envName} is not set to a valid expression, so there is no default to go back to.`
+                        : `"${value}" is not a valid cron expression.`,
+                    ephemeral: true,
+                });
+            }
+
+            updateCronSettings(jobName, { expression: useDefault ? null : expression });
+            currentExpressions[jobName] = expression;
+            scheduleNamedJob(jobName);
+            return interaction.reply({ content: `Updated.\n${describeCronJob(jobName)}`, ephemeral: true });
+        }
+
+        if (subcommand === "pause" || subcommand === "resume") {
+            const pause = subcommand === "pause";
+            updateCronSettings(jobName, { paused: pause ? true : null });
+            if (cronTasks[jobName]) {
+                if (pause) {
+                    cronTasks[jobName].stop();
+                } else {
+                    cronTasks[jobName].start();
+                }
+            }
+            return interaction.reply({
+                content: `${pause ? "Paused" : "Resumed"} "${jobName}".\n${describeCronJob(jobName)}`,
+                ephemeral: true,
+            });
+        }
+
+        // run-now
+        const callback = CRON_JOBS[jobName]
+            ? CRON_JOBS[jobName].run
+            : cronJobDetails[jobName] && cronJobDetails[jobName].callback;
+        await interaction.deferReply({ ephemeral: true });
+        logger.info(`Cron job "${jobName}" run manually by ${interaction.user.id}`);
+        await callback();
+        await interaction.editReply(`Ran "${jobName}".`);
+    }
+
+    /**
+     * Builds the /botstatus embed from the same data as /healthz and /metrics.
+     * Schedule details are limited to the sources this guild reads (see
+     * getGuildSourceEntries), so one server never sees another's.
+     */
+    function buildBotStatusEmbed(guildId) {
+        const health = getHealth();
+        const toRelative = (date) => (date ? `<t:${Math.floor(date.getTime() / 1000)}:R>` : "never");
+
+        const sourceLines = getGuildSourceEntries(guildId).map((entry) => {
+            const errors = metrics.getValue("fetch_errors_total", { source: entry.id });
+            return (
+                `${entry.source.name}: data as of ${toRelative(entry.lastFetchedAt)}` +
+                `${entry.fromSnapshot ? " (saved snapshot)" : ""}${errors ? `, ${errors} error(s)` : ""}` +
+                `${entry.consecutiveFailures ? `, failing: ${entry.lastError}` : ""}`
+            );
+        });
+
+        const countByType = (name) => metrics.getSeries(name)
+            .map(({ labels, value }) => `${labels.type}: ${value}`)
+            .join(", ") || "none";
+
+        const jobLines = Object.entries(cronJobDetails).map(([jobName, details]) =>
+            `${jobName}: ${isCronJobPaused(jobName) ? "paused" : `last ran ${toRelative(details.lastRunAt)}`}`
+        );
+
+        return new EmbedBuilder()
+            .setColor(health.ok ? "63e820" : "e82020")
+            .setTitle(health.ok ? "Bot status: healthy" : "Bot status: unhealthy")
+            .addFields(
+                {
+                    name: "Discord",
+                    value: health.discordConnected ? `Connected (${health.discordPingMs}ms), ${client.guilds.cache.size} server(s)` : "Disconnected",
+                },
+                {
+                    name: "Schedule",
+                    value: [
+                        `Last successful fetch: ${toRelative(lastFetchSucceededAt)}`,
+                        `Rows: ${(scheduleCache[guildId] || []).length} in this server`,
+                        ...sourceLines,
+                    ].join("\n").slice(0, 1024),
+                },
+                { name: "Reminders sent (since start)", value: countByType("reminders_sent_total"), inline: true },
+                { name: "Reminders failed (since start)", value: countByType("reminders_failed_total"), inline: true },
+                { name: "Jobs", value: (jobLines.join("\n") || "none scheduled").slice(0, 1024) }
+            )
+            .setFooter({ text: `Up for ${Math.round(health.uptimeSeconds / 60)} minute(s)` });
+    }
+
+    /**
+     * Flattens a command's options for the audit trail, e.g.
+     * { subcommand: "set", job: "main", expression: "0 9 * * *" }.
+     */
+    function describeCommandOptions(data = []) {
+        const options = {};
+        for (const option of data) {
+            if (option.options) {
+                options[option.type === 2 ? "subcommandGroup" : "subcommand"] = option.name;
+                Object.assign(options, describeCommandOptions(option.options));
+            } else {
+                options[option.name] = option.value;
+            }
+        }
+        return options;
+    }
+
+    /**
+     * Formats an audit entry as one line for /audit.
+     */
+    function formatAuditEntry(entry) {
+        const time = `<t:${Math.floor(new Date(entry.time).getTime() / 1000)}:f>`;
+        if (entry.type === "command") {
+            const options = Object.entries(entry.options || {})
+                .map(([name, value]) => `${name}:${value}`)
+                .join(" ");
+            return `${time} <@${entry.userId}> ran \`/${entry.command}${options ? ` ${options}` : ""}\` in <#${entry.channelId}>`;
+        }
+        if (entry.type === "acknowledgement") {
+            const detail = entry.detail ? ` (${entry.detail})` : "";
+            if (entry.action.startsWith("escalated-")) {
+                const to = entry.action === "escalated-manager" ? "the manager" : "the channel";
+                return `${time} reminder for **${entry.sponsor}** (<@${entry.userId}>) escalated to ${to}${detail}`;
+            }
+            const action = ACK_RESPONSES[entry.action] ? `answered "${ACK_RESPONSES[entry.action]}"` : entry.action.replace("-", " ");
+            return `${time} <@${entry.userId}> ${action} for **${entry.sponsor}**${detail}`;
+        }
+        if (entry.type === "submission") {
+            const verb = { submitted: "submitted", approved: "approved", "changes-requested": "requested changes on" }[entry.action];
+            return `${time} <@${entry.userId}> ${verb} ${entry.stage} #${entry.submissionId} for **${entry.sponsor}**`;
+        }
+        return (
+            `${time} ${entry.outcome} ${(entry.kinds || []).join(", ")} for **${entry.sponsor}** ` +
+            `(<@${entry.userId}>) to ${entry.target}${entry.reason ? ` (${entry.reason})` : ""}`
+        );
+    }
+
+    /**
+     * Handles /audit: lists this guild's newest audit entries matching the filters.
+     */
+    async function handleAuditCommand(interaction) {
+        const date = interaction.options.getString("date");
+        if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date.trim())) {
+            return interaction.reply({ content: "Dates must look like 2025-04-10.", ephemeral: true });
+        }
+
+        const entries = auditLog.query({
+            guildId: interaction.guildId,
+            userId: interaction.options.getUser("user")?.id || null,
+            command: interaction.options.getString("command"),
+            type: interaction.options.getString("type"),
+            date: date ? date.trim() : null,
+            limit: interaction.options.getInteger("limit") || 20,
+        });
+        if (!entries.length) {
+            return interaction.reply({ content: "No audit entries match those filters.", ephemeral: true });
+        }
+
+        const lines = [];
+        let length = 0;
+        for (const entry of entries) {
+            const line = formatAuditEntry(entry);
+            if (length + line.length + 1 > 4000) break;
+            lines.push(line);
+            length += line.length + 1;
+        }
+
+        await interaction.reply({
+            embeds: [
+                new EmbedBuilder()
+                    .setColor("2089e8")
+                    .setTitle(`Audit trail (${lines.length} of ${entries.length} shown, newest first)`)
+                    .setDescription(lines.join("\n")),
+            ],
+            ephemeral: true,
+            allowedMentions: { parse: [] },
+        });
+    }
+
+    /**
+     * Returns true if a role or member granted a manager command with
+     * /permissions still won't see it, because they lack
+     * MANAGER_COMMAND_PERMISSIONS. Commands everyone sees (/export) never are.
+     */
+    async function isCommandHiddenFrom(guild, command, { role, user }) {
+        if (!MANAGER_COMMAND_PERMISSIONS) return false;
+        if (!commands.find((definition) => definition.name === command)?.default_member_permissions) return false;
+        if (role && role.permissions && !role.permissions.has(MANAGER_COMMAND_PERMISSIONS)) return true;
+        if (user) {
+            const member = await guild.members.fetch(user.id).catch(() => null);
+            if (member && !member.permissions.has(MANAGER_COMMAND_PERMISSIONS)) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Handles /permissions: shows each manager command's ACL, or allows,
+     * denies or resets roles and members for a command. Administrators can
+     * always run everything, so they are never listed.
+     */
+    async function handlePermissionsCommand(interaction) {
+        const guildId = interaction.guildId;
+        const subcommand = interaction.options.getSubcommand();
+        const acl = guildSettings.get(guildId).acl || {};
+
+        if (subcommand === "show") {
+            const modRoleId = guildSettings.get(guildId).modRoleId;
+            const defaultLabel = modRoleId ? `admins and <@&${modRoleId}>` : `admins and roles named "${process.env.ROLE || ""}"`;
+            const lines = CONFIGURABLE_COMMANDS.map((command) => {
+                const rule = getCommandRule(acl, command);
+                if (!rule) return `**/${command}**: ${defaultLabel} (default)`;
+                const allowed = [...rule.roles.map((id) => `<@&${id}>`), ...rule.users.map((id) => `<@${id}>`)];
+                return `**/${command}**: admins, ${allowed.join(", ")}`;
+            });
+            if (MANAGER_COMMAND_PERMISSIONS) {
+                lines.push(
+                    "",
+                    "Manager commands only show up for members with the default permission; " +
+                    "to show them to other roles, use Server Settings > Integrations."
+                );
+            }
+            return interaction.reply({ content: lines.join("\n"), ephemeral: true, allowedMentions: { parse: [] } });
+        }
+
+        if (subcommand === "reset") {
+            const command = interaction.options.getString("command");
+            const updated = { ...acl };
+            if (command) {
+                delete updated[command];
+            }
+            guildSettings.update(guildId, { acl: command && Object.keys(updated).length ? updated : null });
+            logger.info(`Guild ${guildId} permissions reset by ${interaction.user.id}`, { command: command || "all" });
+            return interaction.reply({
+                content: command ? `/${command} is back to the default.` : "Every command is back to the default.",
+                ephemeral: true,
+            });
+        }
+
+        // allow / deny
+        const command = interaction.options.getString("command");
+        const role = interaction.options.getRole("role");
+        const user = interaction.options.getUser("user");
+        if (!role && !user) {
+            return interaction.reply({ content: "Please pick a role or a member.", ephemeral: true });
+        }
+
+        const allow = subcommand === "allow";
+        const updated = editCommandRule(acl, command, { roleId: role?.id, userId: user?.id, allow });
+        guildSettings.update(guildId, { acl: Object.keys(updated).length ? updated : null });
+        logger.info(`Guild ${guildId} permissions for /${command} updated by ${interaction.user.id}`, {
+            allow,
+            roleId: role?.id,
+            userId: user?.id,
+        });
+
+        const targets = [role && `<@&${role.id}>`, user && `<@${user.id}>`].filter(Boolean).join(" and ");
+        const rule = getCommandRule(updated, command);
+        const hidden = allow ? await isCommandHiddenFrom(interaction.guild, command, { role, user }) : false;
+        await interaction.reply({
+            content: allow
+                ? `${targets} may now run /${command}.` +
+                  (hidden
+                      ? " They don't have the permission manager commands need to show up (MANAGER_COMMAND_PERMISSION), " +
+                        "so also allow them under Server Settings > Integrations."
+                      : "")
+                : `${targets} removed from /${command}.${rule ? "" : " It is back to the default (admins and the moderator role)."}`,
+            ephemeral: true,
+            allowedMentions: { parse: [] },
+        });
+    }
+
+    /**
+     * Accepts either a bare spreadsheet ID or a full Google Sheets URL.
+     */
+    function parseSpreadsheetId(value) {
+        const match = String(value).match(/\/spreadsheets\/d\/([a-zA-Z0-9-_]+)/);
+        return match ? match[1] : String(value).trim();
+    }
+
+    /**
+     * Handles /setup: binds this guild to its own spreadsheet, tab and range,
+     * and/or sets its moderator role and manager log channel.
+     * With no options it shows the current setup.
+     * After changing the spreadsheet, it fetches right away to report whether
+     * the bot can read it.
+     */
+    async function handleSetupCommand(interaction) {
+        const guildId = interaction.guildId;
+        const spreadsheetArg = interaction.options.getString("spreadsheet");
+        const sheetNameArg = interaction.options.getString("sheet_name");
+        const rangeArg = interaction.options.getString("range");
+        const modRole = interaction.options.getRole("mod_role");
+        const logChannel = interaction.options.getChannel("log_channel");
+        const reviewChannel = interaction.options.getChannel("review_channel");
+        const removeSpreadsheet = interaction.options.getBoolean("remove_spreadsheet") || false;
+
+        const settings = guildSettings.get(guildId);
+        const changes = {};
+
+        if (removeSpreadsheet) {
+            changes.source = null;
+        } else if (spreadsheetArg || sheetNameArg || rangeArg) {
+            const source = { ...(settings.source || {}) };
+            if (spreadsheetArg) source.spreadsheetId = parseSpreadsheetId(spreadsheetArg);
+            if (sheetNameArg) source.sheetName = sheetNameArg.trim();
+            if (rangeArg) {
+                const match = rangeArg.trim().toUpperCase().match(/^([A-Z]+):([A-Z]+)$/);
+                if (!match) {
+                    return interaction.reply({ content: `"${rangeArg}" is not a column range, use something like "A:Z".`, ephemeral: true });
+                }
+                source.startingColumn = match[1];
+                source.endingColumn = match[2];
+            }
+            if (!source.spreadsheetId || !source.sheetName) {
+                return interaction.reply({ content: "Please provide both a spreadsheet and a sheet name.", ephemeral: true });
+            }
+            changes.source = { startingColumn: "A", endingColumn: "Z", ...source };
+        }
+
+        if (modRole) {
+            changes.modRoleId = modRole.id;
+        }
+        if (logChannel) {
+            changes.logChannelId = logChannel.id;
+        }
+        if (reviewChannel) {
+            changes.reviewChannelId = reviewChannel.id;
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+
+        const updated = Object.keys(changes).length ? guildSettings.update(guildId, changes) : settings;
+        const lines = [];
+
+        if (changes.source !== undefined) {
+            logger.info(`Guild ${guildId} spreadsheet updated by ${interaction.user.id}:`, changes.source);
+            await fetchScheduleData();
+        }
+
+        if (updated.source) {
+            const { spreadsheetId, sheetName, startingColumn, endingColumn } = updated.source;
+            lines.push(`Spreadsheet: \`${spreadsheetId}\`, tab **${sheetName}**, columns ${startingColumn}:${endingColumn}`);
+
+            const entry = scheduleSources[`g${guildId}`];
+            if (entry && entry.lastFetchedAt) {
+                const rowCount = (entry.schedule[guildId] || []).length;
+                lines.push(`Last loaded ${rowCount} row${rowCount === 1 ? "" : "s"} at ${entry.lastFetchedAt.toLocaleString()}.`);
+                lines.push(`Only rows whose "${SCHEDULE_HEADERS.guildId}" is \`${guildId}\` are loaded from it.`);
+            } else {
+                lines.push(
+                    `The spreadsheet could not be read yet. Make sure it is shared with ` +
+                    `\`${process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL}\` and the tab name is correct.`
+                );
+            }
+        } else {
+            lines.push("Spreadsheet: using the shared default schedule.");
+        }
+
+        lines.push(
+            updated.modRoleId
+                ? `Moderator role: <@&${updated.modRoleId}>`
+                : `Moderator role: any role named "${process.env.ROLE}" (default)`
+        );
+        lines.push(
+            updated.logChannelId
+                ? `Log channel (schedule changes): <#${updated.logChannelId}>`
+                : "Log channel: not set, schedule changes are not posted"
+        );
+        lines.push(
+            updated.reviewChannelId
+                ? `Review channel (/submit): <#${updated.reviewChannelId}>`
+                : "Review channel: not set, submissions go to the log channel"
+        );
+
+        await interaction.editReply({ content: lines.join("\n"), allowedMentions: { parse: [] } });
+    }
+
+    /**
+     * Reads the creator, channel and row options of /resend and
+     * /preview-reminders into a reminder target (see matchesReminderTarget),
+     * or null when none are set. Also returns a label like
+     * "for <@123> in <#456>" for replies.
+     */
+    function getReminderTargetOptions(interaction) {
+        const creator = interaction.options.getUser("creator");
+        const channel = interaction.options.getChannel("channel");
+        const rowId = interaction.options.getString("row");
+        if (!creator && !channel && !rowId) return { target: null, label: "" };
+
+        const item = rowId ? findScheduleItem(interaction.guildId, rowId) : null;
+        const labels = [];
+        if (creator) labels.push(`for <@${creator.id}>`);
+        if (channel) labels.push(`in <#${channel.id}>`);
+        if (rowId) labels.push(`for **${item ? item.sponsor : `row ${rowId}`}**`);
+        return {
+            target: {
+                guildId: interaction.guildId,
+                creator: creator ? creator.id : null,
+                channel: channel ? { id: channel.id, name: channel.name } : null,
+                rowId,
+            },
+            label: ` ${labels.join(" ")}`,
+        };
+    }
+
+    /**
+     * Handles /preview-reminders: runs the same selection and grouping as a
+     * reminder run for one day (today in the guild's timezone by default) and
+     * replies with where everything would go. Nothing is sent or recorded.
+     */
+    async function handlePreviewRemindersCommand(interaction) {
+        const guildId = interaction.guildId;
+        const dateArg = interaction.options.getString("date");
+        const force = interaction.options.getBoolean("force") || false;
+        const { target, label } = getReminderTargetOptions(interaction);
+
+        let date = getZonedToday(guildSettings.get(guildId).timezone || getDefaultTimeZone());
+        if (dateArg) {
+            const parsed = parseScheduleDate(dateArg);
+            if (!parsed || parsed.error || !parsed.isoDate) {
+                return interaction.reply({ content: `"${dateArg}" is not a date, use something like "2025-04-10".`, ephemeral: true });
+            }
+            const [year, month, day] = parsed.isoDate.split("-").map(Number);
+            date = new Date(year, month - 1, day);
+        }
+
+        const plan = planGuildReminders(scheduleCache[guildId] || [], date, { ignoreLedger: force, target });
+        const embed = buildReminderPreviewEmbed(
+            interaction.guild,
+            [{ date, plan }],
+            `Reminders for ${formatDate(date)}${force ? " (including already delivered)" : ""}`
+        );
+        await interaction.reply({
+            content: `Preview only, nothing was sent${label}.${isDryRun() ? " Dry run mode (DRY_RUN) is on." : ""}`,
+            embeds: [embed],
+            ephemeral: true,
+            allowedMentions: { parse: [] },
+        });
+    }
+
+    /**
+     * Handles the autocomplete for options that pick one of the guild's rows
+     * (/template preview, and the row target of /resend and /preview-reminders).
+     * Each choice value is the row ID.
+     */
+    async function handleRowAutocomplete(interaction) {
+        const focused = interaction.options.getFocused().toLowerCase();
+        const choices = (scheduleCache[interaction.guildId] || [])
+            .filter((item) => item.ignore !== "1")
+            .map((item) => ({
+                name: `${item.sponsor} - ${item.month} ${item.year} (${item.status || "no status"})`.slice(0, 100),
+                value: item.rowId,
+            }))
+            .filter((choice) => choice.name.toLowerCase().includes(focused))
+            .slice(0, 25);
+
+        await interaction.respond(choices);
+    }
+
+    /**
+     * Handles /template: previews the guild's templates, or changes its
+     * messages, status styles or extra columns. Settings are layered over the
+     * template file (see src/templates.js).
+     */
+    async function handleTemplateCommand(interaction) {
+        const guildId = interaction.guildId;
+        const subcommand = interaction.options.getSubcommand();
+        const current = guildSettings.get(guildId).templates || {};
+        const templates = { messages: {}, statusStyles: {}, ...current };
+
+        if (subcommand === "preview") {
+            const guildData = (scheduleCache[guildId] || []).filter((item) => item.ignore !== "1");
+            const rowId = interaction.options.getString("deliverable");
+            const item = rowId ? findScheduleItem(guildId, rowId) : guildData[0];
+            if (!item) {
+                return interaction.reply({ content: "There are no rows in the schedule to preview with.", ephemeral: true });
+            }
+
+            const values = { ...getItemTemplateValues(item), date: formatDate(new Date()), count: 1 };
+            const resolved = getGuildTemplates(guildId);
+            const lines = [
+                ...Object.keys(DEFAULT_MESSAGES)
+                    .filter((key) => !key.startsWith("embed"))
+                    .map((key) => `**${MESSAGE_DESCRIPTIONS[key]}:** ${renderGuildMessage(guildId, key, values)}`),
+                `**Status styles:** ${Object.entries(resolved.statusStyles)
+                    .map(([status, style]) => `${style.emoji || ""} ${status} #${style.color.replace("#", "")}`.trim())
+                    .join(", ")}`,
+                `**Extra columns:** ${resolved.extraColumns.length ? resolved.extraColumns.join(", ") : "none"}`,
+                `**Placeholders:** ${PLACEHOLDERS.join(" ")}`,
+            ];
+
+            return interaction.reply({
+                content: lines.join("\n").slice(0, 2000),
+                embeds: [buildEmbedForItem(item, ["draft-T3"])],
+                ephemeral: true,
+                allowedMentions: { parse: [] },
+            });
+        }
+
+        if (subcommand === "set") {
+            const key = interaction.options.getString("message");
+            templates.messages = { ...templates.messages, [key]: interaction.options.getString("text") };
+            guildSettings.update(guildId, { templates });
+            return interaction.reply({
+                content: `${MESSAGE_DESCRIPTIONS[key]} updated. Use /template preview to see it.`,
+                ephemeral: true,
+            });
+        }
+
+        if (subcommand === "status") {
+            const status = interaction.options.getString("status").trim().toLowerCase();
+            const color = interaction.options.getString("color");
+            const emoji = interaction.options.getString("emoji");
+            if (color && !isValidColor(color)) {
+                return interaction.reply({ content: 'Colors must be 6-digit hex values, e.g. "2089e8".', ephemeral: true });
+            }
+            if (!color && !emoji) {
+                return interaction.reply({ content: "Give a color, an emoji or both.", ephemeral: true });
+            }
+
+            const style = { ...(templates.statusStyles[status] || {}) };
+            if (color) style.color = color.trim().replace("#", "");
+            if (emoji) style.emoji = emoji.trim().toLowerCase() === "none" ? "" : emoji.trim();
+            templates.statusStyles = { ...templates.statusStyles, [status]: style };
+            guildSettings.update(guildId, { templates });
+
+            const resolved = getStatusStyle(getGuildTemplates(guildId), status);
+            return interaction.reply({
+                content: `Status "${status}" now shows as ${resolved.emoji || "(no emoji)"} #${resolved.color.replace("#", "")}.`,
+                ephemeral: true,
+            });
+        }
+
+        if (subcommand === "columns") {
+            const text = interaction.options.getString("columns").trim();
+            const columns = text.toLowerCase() === "none"
+                ? []
+                : text.split(",").map((name) => name.trim()).filter(Boolean);
+            templates.extraColumns = columns;
+            guildSettings.update(guildId, { templates });
+            return interaction.reply({
+                content: columns.length
+                    ? `Embeds will also show: ${columns.join(", ")} (when the row has a value).`
+                    : "Embeds will not show any extra columns.",
+                ephemeral: true,
+            });
+        }
+
+        // reset
+        const key = interaction.options.getString("message");
+        if (key) {
+            const messages = { ...templates.messages };
+            delete messages[key];
+            templates.messages = messages;
+            guildSettings.update(guildId, { templates });
+            return interaction.reply({ content: `${MESSAGE_DESCRIPTIONS[key]} reset to the default.`, ephemeral: true });
+        }
+        guildSettings.update(guildId, { templates: null });
+        await interaction.reply({ content: "All templates reset to the defaults.", ephemeral: true });
+    }
+
+    /**
+     * Lists the rows a user can pick with /submit: their own rows that aren't
+     * complete for draft and upload, and for history every row /status would
+     * offer them (managers see the whole guild). In DMs every guild is searched.
+     */
+    function getSubmitCandidates(interaction, subcommand) {
+        const candidates = getStatusCandidates(interaction);
+        if (subcommand === "history") return candidates;
+        return candidates.filter(
+            (item) => String(item.creator).trim() === interaction.user.id && item.status.toLowerCase() !== "complete"
+        );
+    }
+
+    /**
+     * Picks the row a /submit is about from `candidates`. `brand` is either an
+     * autocomplete value ("<guildId>:<rowId>") or a typed brand name; without
+     * it, the user's only candidate is used. Returns { item } or { error }.
+     */
+    function pickSubmitRow(candidates, brand) {
+        if (brand) {
+            const value = brand.trim();
+            const byId = candidates.find((item) => `${item.guildId}:${item.rowId}` === value);
+            if (byId) return { item: byId };
+
+            const byName = candidates.filter((item) => item.sponsor.toLowerCase() === value.toLowerCase());
+            if (byName.length === 1) return { item: byName[0] };
+            if (byName.length > 1) {
+                return { error: `You have several **${byName[0].sponsor}** deliverables, please pick one from the brand list.` };
+            }
+            return { error: `No deliverable for "${value}" was found.` };
+        }
+
+        if (candidates.length === 1) return { item: candidates[0] };
+        if (!candidates.length) return { error: "You don't have any open deliverables." };
+        const brands = [...new Set(candidates.map((item) => item.sponsor))].slice(0, 10).join(", ");
+        return { error: `You have several deliverables (${brands}), please pick one with the brand option.` };
+    }
+
+    /**
+     * Handles the autocomplete for /submit's brand option.
+     * Each choice value is "<guildId>:<rowId>".
+     */
+    async function handleSubmitAutocomplete(interaction) {
+        const focused = interaction.options.getFocused().toLowerCase();
+        const choices = getSubmitCandidates(interaction, interaction.options.getSubcommand())
+            .map((item) => ({
+                name: `${item.sponsor} - ${item.month} ${item.year} (${item.status || "no status"})`.slice(0, 100),
+                value: `${item.guildId}:${item.rowId}`,
+            }))
+            .filter((choice) => choice.name.toLowerCase().includes(focused))
+            .slice(0, 25);
+
+        await interaction.respond(choices);
+    }
+
+    /**
+     * Submissions go to the guild's review channel (set with /setup), or to its
+     * log channel when there is none. Returns the channel, or null.
+     */
+    function getReviewChannel(guildId) {
+        const settings = guildSettings.get(guildId);
+        const channelId = settings.reviewChannelId || settings.logChannelId;
+        const guild = client.guilds.cache.get(guildId);
+        return (channelId && guild && guild.channels.cache.get(channelId)) || null;
+    }
+
+    /**
+     * Files larger than this are linked in the review channel instead of being
+     * re-uploaded there (Discord's upload limit for bots without boosts).
+     */
+    const MAX_REUPLOAD_BYTES = 25 * 1024 * 1024;
+
+    const SUBMISSION_COLORS = {
+        pending: "2089e8",
+        approved: "63e820",
+        "changes-requested": "e8db20",
+    };
+
+    /**
+     * Builds the review card for a submission.
+     */
+    function buildSubmissionEmbed(item, submission) {
+        const stage = submission.stage === "draft" ? "Draft" : "Upload";
+        const fields = [
+            { name: "Creator", value: `<@${submission.submittedBy}>`, inline: true },
+            { name: "Status", value: SUBMISSION_STATUS_LABELS[submission.status], inline: true },
+        ];
+        if (submission.link) {
+            fields.push({ name: "Link", value: submission.link, inline: false });
+        }
+        if (submission.attachment) {
+            fields.push({ name: "File", value: `[${submission.attachment.name}](${submission.attachment.url})`, inline: false });
+        }
+        if (submission.note) {
+            fields.push({ name: "Note", value: submission.note, inline: false });
+        }
+        const deadlineField = `${submission.stage}Deadline`;
+        fields.push(
+            ...buildDeadlineFields(DEADLINE_FIELDS[deadlineField], item[deadlineField], item[`${deadlineField}At`], getItemTimeZone(item))
+        );
+        if (submission.feedback) {
+            fields.push({ name: "Requested changes", value: submission.feedback, inline: false });
+        }
+
+        return new EmbedBuilder()
+            .setColor(SUBMISSION_COLORS[submission.status])
+            .setTitle(`${stage} #${submission.id}: ${item.sponsor}`.slice(0, 256))
+            .addFields(fields)
+            .setTimestamp(new Date(submission.submittedAt));
+    }
+
+    /**
+     * Adds a submission, or a manager's review of one, to the audit trail.
+     * `action` is "submitted", "approved" or "changes-requested".
+     */
+    function recordSubmissionAudit(item, { userId, action, submission }) {
+        try {
+            auditLog.record({
+                type: "submission",
+                guildId: item.guildId,
+                userId,
+                rowId: item.rowId,
+                sponsor: item.sponsor,
+                action,
+                stage: submission.stage,
+                submissionId: submission.id,
+            });
+        } catch (err) {
+            logger.error("Failed to write the submission audit entry", err);
+        }
+    }
+
+    /**
+     * Handles /submit: hands a draft or upload (a link and/or a file) in for
+     * the matching row and posts it to the review channel with Approve /
+     * Request changes buttons, or lists a row's submissions (history).
+     */
+    async function handleSubmitCommand(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+        const { item, error } = pickSubmitRow(
+            getSubmitCandidates(interaction, subcommand),
+            interaction.options.getString("brand")
+        );
+        if (error) {
+            return interaction.reply({ content: error, ephemeral: true });
+        }
+
+        if (subcommand === "history") {
+            const lines = submissions.list(item.guildId, item.rowId)
+                .slice()
+                .reverse()
+                .map((submission) => {
+                    const time = Math.floor(new Date(submission.submittedAt).getTime() / 1000);
+                    return (
+                        `#${submission.id} ${submission.stage} <t:${time}:f> by <@${submission.submittedBy}>: ` +
+                        `${SUBMISSION_STATUS_LABELS[submission.status]}` +
+                        `${submission.feedback ? ` ("${submission.feedback}")` : ""}`
+                    );
+                });
+            return interaction.reply({
+                content: `Submissions for **${item.sponsor}**:\n${lines.join("\n") || "Nothing submitted yet."}`.slice(0, 2000),
+                ephemeral: true,
+                allowedMentions: { parse: [] },
+            });
+        }
+
+        const link = (interaction.options.getString("link") || "").trim();
+        const file = interaction.options.getAttachment("file");
+        const note = (interaction.options.getString("note") || "").trim();
+        if (!link && !file) {
+            return interaction.reply({ content: "Please add a link or a file.", ephemeral: true });
+        }
+        if (link && !/^https?:\/\/\S+$/i.test(link)) {
+            return interaction.reply({ content: `"${link}" is not a link, it should start with https://.`, ephemeral: true });
+        }
+
+        const reviewChannel = getReviewChannel(item.guildId);
+        if (!reviewChannel) {
+            return interaction.reply({
+                content: "This server has no review channel yet, please ask an admin to set one with /setup.",
+                ephemeral: true,
+            });
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+
+        const reupload = file && file.size <= MAX_REUPLOAD_BYTES;
+        const submission = submissions.add(item.guildId, item.rowId, {
+            stage: subcommand,
+            link: link || null,
+            attachment: file ? { name: file.name, url: file.url } : null,
+            note: note || null,
+            submittedBy: interaction.user.id,
+        });
+        const { mention, allowedMentions } = mentionRowManager(getRowManager(item));
+        const card = {
+            content: `${mention} New ${subcommand} for **${item.sponsor}** from <@${interaction.user.id}>.`.trim(),
+            embeds: [buildSubmissionEmbed(item, submission)],
+            components: [
+                new ActionRowBuilder().addComponents(
+                    new ButtonBuilder()
+                        .setCustomId(`submission:${item.guildId}:${item.rowId}:${submission.id}:approve`)
+                        .setLabel("Approve")
+                        .setStyle(ButtonStyle.Success),
+                    new ButtonBuilder()
+                        .setCustomId(`submission:${item.guildId}:${item.rowId}:${submission.id}:changes`)
+                        .setLabel("Request changes")
+                        .setStyle(ButtonStyle.Secondary)
+                ),
+            ],
+            files: reupload ? [{ attachment: file.url, name: file.name }] : [],
+            allowedMentions,
+        };
+
+        // A submission nobody can review would wait forever, so drop it if the card can't be posted
+        let message;
+        try {
+            message = await reviewChannel.send(card);
+        } catch (err) {
+            logger.error(`Failed to post ${subcommand} #${submission.id} for row ${item.rowId} to the review channel in guild ${item.guildId}`, err);
+            submissions.remove(item.guildId, item.rowId, submission.id);
+            return interaction.editReply(
+                `Your ${subcommand} for **${item.sponsor}** could not be posted to the review channel. ` +
+                "Please try again, or ask a manager to check the bot's access to that channel."
+            );
+        }
+
+        // The copy in the review channel outlives the slash command's attachment URL
+        const posted = reupload && message.attachments ? message.attachments.first() : null;
+        submissions.update(item.guildId, item.rowId, submission.id, {
+            review: { channelId: reviewChannel.id, messageId: message.id },
+            ...(posted ? { attachment: { name: file.name, url: posted.url } } : {}),
+        });
+        recordSubmissionAudit(item, { userId: interaction.user.id, action: "submitted", submission });
+
+        logger.info(`User ${interaction.user.id} submitted ${subcommand} #${submission.id} for row ${item.rowId} in guild ${item.guildId}.`);
+        await interaction.editReply(`Your ${subcommand} for **${item.sponsor}** was sent for review (submission #${submission.id}).`);
+    }
+
+    /**
+     * Tells the creator how their submission was reviewed: by DM, or in the
+     * row's channel when they can't be DMed.
+     */
+    async function notifySubmissionReview(item, submission) {
+        const creator = String(item.creator).trim();
+        const content = submission.status === "approved"
+            ? `Your ${submission.stage} for **${item.sponsor}** was approved.`
+            : `Changes were requested on your ${submission.stage} for **${item.sponsor}**:\n${submission.feedback}`;
+
+        const guild = client.guilds.cache.get(item.guildId);
+        const dm = guild
+            ? await deliveryQueue.deliver(async () => (await guild.members.fetch(creator)).send(content))
+            : { ok: false };
+        if (dm.ok) return;
+
+        const channel = findItemChannel(item);
+        if (!channel) {
+            logger.info(`Could not tell ${creator} about submission #${submission.id} for row ${item.rowId} in guild ${item.guildId}`);
+            return;
+        }
+        const posted = await deliveryQueue.deliver(() =>
+            channel.send({ content: `<@${creator}> ${content}`, allowedMentions: { users: [creator] } })
+        );
+        if (!posted.ok) {
+            logger.error(`Failed to post the review of submission #${submission.id} to channel:${channel.id}`, posted.error);
+        }
+    }
+
+    /**
+     * Records a manager's review of a submission, updates the review card and
+     * tells the creator. Approving an upload marks the row complete; approving
+     * a draft moves a pending row on to "draft".
+     */
+    async function reviewSubmission(interaction, item, submission, { status, feedback = null }) {
+        // Claim it before the first await, so a second manager clicking at the same time is turned away
+        submissions.update(item.guildId, item.rowId, submission.id, { status: "reviewing", reviewedBy: interaction.user.id });
+        const release = () => submissions.update(item.guildId, item.rowId, submission.id, { status: "pending", reviewedBy: null });
+
+        await interaction.deferUpdate();
+        try {
+            let statusNote = "";
+            if (status === "approved") {
+                const newStatus = submission.stage === "upload"
+                    ? "complete"
+                    : item.status.toLowerCase() === "pending" ? "draft" : null;
+                if (newStatus) {
+                    const result = await updateItemStatus({
+                        guildId: item.guildId,
+                        rowId: item.rowId,
+                        newStatus,
+                        userId: interaction.user.id,
+                        byRowManager: true,
+                    });
+                    if (!result.success) {
+                        release();
+                        return interaction.followUp({ content: result.message, ephemeral: true });
+                    }
+                    statusNote = ` ${result.message}`;
+                }
+            }
+
+            submissions.update(item.guildId, item.rowId, submission.id, {
+                status,
+                feedback,
+                reviewedBy: interaction.user.id,
+                reviewedAt: new Date().toISOString(),
+            });
+            recordSubmissionAudit(item, { userId: interaction.user.id, action: status, submission });
+
+            const outcome = status === "approved" ? "Approved" : "Changes requested";
+            await interaction.editReply({
+                content: `${interaction.message.content}\n\n${outcome} by <@${interaction.user.id}>.${statusNote}`,
+                embeds: [buildSubmissionEmbed(item, submission)],
+                components: [],
+                allowedMentions: { parse: [] },
+            });
+            await notifySubmissionReview(item, submission);
+        } catch (err) {
+            logger.error("Error reviewing a submission:", err);
+            if (submissions.get(item.guildId, item.rowId, submission.id).status === "reviewing") release();
+            await interaction.followUp({ content: "An error occurred while reviewing the submission.", ephemeral: true });
+        }
+    }
+
+    /**
+     * Finds the row and submission a review button or modal is about, and
+     * checks that it's still open and that the user may review it.
+     * Returns { item, submission } or { error }.
+     */
+    function getReviewableSubmission(interaction, guildId, rowId, id) {
+        const item = findScheduleItem(guildId, rowId);
+        const submission = submissions.get(guildId, rowId, id);
+        if (!item || !submission) {
+            return { error: "That submission could not be found. Try again after a refresh." };
+        }
+        if (submission.status === "reviewing") {
+            return { error: `<@${submission.reviewedBy}> is reviewing this submission right now.` };
+        }
+        if (submission.status !== "pending") {
+            return { error: `This submission was already reviewed (${SUBMISSION_STATUS_LABELS[submission.status]}).` };
+        }
+        if (!isRowManager(interaction, item)) {
+            return { error: "Only a manager can review submissions." };
+        }
+        return { item, submission };
+    }
+
+    /**
+     * Handles the Approve / Request changes buttons on a review card.
+     * Requesting changes opens a modal for the feedback first.
+     */
+    async function handleSubmissionButton(interaction) {
+        const [, guildId, rowId, id, decision] = interaction.customId.split(":");
+        const { item, submission, error } = getReviewableSubmission(interaction, guildId, rowId, id);
+        if (error) {
+            return interaction.reply({ content: error, ephemeral: true });
+        }
+
+        if (decision === "changes") {
+            const modal = new ModalBuilder()
+                .setCustomId(`submission-modal:${guildId}:${rowId}:${id}`)
+                .setTitle(`Changes for ${item.sponsor}`.slice(0, 45))
+                .addComponents(
+                    new ActionRowBuilder().addComponents(
+                        new TextInputBuilder()
+                            .setCustomId("feedback")
+                            .setLabel("What should change?")
+                            .setStyle(TextInputStyle.Paragraph)
+                            .setRequired(true)
+                            .setMaxLength(1000)
+                    )
+                );
+            return interaction.showModal(modal);
+        }
+
+        await reviewSubmission(interaction, item, submission, { status: "approved" });
+    }
+
+    /**
+     * Handles the Request changes modal submit.
+     */
+    async function handleSubmissionModal(interaction) {
+        const [, guildId, rowId, id] = interaction.customId.split(":");
+        const { item, submission, error } = getReviewableSubmission(interaction, guildId, rowId, id);
+        if (error) {
+            return interaction.reply({ content: error, ephemeral: true });
+        }
+
+        const feedback = interaction.fields.getTextInputValue("feedback").trim();
+        await reviewSubmission(interaction, item, submission, { status: "changes-requested", feedback });
+    }
+
+    /**
+     * Handles incoming slash commands:
+     * - /schedule: shows the schedule for a month/year to members the guild's ACL allows,
+     *              only in valid channels listed in the sheet
+     * - /refresh: forces a manual fetch from the schedule data source
+     * - /resend: also re-fetches and sends reminders not yet delivered (or all of today's with force),
+     *            optionally only for one creator, channel or row
+     * - /preview-reminders: shows who would get which reminders on a day, without sending
+     * - /status: lets creators (and managers) update a row's status in the Sheet
+     * - /timezone: shows or sets the guild's reminder timezone and local reminder time
+     * - /reminder-policy: shows or sets the automatic deadline reminder offsets
+     * - /validate: lists schema and data problems in the Sheet, with row numbers
+     * - /setup: binds the guild to its own spreadsheet and moderator role (admins only)
+     * - /mydeadlines: shows the user their own rows across every guild (works in DMs)
+     * - /remind-me: the user's delivery, lead-time and snooze preferences (works in DMs)
+     * - /template: previews and edits the guild's reminder messages and embed layout
+     * - /report: shows the manager report and configures the scheduled digest
+     * - /brand: shows one brand's creators, deliverables and statuses, and maps it to a summary channel
+     * - /export: attaches the schedule as .ics and .csv files
+     * - /cron: lists and manages the scheduled jobs (admins only)
+     * - /botstatus: shows the bot's health and delivery counts (admins only)
+     * - /audit: lists recent commands, deliveries, reminder answers and submissions in the guild (admins only)
+     * - /permissions: shows or edits which roles and members may run each manager command (admins only)
+     * - /submit: hands a draft or upload in for review, or lists a row's submissions (works in DMs)
+     * Plus the /status autocomplete, status buttons and status note modal, the
+     * reminder acknowledgement buttons, extension modal and extension thread
+     * buttons, and the submission review buttons and feedback modal.
+     */
+    async function handleInteraction(interaction) {
+        try {
+            if (interaction.isAutocomplete() && interaction.commandName === "status") {
+                return await handleStatusAutocomplete(interaction);
+            }
+            if (interaction.isButton() && interaction.customId.startsWith("status:")) {
+                return await handleStatusButton(interaction);
+            }
+            if (interaction.isModalSubmit() && interaction.customId.startsWith("status-modal:")) {
+                return await handleStatusModal(interaction);
+            }
+            if (interaction.isButton() && interaction.customId.startsWith("ack:")) {
+                return await handleAcknowledgeButton(interaction);
+            }
+            if (interaction.isModalSubmit() && interaction.customId.startsWith("extension-modal:")) {
+                return await handleExtensionModal(interaction);
+            }
+            if (interaction.isButton() && interaction.customId.startsWith("extension:")) {
+                return await handleExtensionButton(interaction);
+            }
+            if (interaction.isAutocomplete() && interaction.commandName === "brand") {
+                return await handleBrandAutocomplete(interaction);
+            }
+            if (interaction.isAutocomplete() && interaction.commandName === "submit") {
+                return await handleSubmitAutocomplete(interaction);
+            }
+            if (interaction.isButton() && interaction.customId.startsWith("submission:")) {
+                return await handleSubmissionButton(interaction);
+            }
+            if (interaction.isModalSubmit() && interaction.customId.startsWith("submission-modal:")) {
+                return await handleSubmissionModal(interaction);
+            }
+            if (interaction.isAutocomplete() && (interaction.commandName === "schedule" || interaction.commandName === "export")) {
+                return await handleScheduleAutocomplete(interaction);
+            }
+            if (interaction.isButton() && interaction.customId.startsWith("schedule-page:")) {
+                return await handleSchedulePageButton(interaction);
+            }
+            if (interaction.isAutocomplete() && interaction.commandName === "remind-me") {
+                return await handleRemindMeAutocomplete(interaction);
+            }
+            if (
+                interaction.isAutocomplete() &&
+                ["template", "resend", "preview-reminders"].includes(interaction.commandName)
+            ) {
+                return await handleRowAutocomplete(interaction);
+            }
+            if (interaction.isAutocomplete() && interaction.commandName === "cron") {
+                return await handleCronAutocomplete(interaction);
+            }
+            if (interaction.isAutocomplete() && interaction.commandName === "timezone") {
+                return await handleTimezoneAutocomplete(interaction);
+            }
+            if (interaction.isAutocomplete() && interaction.commandName === "reminder-policy") {
+                return await handleReminderPolicyAutocomplete(interaction);
+            }
+        } catch (err) {
+            logger.error("Error handling interaction:", err);
+            if (interaction.deferred) {
+                await interaction.editReply("An error occurred while processing your request.");
+            }
+            return;
+        }
+
+        if (!interaction.isChatInputCommand()) return;
+
+        // Keep a trail of who ran what, where
+        try {
+            auditLog.record({
+                type: "command",
+                guildId: interaction.guildId,
+                channelId: interaction.channelId,
+                userId: interaction.user.id,
+                command: interaction.commandName,
+                options: describeCommandOptions(interaction.options.data),
+            });
+        } catch (err) {
+            logger.error("Failed to write the command audit entry", err);
+        }
+
+        // /status works in DMs too, so handle it before reading member permissions
+        if (interaction.commandName === "status") {
+            try {
+                const deliverable = interaction.options.getString("deliverable");
+                const [guildId, rowId] = deliverable.split(":");
+                // The value is free text, so only accept rows the autocomplete would have offered
+                const allowed = getStatusCandidates(interaction)
+                    .some((item) => `${item.guildId}:${item.rowId}` === deliverable);
+                if (!allowed) {
+                    return interaction.reply({
+                        content: "You can't update that deliverable from here. Pick one from the list.",
+                        ephemeral: true,
+                    });
+                }
+                await interaction.deferReply({ ephemeral: true });
+                const result = await updateItemStatus({
+                    guildId,
+                    rowId,
+                    newStatus: interaction.options.getString("status"),
+                    note: (interaction.options.getString("note") || "").trim(),
+                    userId: interaction.user.id,
+                });
+                await interaction.editReply(result.message);
+            } catch (err) {
+                logger.error("Error handling /status command:", err);
+                if (interaction.replied || interaction.deferred) {
+                    await interaction.editReply("An error occurred while updating the status.");
+                } else {
+                    await interaction.reply({ content: "An error occurred while updating the status.", ephemeral: true });
+                }
+            }
+            return;
+        }
+
+        // /submit works in DMs too, for the user's own rows
+        if (interaction.commandName === "submit") {
+            try {
+                await handleSubmitCommand(interaction);
+            } catch (err) {
+                logger.error("Error handling /submit command:", err);
+                if (interaction.replied || interaction.deferred) {
+                    await interaction.editReply("An error occurred while handing in your submission.");
+                } else {
+                    await interaction.reply({ content: "An error occurred while handing in your submission.", ephemeral: true });
+                }
+            }
+            return;
+        }
+
+        // /mydeadlines and /remind-me are personal and work in DMs too
+        if (interaction.commandName === "mydeadlines" || interaction.commandName === "remind-me") {
+            try {
+                if (interaction.commandName === "mydeadlines") {
+                    await handleMyDeadlinesCommand(interaction);
+                } else {
+                    await handleRemindMeCommand(interaction);
+                }
+            } catch (err) {
+                logger.error(`Error handling /${interaction.commandName} command:`, err);
+                if (interaction.replied || interaction.deferred) {
+                    await interaction.followUp({ content: "An error occurred while processing your request.", ephemeral: true });
+                } else {
+                    await interaction.reply({ content: "An error occurred while processing your request.", ephemeral: true });
+                }
+            }
+            return;
+        }
+
+        const member = interaction.member;
+        const isAdmin = member.permissions.has(PermissionsBitField.Flags.Administrator);
+        const isMod = hasModRole(member);
+
+        // /schedule
+        if (interaction.commandName === "schedule") {
+            if (!canRunCommand(member, "schedule")) {
+                return interaction.reply({
+                    content: "You do not have permission to use this command!",
+                    ephemeral: true,
+                });
+            }
+
+            const guildId = interaction.guildId;
+            const guildData = scheduleCache[guildId] || [];
+
+            // Check that the user is in a channel that is in the sheet
+            const validChannels = guildData
+                .map((item) => String(item.channel).trim().toLowerCase())
+                .filter(Boolean);
+
+            const currentChannelName = interaction.channel?.name?.toLowerCase() || "";
+            const currentChannelId = interaction.channel?.id;
+            const isChannelAllowed =
+                validChannels.includes(currentChannelName) ||
+                validChannels.includes(currentChannelId);
+
+            if (!isChannelAllowed) {
+                return interaction.reply({
+                    content: "You can only run this command in a valid schedule channel!",
+                    ephemeral: true,
+                });
+            }
+
+            try {
+                // If user provided a month / year, or default to 'All'
+                const monthArg = interaction.options.getString("month") || "All";
+                const yearArg = interaction.options.getString("year") || "All";
+                const filters = {
+                    creator: interaction.options.getUser("creator")?.id || null,
+                    brand: interaction.options.getString("brand"),
+                    status: interaction.options.getString("status"),
+                    type: interaction.options.getString("type"),
+                };
+                const compact = interaction.options.getBoolean("compact") || false;
+
+                // Filter schedule data for that month/year and the other filters
+                const items = filterScheduleItems(guildId, { ...filters, month: monthArg, year: yearArg });
+
+                if (!items.length) {
+                    await interaction.reply({
+                        content: `No schedule data found for month "${monthArg}" and year "${yearArg}" with those filters.`,
+                        ephemeral: true,
+                    });
+                    return;
+                }
+
+                const filterLabels = [];
+                if (filters.creator) filterLabels.push(`Creator: <@${filters.creator}>`);
+                if (filters.brand) filterLabels.push(`Brand: **${filters.brand}**`);
+                if (filters.status) filterLabels.push(`Status: **${filters.status}**`);
+                if (filters.type) filterLabels.push(`Type: **${filters.type}**`);
+
+                const title = [`Showing schedule for Month: **${monthArg}**, Year: **${yearArg}**`, ...filterLabels].join(", ");
+                const viewId = createScheduleView(interaction.id, { items, compact, title, dataAsOf: getDataAsOf(guildId) });
+
+                await interaction.reply({
+                    ...buildSchedulePage(viewId, scheduleViews.get(viewId), 0),
+                    ephemeral: false,
+                });
+            } catch (err) {
+                logger.error("Error handling /schedule command:", err);
+                if (interaction.replied || interaction.deferred) {
+                    await interaction.followUp("An error occurred while processing your request.");
+                } else {
+                    await interaction.reply("An error occurred while processing your request.");
+                }
+            }
+        }
+
+        // /refresh
+        if (interaction.commandName === "refresh") {
+            if (!canRunCommand(member, "refresh")) {
+                return interaction.reply({
+                    content: "You do not have permission to use this command!",
+                    ephemeral: true,
+                });
+            }
+
+            try {
+                // Fetching can take a while (retries per source), so acknowledge first
+                await interaction.deferReply({ ephemeral: true });
+                if (!(await fetchScheduleData())) {
+                    await interaction.editReply(`The schedule data could not be refreshed: ${lastFetchError}`);
+                    return;
+                }
+
+                const failing = getGuildSourceEntries(interaction.guildId).filter((entry) => entry.consecutiveFailures > 0);
+                await interaction.editReply(
+                    failing.length
+                        ? "Some schedule data could not be refreshed, the last loaded rows are kept:\n" +
+                              failing.map((entry) => `- ${entry.source.name}: ${entry.lastError}`).join("\n")
+                        : "Schedule data has been refreshed from the Sheet."
+                );
+            } catch (err) {
+                logger.error("Error handling /refresh command:", err);
+                if (interaction.replied || interaction.deferred) {
+                    await interaction.followUp("An error occurred while refreshing the schedule data.");
+                } else {
+                    await interaction.reply("An error occurred while refreshing the schedule data.");
+                }
+            }
+        }
+
+        // /resend
+        if (interaction.commandName === "resend") {
+            if (!canRunCommand(member, "resend")) {
+                return interaction.reply({
+                    content: "You do not have permission to use this command!",
+                    ephemeral: true,
+                });
+            }
+
+            try {
+                const force = interaction.options.getBoolean("force") || false;
+                const { target, label } = getReminderTargetOptions(interaction);
+                await interaction.deferReply({ ephemeral: true });
+                await fetchScheduleData();
+
+                // In dry run mode, show what would have gone out instead
+                if (isDryRun()) {
+                    const timeZone = guildSettings.get(interaction.guildId).timezone || getDefaultTimeZone();
+                    const date = getZonedToday(timeZone);
+                    const plan = planGuildReminders(scheduleCache[interaction.guildId] || [], date, { ignoreLedger: force, target });
+                    await interaction.editReply({
+                        content: `Dry run mode (DRY_RUN) is on, so nothing was sent${label}. This is what would have gone out:`,
+                        embeds: [buildReminderPreviewEmbed(interaction.guild, [{ date, plan }], `Reminders for ${formatDate(date)}`)],
+                        allowedMentions: { parse: [] },
+                    });
+                    return;
+                }
+
+                sendScheduledReminders({ force, target });
+                await interaction.editReply({
+                    content: force
+                        ? `Schedule data has been re-fetched and today's reminders${label} have been resent.`
+                        : `Schedule data has been re-fetched and any undelivered reminders${label} have been sent.`,
+                    allowedMentions: { parse: [] },
+                });
+            } catch (err) {
+                logger.error("Error handling /resend command:", err);
+                if (interaction.replied || interaction.deferred) {
+                    await interaction.followUp("An error occurred while resending the schedule data.");
+                } else {
+                    await interaction.reply("An error occurred while resending the schedule data.");
+                }
+            }
+        }
+
+        // /timezone
+        if (interaction.commandName === "timezone") {
+            if (!canRunCommand(member, "timezone")) {
+                return interaction.reply({
+                    content: "You do not have permission to use this command!",
+                    ephemeral: true,
+                });
+            }
+
+            try {
+                await handleTimezoneCommand(interaction);
+            } catch (err) {
+                logger.error("Error handling /timezone command:", err);
+                if (interaction.replied || interaction.deferred) {
+                    await interaction.followUp("An error occurred while updating the timezone settings.");
+                } else {
+                    await interaction.reply("An error occurred while updating the timezone settings.");
+                }
+            }
+        }
+
+        // /reminder-policy
+        if (interaction.commandName === "reminder-policy") {
+            if (!canRunCommand(member, "reminder-policy")) {
+                return interaction.reply({
+                    content: "You do not have permission to use this command!",
+                    ephemeral: true,
+                });
+            }
+
+            try {
+                await handleReminderPolicyCommand(interaction);
+            } catch (err) {
+                logger.error("Error handling /reminder-policy command:", err);
+                if (interaction.replied || interaction.deferred) {
+                    await interaction.followUp("An error occurred while updating the reminder policy.");
+                } else {
+                    await interaction.reply("An error occurred while updating the reminder policy.");
+                }
+            }
+        }
+
+        // /preview-reminders
+        if (interaction.commandName === "preview-reminders") {
+            if (!canRunCommand(member, "preview-reminders")) {
+                return interaction.reply({
+                    content: "You do not have permission to use this command!",
+                    ephemeral: true,
+                });
+            }
+
+            try {
+                await handlePreviewRemindersCommand(interaction);
+            } catch (err) {
+                logger.error("Error handling /preview-reminders command:", err);
+                if (interaction.replied || interaction.deferred) {
+                    await interaction.followUp({ content: "An error occurred while building the preview.", ephemeral: true });
+                } else {
+                    await interaction.reply({ content: "An error occurred while building the preview.", ephemeral: true });
+                }
+            }
+        }
+
+        // /validate
+        if (interaction.commandName === "validate") {
+            if (!canRunCommand(member, "validate")) {
+                return interaction.reply({
+                    content: "You do not have permission to use this command!",
+                    ephemeral: true,
+                });
+            }
+
+            try {
+                await handleValidateCommand(interaction);
+            } catch (err) {
+                logger.error("Error handling /validate command:", err);
+                if (interaction.replied || interaction.deferred) {
+                    await interaction.followUp({ content: "An error occurred while validating the schedule.", ephemeral: true });
+                } else {
+                    await interaction.reply("An error occurred while validating the schedule.");
+                }
+            }
+        }
+
+        // /report
+        if (interaction.commandName === "report") {
+            if (!canRunCommand(member, "report")) {
+                return interaction.reply({
+                    content: "You do not have permission to use this command!",
+                    ephemeral: true,
+                });
+            }
+
+            try {
+                await handleReportCommand(interaction);
+            } catch (err) {
+                logger.error("Error handling /report command:", err);
+                if (interaction.replied || interaction.deferred) {
+                    await interaction.followUp({ content: "An error occurred while building the report.", ephemeral: true });
+                } else {
+                    await interaction.reply({ content: "An error occurred while building the report.", ephemeral: true });
+                }
+            }
+        }
+
+        // /brand
+        if (interaction.commandName === "brand") {
+            if (!canRunCommand(member, "brand")) {
+                return interaction.reply({
+                    content: "You do not have permission to use this command!",
+                    ephemeral: true,
+                });
+            }
+
+            try {
+                await handleBrandCommand(interaction);
+            } catch (err) {
+                logger.error("Error handling /brand command:", err);
+                if (interaction.replied || interaction.deferred) {
+                    await interaction.followUp({ content: "An error occurred while building the brand summary.", ephemeral: true });
+                } else {
+                    await interaction.reply({ content: "An error occurred while building the brand summary.", ephemeral: true });
+                }
+            }
+        }
+
+        // /export (anyone can export their own rows; the ACL decides who may export everyone's)
+        if (interaction.commandName === "export") {
+            try {
+                await handleExportCommand(interaction, canRunCommand(member, "export"));
+            } catch (err) {
+                logger.error("Error handling /export command:", err);
+                if (interaction.replied || interaction.deferred) {
+                    await interaction.followUp({ content: "An error occurred while exporting the schedule.", ephemeral: true });
+                } else {
+                    await interaction.reply({ content: "An error occurred while exporting the schedule.", ephemeral: true });
+                }
+            }
+        }
+
+        // /cron (administrators only, since jobs are shared by every server)
+        if (interaction.commandName === "cron") {
+            if (!isAdmin) {
+                return interaction.reply({
+                    content: "You do not have permission to use this command!",
+                    ephemeral: true,
+                });
+            }
+
+            try {
+                await handleCronCommand(interaction);
+            } catch (err) {
+                logger.error("Error handling /cron command:", err);
+                if (interaction.replied || interaction.deferred) {
+                    await interaction.followUp({ content: "An error occurred while managing the jobs.", ephemeral: true });
+                } else {
+                    await interaction.reply({ content: "An error occurred while managing the jobs.", ephemeral: true });
+                }
+            }
+        }
+
+        // /botstatus
+        if (interaction.commandName === "botstatus") {
+            if (!isAdmin) {
+                return interaction.reply({
+                    content: "You do not have permission to use this command!",
+                    ephemeral: true,
+                });
+            }
+
+            try {
+                await interaction.reply({ embeds: [buildBotStatusEmbed(interaction.guildId)], ephemeral: true });
+            } catch (err) {
+                logger.error("Error handling /botstatus command:", err);
+                if (interaction.replied || interaction.deferred) {
+                    await interaction.followUp({ content: "An error occurred while reading the bot status.", ephemeral: true });
+                } else {
+                    await interaction.reply({ content: "An error occurred while reading the bot status.", ephemeral: true });
+                }
+            }
+        }
+
+        // /audit
+        if (interaction.commandName === "audit") {
+            if (!isAdmin) {
+                return interaction.reply({
+                    content: "You do not have permission to use this command!",
+                    ephemeral: true,
+                });
+            }
+
+            try {
+                await handleAuditCommand(interaction);
+            } catch (err) {
+                logger.error("Error handling /audit command:", err);
+                if (interaction.replied || interaction.deferred) {
+                    await interaction.followUp({ content: "An error occurred while reading the audit trail.", ephemeral: true });
+                } else {
+                    await interaction.reply({ content: "An error occurred while reading the audit trail.", ephemeral: true });
+                }
+            }
+        }
+
+        // /permissions (administrators only, since it decides who may run the rest)
+        if (interaction.commandName === "permissions") {
+            if (!isAdmin) {
+                return interaction.reply({
+                    content: "You do not have permission to use this command!",
+                    ephemeral: true,
+                });
+            }
+
+            try {
+                await handlePermissionsCommand(interaction);
+            } catch (err) {
+                logger.error("Error handling /permissions command:", err);
+                if (interaction.replied || interaction.deferred) {
+                    await interaction.followUp({ content: "An error occurred while updating the permissions.", ephemeral: true });
+                } else {
+                    await interaction.reply({ content: "An error occurred while updating the permissions.", ephemeral: true });
+                }
+            }
+        }
+
+        // /setup (administrators only, since it decides who counts as a moderator)
+        if (interaction.commandName === "setup") {
+            if (!isAdmin) {
+                return interaction.reply({
+                    content: "You do not have permission to use this command!",
+                    ephemeral: true,
+                });
+            }
+
+            try {
+                await handleSetupCommand(interaction);
+            } catch (err) {
+                logger.error("Error handling /setup command:", err);
+                if (interaction.replied || interaction.deferred) {
+                    await interaction.followUp({ content: "An error occurred while updating the setup.", ephemeral: true });
+                } else {
+                    await interaction.reply("An error occurred while updating the setup.");
+                }
+            }
+        }
+
+        // /template
+        if (interaction.commandName === "template") {
+            if (!canRunCommand(member, "template")) {
+                return interaction.reply({
+                    content: "You do not have permission to use this command!",
+                    ephemeral: true,
+                });
+            }
+
+            try {
+                await handleTemplateCommand(interaction);
+            } catch (err) {
+                logger.error("Error handling /template command:", err);
+                if (interaction.replied || interaction.deferred) {
+                    await interaction.followUp({ content: "An error occurred while updating the templates.", ephemeral: true });
+                } else {
+                    await interaction.reply({ content: "An error occurred while updating the templates.", ephemeral: true });
+                }
+            }
+        }
+    }
+
+    /************************************************
+     * 12) Bot Controls
+     ************************************************/
+    /**
+     * start(token) starts the status page and logs in; stop() stops every cron
+     * job and server so the process can exit. The rest is exposed for tests.
+     */
+    client.once("ready", handleReady);
+    client.on("interactionCreate", handleInteraction);
+    client.rest.on("rateLimited", handleRateLimited);
+
+    return {
+        client,
+        commands,
+        guildSettings,
+        reminderLedger,
+        creatorPreferences,
+        getScheduleCache: () => scheduleCache,
+        fetchScheduleData,
+        filterReminderItems,
+        createScheduleEmbeds,
+        sendGuildRemindersForDate,
+        sendScheduledReminders,
+        reminderAcks,
+        checkEscalations,
+        submissions,
+        postBrandSummaries,
+        handleInteraction,
+
+        // The status page starts first, so /healthz reports a bot that never connects
+        async start(token) {
+            startStatusPage();
+            await client.login(token);
+        },
+
+        stop() {
+            for (const task of Object.values(cronTasks)) {
+                task.stop();
+            }
+            cronTasks = {};
+            cronJobDetails = {};
+            if (statusServer) statusServer.close();
+            if (calendarFeedServer) calendarFeedServer.close();
+            statusServer = null;
+            calendarFeedServer = null;
+        },
+    };
+}
+
+module.exports = {
+    createBot,
+};
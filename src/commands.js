@@ -0,0 +1,842 @@
+const { SlashCommandBuilder, ChannelType, PermissionsBitField } = require("discord.js");
+const { CONFIGURABLE_COMMANDS } = require("./accessControl");
+
+/************************************************
+ * Slash Command Definitions
+ ************************************************/
+/**
+ * Defines the slash commands:
+ * 1) /schedule [month] [year] [creator] [brand] [status] [type] [compact]
+ * 2) /refresh
+ * 3) /resend [force] [creator] [channel] [row]
+ * 4) /status <deliverable> <status> [note]
+ * 5) /timezone [zone] [time]
+ * 6) /reminder-policy [offsets] [overdue] [escalate_hours] [type] [reset]
+ * 7) /validate [autopost_channel] [disable_autopost]
+ * 8) /setup [spreadsheet] [sheet_name] [range] [mod_role] [log_channel] [review_channel] [remove_spreadsheet]
+ * 9) /mydeadlines [include_complete] [compact]
+ * 10) /remind-me [delivery] [lead_days] [snooze] [snooze_days]
+ * 11) /template preview|set|status|columns|reset
+ * 12) /report [period] [digest_channel] [digest]
+ * 13) /export [month] [year] [creator] [mine] [format]
+ * 14) /cron list|set|pause|resume|run-now
+ * 15) /botstatus
+ * 16) /audit [user] [command] [date] [type] [limit]
+ * 17) /permissions show|allow|deny|reset
+ * 18) /preview-reminders [date] [force] [creator] [channel] [row]
+ * 19) /submit draft|upload [link] [file] [brand] [note], /submit history [brand]
+ * 20) /brand <name> [cards] [summary_channel] [stop_summaries]
+ * With MANAGER_COMMAND_PERMISSION set, manager commands are hidden from members
+ * without that permission; server admins can show them to more roles under
+ * Server Settings > Integrations.
+ * src/bot.js registers them globally via the REST API.
+ */
+
+/**
+ * Turns a Discord permission name such as "ManageGuild" into its bit, or
+ * null when unset. A name Discord doesn't know is refused rather than
+ * replaced, so a typo stops the bot at startup instead of hiding the
+ * manager commands behind a permission nobody chose.
+ */
+function resolveManagerCommandPermission(name) {
+    if (!name) return null;
+    const permission = PermissionsBitField.Flags[name];
+    if (permission === undefined) {
+        throw new Error(`Unknown MANAGER_COMMAND_PERMISSION "${name}", expected a Discord permission name such as "ManageGuild".`);
+    }
+    return permission;
+}
+
+/**
+ * The permission a member needs to see the manager commands by default
+ * (MANAGER_COMMAND_PERMISSION). Unset, everyone sees them, so moderators
+ * without that permission keep their commands. Who may actually run them
+ * is decided by the guild's ACL either way, see canRunCommand().
+ */
+const MANAGER_COMMAND_PERMISSIONS = resolveManagerCommandPermission(process.env.MANAGER_COMMAND_PERMISSION);
+
+/**
+ * Adds the options shared by /submit draft and /submit upload.
+ */
+function addSubmissionOptions(subcommand) {
+    return subcommand
+        .addStringOption((option) =>
+            option
+                .setName("link")
+                .setDescription("Link to the draft or video")
+                .setRequired(false)
+                .setMaxLength(500)
+        )
+        .addAttachmentOption((option) =>
+            option
+                .setName("file")
+                .setDescription("The file, if you're not sending a link")
+                .setRequired(false)
+        )
+        .addStringOption((option) =>
+            option
+                .setName("brand")
+                .setDescription("The deliverable (needed when you have several)")
+                .setRequired(false)
+                .setAutocomplete(true)
+        )
+        .addStringOption((option) =>
+            option
+                .setName("note")
+                .setDescription("Anything the reviewer should know")
+                .setRequired(false)
+                .setMaxLength(500)
+        );
+}
+
+const commands = [
+    new SlashCommandBuilder()
+        .setName("schedule")
+        .setDescription("Display the current schedule for this server.")
+        .setDMPermission(false)
+        .setDefaultMemberPermissions(MANAGER_COMMAND_PERMISSIONS)
+        .addStringOption((option) =>
+            option
+                .setName("month")
+                .setDescription('Month name (e.g. "January") or "All"')
+                .setRequired(false)
+                .setAutocomplete(true)
+        )
+        .addStringOption((option) =>
+            option
+                .setName("year")
+                .setDescription('Year (e.g. "2023") or "All"')
+                .setRequired(false)
+                .setAutocomplete(true)
+        )
+        .addUserOption((option) =>
+            option
+                .setName("creator")
+                .setDescription("Only show this creator's rows")
+                .setRequired(false)
+        )
+        .addStringOption((option) =>
+            option
+                .setName("brand")
+                .setDescription("Only show rows for this brand")
+                .setRequired(false)
+                .setAutocomplete(true)
+        )
+        .addStringOption((option) =>
+            option
+                .setName("status")
+                .setDescription("Only show rows with this status")
+                .setRequired(false)
+                .addChoices(
+                    { name: "Pending", value: "pending" },
+                    { name: "Draft", value: "draft" },
+                    { name: "Complete", value: "complete" }
+                )
+        )
+        .addStringOption((option) =>
+            option
+                .setName("type")
+                .setDescription("Only show rows of this Type")
+                .setRequired(false)
+                .setAutocomplete(true)
+        )
+        .addBooleanOption((option) =>
+            option
+                .setName("compact")
+                .setDescription("Show a compact table instead of one card per row")
+                .setRequired(false)
+        ),
+    new SlashCommandBuilder()
+        .setName("refresh")
+        .setDescription("Refresh the schedule data from the Sheet.")
+        .setDMPermission(false)
+        .setDefaultMemberPermissions(MANAGER_COMMAND_PERMISSIONS),
+    new SlashCommandBuilder()
+        .setName("resend")
+        .setDescription("Force a resend of notifications, in case changes have been made.")
+        .setDMPermission(false)
+        .setDefaultMemberPermissions(MANAGER_COMMAND_PERMISSIONS)
+        .addBooleanOption((option) =>
+            option
+                .setName("force")
+                .setDescription("Also resend today's reminders that were already delivered")
+                .setRequired(false)
+        )
+        .addUserOption((option) =>
+            option
+                .setName("creator")
+                .setDescription("Only resend this creator's reminders")
+                .setRequired(false)
+        )
+        .addChannelOption((option) =>
+            option
+                .setName("channel")
+                .setDescription("Only resend reminders for rows in this channel")
+                .addChannelTypes(ChannelType.GuildText)
+                .setRequired(false)
+        )
+        .addStringOption((option) =>
+            option
+                .setName("row")
+                .setDescription("Only resend the reminders for this row")
+                .setRequired(false)
+                .setAutocomplete(true)
+        ),
+    new SlashCommandBuilder()
+        .setName("preview-reminders")
+        .setDescription("Show who would get which reminders on a day, without sending anything.")
+        .setDMPermission(false)
+        .setDefaultMemberPermissions(MANAGER_COMMAND_PERMISSIONS)
+        .addStringOption((option) =>
+            option
+                .setName("date")
+                .setDescription('The day to preview, e.g. "2025-04-10" or "Apr 10" (default: today)')
+                .setRequired(false)
+        )
+        .addBooleanOption((option) =>
+            option
+                .setName("force")
+                .setDescription("Include reminders already delivered (what /resend force would send)")
+                .setRequired(false)
+        )
+        .addUserOption((option) =>
+            option
+                .setName("creator")
+                .setDescription("Only this creator's reminders")
+                .setRequired(false)
+        )
+        .addChannelOption((option) =>
+            option
+                .setName("channel")
+                .setDescription("Only reminders for rows in this channel")
+                .addChannelTypes(ChannelType.GuildText)
+                .setRequired(false)
+        )
+        .addStringOption((option) =>
+            option
+                .setName("row")
+                .setDescription("Only this row's reminders")
+                .setRequired(false)
+                .setAutocomplete(true)
+        ),
+    new SlashCommandBuilder()
+        .setName("status")
+        .setDescription("Update the status of one of your deliverables.")
+        .addStringOption((option) =>
+            option
+                .setName("deliverable")
+                .setDescription("The sponsorship to update")
+                .setRequired(true)
+                .setAutocomplete(true)
+        )
+        .addStringOption((option) =>
+            option
+                .setName("status")
+                .setDescription("The new status")
+                .setRequired(true)
+                .addChoices(
+                    { name: "Pending", value: "pending" },
+                    { name: "Draft", value: "draft" },
+                    { name: "Complete", value: "complete" }
+                )
+        )
+        .addStringOption((option) =>
+            option
+                .setName("note")
+                .setDescription("Optional note, saved to the Status Message column")
+                .setRequired(false)
+                .setMaxLength(500)
+        ),
+    new SlashCommandBuilder()
+        .setName("timezone")
+        .setDescription("Show or set the timezone and local time reminders are sent at.")
+        .setDMPermission(false)
+        .setDefaultMemberPermissions(MANAGER_COMMAND_PERMISSIONS)
+        .addStringOption((option) =>
+            option
+                .setName("zone")
+                .setDescription('IANA timezone (e.g. "Europe/Berlin"), or "default"')
+                .setRequired(false)
+                .setAutocomplete(true)
+        )
+        .addStringOption((option) =>
+            option
+                .setName("time")
+                .setDescription('Local time to send reminders, HH:MM 24h (e.g. "09:00"), or "default"')
+                .setRequired(false)
+        ),
+    new SlashCommandBuilder()
+        .setName("reminder-policy")
+        .setDescription("Show or set how many days before each deadline reminders are sent.")
+        .setDMPermission(false)
+        .setDefaultMemberPermissions(MANAGER_COMMAND_PERMISSIONS)
+        .addStringOption((option) =>
+            option
+                .setName("offsets")
+                .setDescription('Days before the deadline, e.g. "7,3,1", or "none"')
+                .setRequired(false)
+        )
+        .addBooleanOption((option) =>
+            option
+                .setName("overdue")
+                .setDescription("Send daily reminders once a deadline has passed")
+                .setRequired(false)
+        )
+        .addIntegerOption((option) =>
+            option
+                .setName("escalate_hours")
+                .setDescription("Escalate unanswered reminders this many hours before the deadline (0 = never)")
+                .setRequired(false)
+                .setMinValue(0)
+                .setMaxValue(720)
+        )
+        .addStringOption((option) =>
+            option
+                .setName("type")
+                .setDescription("Only apply to rows of this Type")
+                .setRequired(false)
+                .setAutocomplete(true)
+        )
+        .addBooleanOption((option) =>
+            option
+                .setName("reset")
+                .setDescription("Reset to the default policy")
+                .setRequired(false)
+        ),
+    new SlashCommandBuilder()
+        .setName("validate")
+        .setDescription("Check the Sheet for missing columns, bad values and unknown channels or creators.")
+        .setDMPermission(false)
+        .setDefaultMemberPermissions(MANAGER_COMMAND_PERMISSIONS)
+        .addChannelOption((option) =>
+            option
+                .setName("autopost_channel")
+                .setDescription("Also post the report here after each refresh when problems change")
+                .addChannelTypes(ChannelType.GuildText)
+                .setRequired(false)
+        )
+        .addBooleanOption((option) =>
+            option
+                .setName("disable_autopost")
+                .setDescription("Stop posting the report automatically")
+                .setRequired(false)
+        ),
+    new SlashCommandBuilder()
+        .setName("report")
+        .setDescription("Show the manager report: what's due, overdue, and completion rates.")
+        .setDMPermission(false)
+        .setDefaultMemberPermissions(MANAGER_COMMAND_PERMISSIONS)
+        .addStringOption((option) =>
+            option
+                .setName("period")
+                .setDescription("Which report to show (default: week)")
+                .setRequired(false)
+                .addChoices(
+                    { name: "Week", value: "week" },
+                    { name: "Month", value: "month" }
+                )
+        )
+        .addChannelOption((option) =>
+            option
+                .setName("digest_channel")
+                .setDescription("Channel the scheduled digest is posted to")
+                .addChannelTypes(ChannelType.GuildText)
+                .setRequired(false)
+        )
+        .addStringOption((option) =>
+            option
+                .setName("digest")
+                .setDescription("Which digests to post on schedule")
+                .setRequired(false)
+                .addChoices(
+                    { name: "Weekly", value: "weekly" },
+                    { name: "Monthly", value: "monthly" },
+                    { name: "Weekly and monthly", value: "both" },
+                    { name: "Off", value: "off" }
+                )
+        ),
+    new SlashCommandBuilder()
+        .setName("export")
+        .setDescription("Download the schedule as a calendar (.ics) and spreadsheet (.csv).")
+        .setDMPermission(false)
+        .addStringOption((option) =>
+            option
+                .setName("month")
+                .setDescription('Month name (e.g. "January") or "All"')
+                .setRequired(false)
+                .setAutocomplete(true)
+        )
+        .addStringOption((option) =>
+            option
+                .setName("year")
+                .setDescription('Year (e.g. "2023") or "All"')
+                .setRequired(false)
+                .setAutocomplete(true)
+        )
+        .addUserOption((option) =>
+            option
+                .setName("creator")
+                .setDescription("Only export this creator's rows (managers)")
+                .setRequired(false)
+        )
+        .addBooleanOption((option) =>
+            option
+                .setName("mine")
+                .setDescription("Only export your own rows, with your calendar feed link")
+                .setRequired(false)
+        )
+        .addStringOption((option) =>
+            option
+                .setName("format")
+                .setDescription("Which files to attach (default: both)")
+                .setRequired(false)
+                .addChoices(
+                    { name: "Calendar and CSV", value: "both" },
+                    { name: "Calendar (.ics)", value: "ics" },
+                    { name: "CSV", value: "csv" }
+                )
+        ),
+    new SlashCommandBuilder()
+        .setName("cron")
+        .setDescription("Manage the bot's scheduled jobs (affects every server).")
+        .setDMPermission(false)
+        .setDefaultMemberPermissions(PermissionsBitField.Flags.Administrator)
+        .addSubcommand((subcommand) =>
+            subcommand
+                .setName("list")
+                .setDescription("List the jobs with their expressions and next fire times")
+        )
+        .addSubcommand((subcommand) =>
+            subcommand
+                .setName("set")
+                .setDescription("Change a job's cron expression")
+                .addStringOption((option) =>
+                    option
+                        .setName("job")
+                        .setDescription("The job")
+                        .setRequired(true)
+                        .setAutocomplete(true)
+                )
+                .addStringOption((option) =>
+                    option
+                        .setName("expression")
+                        .setDescription('Cron expression, e.g. "0 9 * * *", or "default" to use the .env value')
+                        .setRequired(true)
+                )
+        )
+        .addSubcommand((subcommand) =>
+            subcommand
+                .setName("pause")
+                .setDescription("Stop a job from firing until it's resumed")
+                .addStringOption((option) =>
+                    option
+                        .setName("job")
+                        .setDescription("The job")
+                        .setRequired(true)
+                        .setAutocomplete(true)
+                )
+        )
+        .addSubcommand((subcommand) =>
+            subcommand
+                .setName("resume")
+                .setDescription("Resume a paused job")
+                .addStringOption((option) =>
+                    option
+                        .setName("job")
+                        .setDescription("The job")
+                        .setRequired(true)
+                        .setAutocomplete(true)
+                )
+        )
+        .addSubcommand((subcommand) =>
+            subcommand
+                .setName("run-now")
+                .setDescription("Run a job immediately")
+                .addStringOption((option) =>
+                    option
+                        .setName("job")
+                        .setDescription("The job")
+                        .setRequired(true)
+                        .setAutocomplete(true)
+                )
+        ),
+    new SlashCommandBuilder()
+        .setName("botstatus")
+        .setDescription("Show the bot's health: connection, last fetch, reminders and jobs.")
+        .setDMPermission(false)
+        .setDefaultMemberPermissions(PermissionsBitField.Flags.Administrator),
+    new SlashCommandBuilder()
+        .setName("audit")
+        .setDescription("Show recent audit entries: commands run and reminders delivered in this server.")
+        .setDMPermission(false)
+        .setDefaultMemberPermissions(PermissionsBitField.Flags.Administrator)
+        .addUserOption((option) =>
+            option
+                .setName("user")
+                .setDescription("Only entries by (or delivered to) this user")
+                .setRequired(false)
+        )
+        .addStringOption((option) =>
+            option
+                .setName("command")
+                .setDescription('Only this command, e.g. "refresh"')
+                .setRequired(false)
+        )
+        .addStringOption((option) =>
+            option
+                .setName("date")
+                .setDescription("Only this day (UTC), as YYYY-MM-DD")
+                .setRequired(false)
+        )
+        .addStringOption((option) =>
+            option
+                .setName("type")
+                .setDescription("Only one kind of entry")
+                .setRequired(false)
+                .addChoices(
+                    { name: "Commands", value: "command" },
+                    { name: "Deliveries", value: "delivery" },
+                    { name: "Reminder answers and escalations", value: "acknowledgement" },
+                    { name: "Submissions and reviews", value: "submission" }
+                )
+        )
+        .addIntegerOption((option) =>
+            option
+                .setName("limit")
+                .setDescription("How many entries to show (default 20)")
+                .setRequired(false)
+                .setMinValue(1)
+                .setMaxValue(50)
+        ),
+    new SlashCommandBuilder()
+        .setName("permissions")
+        .setDescription("Choose which roles and members may run each manager command in this server.")
+        .setDMPermission(false)
+        .setDefaultMemberPermissions(PermissionsBitField.Flags.Administrator)
+        .addSubcommand((subcommand) =>
+            subcommand
+                .setName("show")
+                .setDescription("Show who may run each manager command")
+        )
+        .addSubcommand((subcommand) =>
+            subcommand
+                .setName("allow")
+                .setDescription("Let a role or member run a command")
+                .addStringOption((option) =>
+                    option
+                        .setName("command")
+                        .setDescription("The command")
+                        .setRequired(true)
+                        .addChoices(...CONFIGURABLE_COMMANDS.map((name) => ({ name: `/${name}`, value: name })))
+                )
+                .addRoleOption((option) =>
+                    option
+                        .setName("role")
+                        .setDescription("Role to allow")
+                        .setRequired(false)
+                )
+                .addUserOption((option) =>
+                    option
+                        .setName("user")
+                        .setDescription("Member to allow")
+                        .setRequired(false)
+                )
+        )
+        .addSubcommand((subcommand) =>
+            subcommand
+                .setName("deny")
+                .setDescription("Take a role or member back off a command's list")
+                .addStringOption((option) =>
+                    option
+                        .setName("command")
+                        .setDescription("The command")
+                        .setRequired(true)
+                        .addChoices(...CONFIGURABLE_COMMANDS.map((name) => ({ name: `/${name}`, value: name })))
+                )
+                .addRoleOption((option) =>
+                    option
+                        .setName("role")
+                        .setDescription("Role to remove")
+                        .setRequired(false)
+                )
+                .addUserOption((option) =>
+                    option
+                        .setName("user")
+                        .setDescription("Member to remove")
+                        .setRequired(false)
+                )
+        )
+        .addSubcommand((subcommand) =>
+            subcommand
+                .setName("reset")
+                .setDescription("Go back to the default (admins and the moderator role)")
+                .addStringOption((option) =>
+                    option
+                        .setName("command")
+                        .setDescription("The command (all of them if left out)")
+                        .setRequired(false)
+                        .addChoices(...CONFIGURABLE_COMMANDS.map((name) => ({ name: `/${name}`, value: name })))
+                )
+        ),
+    new SlashCommandBuilder()
+        .setName("setup")
+        .setDescription("Bind this server to its own spreadsheet and moderator role.")
+        .setDMPermission(false)
+        .setDefaultMemberPermissions(PermissionsBitField.Flags.Administrator)
+        .addStringOption((option) =>
+            option
+                .setName("spreadsheet")
+                .setDescription("Spreadsheet ID or URL")
+                .setRequired(false)
+        )
+        .addStringOption((option) =>
+            option
+                .setName("sheet_name")
+                .setDescription("Tab name inside the spreadsheet")
+                .setRequired(false)
+        )
+        .addStringOption((option) =>
+            option
+                .setName("range")
+                .setDescription('Column range, e.g. "A:Z" (default)')
+                .setRequired(false)
+        )
+        .addRoleOption((option) =>
+            option
+                .setName("mod_role")
+                .setDescription("Role allowed to run the manager commands")
+                .setRequired(false)
+        )
+        .addChannelOption((option) =>
+            option
+                .setName("log_channel")
+                .setDescription("Manager channel where schedule changes are posted")
+                .addChannelTypes(ChannelType.GuildText)
+                .setRequired(false)
+        )
+        .addChannelOption((option) =>
+            option
+                .setName("review_channel")
+                .setDescription("Channel where /submit drafts and uploads are reviewed (default: the log channel)")
+                .addChannelTypes(ChannelType.GuildText)
+                .setRequired(false)
+        )
+        .addBooleanOption((option) =>
+            option
+                .setName("remove_spreadsheet")
+                .setDescription("Go back to the shared default schedule")
+                .setRequired(false)
+        ),
+    new SlashCommandBuilder()
+        .setName("mydeadlines")
+        .setDescription("Show your own deliverables across every server, nearest deadline first.")
+        .addBooleanOption((option) =>
+            option
+                .setName("include_complete")
+                .setDescription("Also show deliverables marked complete")
+                .setRequired(false)
+        )
+        .addBooleanOption((option) =>
+            option
+                .setName("compact")
+                .setDescription("Show a compact table instead of one card per row")
+                .setRequired(false)
+        ),
+    new SlashCommandBuilder()
+        .setName("remind-me")
+        .setDescription("Show or change how you get your reminders.")
+        .addStringOption((option) =>
+            option
+                .setName("delivery")
+                .setDescription("Where your reminders go")
+                .setRequired(false)
+                .addChoices(
+                    { name: "Direct message", value: "dm" },
+                    { name: "Channel post", value: "channel" },
+                    { name: "As set in the sheet", value: "sheet" }
+                )
+        )
+        .addStringOption((option) =>
+            option
+                .setName("lead_days")
+                .setDescription('Extra reminders, days before each deadline, e.g. "14,10", or "none"')
+                .setRequired(false)
+        )
+        .addStringOption((option) =>
+            option
+                .setName("snooze")
+                .setDescription("A deliverable to stop reminding you about for a while")
+                .setRequired(false)
+                .setAutocomplete(true)
+        )
+        .addIntegerOption((option) =>
+            option
+                .setName("snooze_days")
+                .setDescription("How many days to snooze it (default 1, 0 to unsnooze)")
+                .setRequired(false)
+                .setMinValue(0)
+                .setMaxValue(30)
+        ),
+    new SlashCommandBuilder()
+        .setName("template")
+        .setDescription("Customize this server's reminder messages and embeds.")
+        .setDMPermission(false)
+        .setDefaultMemberPermissions(MANAGER_COMMAND_PERMISSIONS)
+        .addSubcommand((subcommand) =>
+            subcommand
+                .setName("preview")
+                .setDescription("Preview the reminder messages and embed for a deliverable")
+                .addStringOption((option) =>
+                    option
+                        .setName("deliverable")
+                        .setDescription("The row to preview with (defaults to the first one)")
+                        .setRequired(false)
+                        .setAutocomplete(true)
+                )
+        )
+        .addSubcommand((subcommand) =>
+            subcommand
+                .setName("set")
+                .setDescription("Change one of the messages; placeholders like {brand} are filled in")
+                .addStringOption((option) =>
+                    option
+                        .setName("message")
+                        .setDescription("The message to change")
+                        .setRequired(true)
+                        .addChoices(
+                            { name: "Channel post intro", value: "channelIntro" },
+                            { name: "Channel post intro (missed day)", value: "channelIntroMissed" },
+                            { name: "DM intro", value: "dmIntro" },
+                            { name: "DM intro (missed day)", value: "dmIntroMissed" },
+                            { name: "Embed title", value: "embedTitle" },
+                            { name: "Embed description", value: "embedDescription" }
+                        )
+                )
+                .addStringOption((option) =>
+                    option
+                        .setName("text")
+                        .setDescription("The new text")
+                        .setRequired(true)
+                        .setMaxLength(1000)
+                )
+        )
+        .addSubcommand((subcommand) =>
+            subcommand
+                .setName("status")
+                .setDescription("Set the embed color and emoji for a status")
+                .addStringOption((option) =>
+                    option
+                        .setName("status")
+                        .setDescription('The status, e.g. "pending" or "in review"')
+                        .setRequired(true)
+                )
+                .addStringOption((option) =>
+                    option
+                        .setName("color")
+                        .setDescription('Hex color, e.g. "2089e8"')
+                        .setRequired(false)
+                )
+                .addStringOption((option) =>
+                    option
+                        .setName("emoji")
+                        .setDescription('Emoji shown next to the status, or "none"')
+                        .setRequired(false)
+                )
+        )
+        .addSubcommand((subcommand) =>
+            subcommand
+                .setName("columns")
+                .setDescription("Extra sheet columns to show on each embed")
+                .addStringOption((option) =>
+                    option
+                        .setName("columns")
+                        .setDescription('Comma-separated header names, e.g. "Notes, Contact", or "none"')
+                        .setRequired(true)
+                )
+        )
+        .addSubcommand((subcommand) =>
+            subcommand
+                .setName("reset")
+                .setDescription("Go back to the default templates")
+                .addStringOption((option) =>
+                    option
+                        .setName("message")
+                        .setDescription("Only reset this message (default: reset everything)")
+                        .setRequired(false)
+                        .addChoices(
+                            { name: "Channel post intro", value: "channelIntro" },
+                            { name: "Channel post intro (missed day)", value: "channelIntroMissed" },
+                            { name: "DM intro", value: "dmIntro" },
+                            { name: "DM intro (missed day)", value: "dmIntroMissed" },
+                            { name: "Embed title", value: "embedTitle" },
+                            { name: "Embed description", value: "embedDescription" }
+                        )
+                )
+        ),
+    new SlashCommandBuilder()
+        .setName("submit")
+        .setDescription("Hand in a draft or upload for review, or see what you've handed in.")
+        .addSubcommand((subcommand) =>
+            addSubmissionOptions(
+                subcommand
+                    .setName("draft")
+                    .setDescription("Submit a draft for review")
+            )
+        )
+        .addSubcommand((subcommand) =>
+            addSubmissionOptions(
+                subcommand
+                    .setName("upload")
+                    .setDescription("Submit the final upload for review")
+            )
+        )
+        .addSubcommand((subcommand) =>
+            subcommand
+                .setName("history")
+                .setDescription("List the submissions for a deliverable")
+                .addStringOption((option) =>
+                    option
+                        .setName("brand")
+                        .setDescription("The deliverable (needed when you have several)")
+                        .setRequired(false)
+                        .setAutocomplete(true)
+                )
+        ),
+    new SlashCommandBuilder()
+        .setName("brand")
+        .setDescription("Show every creator, deliverable and status for one brand.")
+        .setDMPermission(false)
+        .setDefaultMemberPermissions(MANAGER_COMMAND_PERMISSIONS)
+        .addStringOption((option) =>
+            option
+                .setName("name")
+                .setDescription("The brand")
+                .setRequired(true)
+                .setAutocomplete(true)
+        )
+        .addBooleanOption((option) =>
+            option
+                .setName("cards")
+                .setDescription("Also show a card per deliverable")
+                .setRequired(false)
+        )
+        .addChannelOption((option) =>
+            option
+                .setName("summary_channel")
+                .setDescription("Post this brand's summary to this channel on schedule")
+                .addChannelTypes(ChannelType.GuildText)
+                .setRequired(false)
+        )
+        .addBooleanOption((option) =>
+            option
+                .setName("stop_summaries")
+                .setDescription("Stop posting this brand's scheduled summary")
+                .setRequired(false)
+        ),
+].map((cmd) => cmd.toJSON());
+
+module.exports = {
+    MANAGER_COMMAND_PERMISSIONS,
+    resolveManagerCommandPermission,
+    commands,
+};
@@ -0,0 +1,75 @@
+const { createJsonStore } = require("./jsonStore");
+
+/************************************************
+ * Creator Preferences
+ ************************************************/
+/**
+ * Per-creator reminder preferences set through /remind-me, persisted to
+ * creator-preferences.json and keyed by Discord user ID:
+ * - delivery: "dm" or "channel" (overrides the sheet's Reminder Type),
+ *   unset to follow the sheet
+ * - extraOffsets: extra lead-time reminders, in days before each deadline
+ * - snoozes: { "<guildId>:<rowId>": "YYYY-MM-DD" } reminders for a row are
+ *   held back up to and including that date
+ */
+function createCreatorPreferences(fileName = "creator-preferences.json") {
+    const store = createJsonStore(fileName, { users: {} });
+
+    return {
+        /**
+         * Returns a user's preferences (an empty object if none are set).
+         */
+        get(userId) {
+            return store.data.users[String(userId).trim()] || {};
+        },
+
+        /**
+         * Merges `changes` into a user's preferences and saves them.
+         * Keys set to null or undefined are removed.
+         */
+        update(userId, changes) {
+            const key = String(userId).trim();
+            const prefs = { ...(store.data.users[key] || {}) };
+            for (const [name, value] of Object.entries(changes)) {
+                if (value === null || value === undefined) {
+                    delete prefs[name];
+                } else {
+                    prefs[name] = value;
+                }
+            }
+            store.data.users[key] = prefs;
+            store.save();
+            return prefs;
+        },
+
+        /**
+         * Snoozes reminders for one row until `untilIso` (inclusive), or
+         * lifts the snooze when it's null. Snoozes that already ran out
+         * are dropped.
+         */
+        snooze(userId, rowKey, untilIso, todayIso) {
+            const snoozes = {};
+            for (const [key, until] of Object.entries(this.get(userId).snoozes || {})) {
+                if (until >= todayIso) snoozes[key] = until;
+            }
+            if (untilIso) {
+                snoozes[rowKey] = untilIso;
+            } else {
+                delete snoozes[rowKey];
+            }
+            return this.update(userId, { snoozes: Object.keys(snoozes).length ? snoozes : null });
+        },
+
+        /**
+         * Returns true if the row's reminders are snoozed on `isoDate`.
+         */
+        isSnoozed(userId, rowKey, isoDate) {
+            const until = (this.get(userId).snoozes || {})[rowKey];
+            return Boolean(until && isoDate <= until);
+        },
+    };
+}
+
+module.exports = {
+    createCreatorPreferences,
+};
@@ -0,0 +1,75 @@
+const cron = require("node-cron");
+// node-cron's own expander, so names, ranges and steps mean exactly what the scheduler does
+const convertExpression = require("node-cron/src/convert-expression");
+const { getZonedParts } = require("./timezones");
+
+/************************************************
+ * Cron Expression Helpers
+ ************************************************/
+/**
+ * Validation and next fire times for cron expressions, matching
+ * node-cron's semantics: 5 or 6 fields (seconds optional), and the
+ * day-of-month and weekday fields must both match.
+ */
+
+/**
+ * Returns true if node-cron accepts the expression.
+ */
+function isValidCronExpression(expression) {
+    return typeof expression === "string" && expression.trim() !== "" && cron.validate(expression.trim());
+}
+
+/**
+ * Expands an expression into sets of allowed values per field.
+ */
+function expandExpression(expression) {
+    const [seconds, minutes, hours, days, months, weekdays] = convertExpression(expression.trim())
+        .split(" ")
+        .map((field) => new Set(field.split(",").map(Number)));
+    return { seconds, minutes, hours, days, months, weekdays };
+}
+
+/**
+ * Returns the next `count` times (as Dates) the expression fires after
+ * `from`, evaluated in `timeZone` (or the host's zone). Looks at most a
+ * year ahead, so expressions that never fire return fewer times.
+ */
+function getNextFireTimes(expression, { count = 3, timeZone = null, from = new Date() } = {}) {
+    if (!isValidCronExpression(expression)) return [];
+    const fields = expandExpression(expression);
+    const sortedSeconds = [...fields.seconds].sort((a, b) => a - b);
+    const zone = timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+    const times = [];
+    const limit = from.getTime() + 366 * 24 * 60 * 60 * 1000;
+    // Start at the beginning of the current minute and walk forward,
+    // skipping whole days/hours that can't match
+    let cursor = Math.floor(from.getTime() / 60000) * 60000;
+
+    while (times.length < count && cursor <= limit) {
+        const parts = getZonedParts(new Date(cursor), zone);
+        const weekday = new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay();
+
+        if (!fields.months.has(parts.month) || !fields.days.has(parts.day) || !fields.weekdays.has(weekday)) {
+            cursor += ((24 - parts.hour) * 60 - parts.minute) * 60000;
+            continue;
+        }
+        if (!fields.hours.has(parts.hour)) {
+            cursor += (60 - parts.minute) * 60000;
+            continue;
+        }
+        if (fields.minutes.has(parts.minute)) {
+            for (const second of sortedSeconds) {
+                const time = cursor + second * 1000;
+                if (time > from.getTime() && times.length < count) times.push(new Date(time));
+            }
+        }
+        cursor += 60000;
+    }
+    return times;
+}
+
+module.exports = {
+    isValidCronExpression,
+    getNextFireTimes,
+};
@@ -0,0 +1,206 @@
+const { google } = require("googleapis");
+const { withRetry } = require("../retry");
+const { getLogger } = require("../logger");
+
+/************************************************
+ * Google Sheets Data Source
+ ************************************************/
+/**
+ * Reads and writes schedule rows in a Google Sheet using a service account.
+ * Rows are addressed by their data index (0 = first row under the header),
+ * which this source maps to A1 references on the sheet.
+ */
+
+/**
+ * Converts a column letter (e.g. "A", "AB") into a zero-based index.
+ */
+function columnLetterToIndex(letters) {
+    let index = 0;
+    for (const char of String(letters || "A").toUpperCase()) {
+        index = index * 26 + (char.charCodeAt(0) - 64);
+    }
+    return index - 1;
+}
+
+/**
+ * Converts a zero-based column index back into a column letter.
+ */
+function columnIndexToLetter(index) {
+    let letters = "";
+    let n = index + 1;
+    while (n > 0) {
+        const rem = (n - 1) % 26;
+        letters = String.fromCharCode(65 + rem) + letters;
+        n = Math.floor((n - 1) / 26);
+    }
+    return letters;
+}
+
+/**
+ * HTTP statuses and network errors worth retrying: quota (429),
+ * timeouts and server-side failures.
+ */
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+const RETRYABLE_NETWORK_CODES = new Set(["ECONNRESET", "ETIMEDOUT", "ECONNREFUSED", "EAI_AGAIN", "ENOTFOUND", "EPIPE"]);
+
+/**
+ * Returns the HTTP status of a googleapis error, if any.
+ */
+function getErrorStatus(err) {
+    if (err && err.response && err.response.status) return err.response.status;
+    const code = Number(err && err.code);
+    return Number.isInteger(code) && code >= 100 ? code : null;
+}
+
+/**
+ * Returns true for Sheets API errors that may succeed on retry.
+ */
+function isTransientSheetsError(err) {
+    const status = getErrorStatus(err);
+    if (status !== null) return RETRYABLE_STATUSES.has(status);
+    return Boolean(err && RETRYABLE_NETWORK_CODES.has(err.code));
+}
+
+/**
+ * Returns the delay a Retry-After header asked for, in milliseconds.
+ */
+function getRetryAfterMs(err) {
+    const headers = (err && err.response && err.response.headers) || {};
+    const value = typeof headers.get === "function" ? headers.get("retry-after") : headers["retry-after"];
+    const seconds = Number(value);
+    return value !== undefined && value !== null && Number.isFinite(seconds) ? seconds * 1000 : null;
+}
+
+/**
+ * Runs a Sheets API call with retries (SHEETS_MAX_ATTEMPTS, default 4;
+ * SHEETS_RETRY_DELAY_MS, default 1000, doubled each retry).
+ */
+function withSheetsRetry(label, operation) {
+    return withRetry(operation, {
+        maxAttempts: Number(process.env.SHEETS_MAX_ATTEMPTS || 4),
+        baseDelayMs: Number(process.env.SHEETS_RETRY_DELAY_MS || 1000),
+        isRetryable: isTransientSheetsError,
+        getRetryAfterMs,
+        onRetry: (err, attempt, delay) => {
+            getLogger().warn(
+                `${label} failed (attempt ${attempt}, status ${getErrorStatus(err) || err.code}), retrying in ${Math.round(delay)}ms`
+            );
+        },
+    });
+}
+
+/**
+ * Creates a Google Sheets data source.
+ *
+ * Options:
+ * - spreadsheetId, sheetName: which tab to read
+ * - startingColumn, endingColumn: column letters bounding the range
+ * - serviceAccountEmail, serviceAccountPrivateKey: service account credentials.
+ *   The private key may contain literal '\n' which we replace with real newlines.
+ * - sheetsClient: an already built Sheets API client to use instead (tests)
+ */
+function createGoogleSheetsSource(options) {
+    const {
+        spreadsheetId,
+        sheetName,
+        startingColumn = "A",
+        endingColumn = "Z",
+        serviceAccountEmail,
+        sheetsClient = null,
+    } = options;
+    const serviceAccountPrivateKey = (options.serviceAccountPrivateKey || "").replace(/\\n/g, "\n");
+
+    /**
+     * Creates a Google Auth JWT client using the service account
+     * credentials, granting read/write scope to Google Sheets
+     * (write access is needed for /status updates).
+     */
+    async function getSheetsClient() {
+        if (sheetsClient) return sheetsClient;
+        const auth = new google.auth.JWT({
+            email: serviceAccountEmail,
+            key: serviceAccountPrivateKey,
+            scopes: ["https://www.googleapis.com/auth/spreadsheets"],
+        });
+        return google.sheets({ version: "v4", auth });
+    }
+
+    /**
+     * The Sheet row number (1-based) for a data row index.
+     * The header occupies row 1.
+     */
+    function getSheetRowNumber(rowIndex) {
+        return Number(rowIndex) + 2;
+    }
+
+    /**
+     * Returns the A1 cell reference for the given header index on a sheet row.
+     */
+    function getCellRange(headerIndex, sheetRow) {
+        const letter = columnIndexToLetter(columnLetterToIndex(startingColumn) + headerIndex);
+        return `${sheetName}!${letter}${sheetRow}`;
+    }
+
+    return {
+        name: `Google Sheet ${sheetName}`,
+
+        /**
+         * Returns every row in the range, header row first.
+         */
+        async loadRows() {
+            const sheets = await getSheetsClient();
+            const result = await withSheetsRetry(`Loading ${sheetName}`, () =>
+                sheets.spreadsheets.values.get({
+                    spreadsheetId,
+                    range: `${sheetName}!${startingColumn}:${endingColumn}`,
+                })
+            );
+            return result.data.values || [];
+        },
+
+        /**
+         * Re-reads a single data row straight from the Sheet.
+         */
+        async readRow(rowIndex) {
+            const sheets = await getSheetsClient();
+            const sheetRow = getSheetRowNumber(rowIndex);
+            const result = await withSheetsRetry(`Reading ${sheetName} row ${sheetRow}`, () =>
+                sheets.spreadsheets.values.get({
+                    spreadsheetId,
+                    range: `${sheetName}!${startingColumn}${sheetRow}:${endingColumn}${sheetRow}`,
+                })
+            );
+            return (result.data.values || [])[0] || [];
+        },
+
+        /**
+         * Writes values into a data row. `updates` maps header index -> value.
+         */
+        async writeCells(rowIndex, updates) {
+            const sheets = await getSheetsClient();
+            const sheetRow = getSheetRowNumber(rowIndex);
+            const data = Object.entries(updates).map(([headerIndex, value]) => ({
+                range: getCellRange(Number(headerIndex), sheetRow),
+                values: [[value]],
+            }));
+
+            await withSheetsRetry(`Writing ${sheetName} row ${sheetRow}`, () =>
+                sheets.spreadsheets.values.batchUpdate({
+                    spreadsheetId,
+                    requestBody: { valueInputOption: "RAW", data },
+                })
+            );
+        },
+
+        describeRow(rowIndex) {
+            return `sheet row ${getSheetRowNumber(rowIndex)}`;
+        },
+    };
+}
+
+module.exports = {
+    createGoogleSheetsSource,
+    isTransientSheetsError,
+    columnLetterToIndex,
+    columnIndexToLetter,
+};
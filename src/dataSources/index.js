@@ -0,0 +1,72 @@
+const { createGoogleSheetsSource } = require("./googleSheets");
+const { createLocalFileSource } = require("./localFile");
+const { SCHEDULE_HEADERS, REQUIRED_HEADERS, mapRowsToSchedule } = require("./scheduleColumns");
+
+/************************************************
+ * Schedule Data Sources
+ ************************************************/
+/**
+ * Every data source implements the same small interface:
+ * - name: human readable label used in logs
+ * - loadRows(): resolves to all rows, header row first (strings)
+ * - readRow(rowIndex): re-reads one data row (0 = first row under the header)
+ * - writeCells(rowIndex, updates): writes { headerIndex: value } into a data row
+ * - describeRow(rowIndex): where a row lives, for messages ("sheet row 12")
+ *
+ * The backend is chosen with DATA_SOURCE:
+ * - "google" (default): SHEET_ID / SHEETNAME / STARTING_COLUMN / ENDING_COLUMN
+ * - "file": a local CSV or JSON export at DATA_FILE
+ *
+ * Returns null when the selected backend isn't configured (no SHEET_ID),
+ * e.g. when every guild brings its own spreadsheet through /setup.
+ * `options.sheetsClient` replaces the Google Sheets API client (tests).
+ */
+function createDataSource(env = process.env, options = {}) {
+    const type = (env.DATA_SOURCE || "google").toLowerCase();
+
+    switch (type) {
+        case "google":
+        case "sheets":
+            if (!env.SHEET_ID) return null;
+            return createGoogleSheetsSource({
+                spreadsheetId: env.SHEET_ID,
+                sheetName: env.SHEETNAME,
+                startingColumn: env.STARTING_COLUMN,
+                endingColumn: env.ENDING_COLUMN,
+                serviceAccountEmail: env.GOOGLE_SERVICE_ACCOUNT_EMAIL,
+                serviceAccountPrivateKey: env.GOOGLE_SERVICE_ACCOUNT_PRIVATE_KEY,
+                sheetsClient: options.sheetsClient,
+            });
+        case "file":
+        case "csv":
+        case "json":
+            return createLocalFileSource({ filePath: env.DATA_FILE });
+        default:
+            throw new Error(`Unknown DATA_SOURCE "${env.DATA_SOURCE}", expected "google" or "file".`);
+    }
+}
+
+/**
+ * Creates the Google Sheets source for a guild's own spreadsheet, as
+ * configured with /setup: { spreadsheetId, sheetName, startingColumn, endingColumn }.
+ * Uses the same service account as the default source.
+ */
+function createGuildDataSource(config, env = process.env, options = {}) {
+    return createGoogleSheetsSource({
+        spreadsheetId: config.spreadsheetId,
+        sheetName: config.sheetName,
+        startingColumn: config.startingColumn,
+        endingColumn: config.endingColumn,
+        serviceAccountEmail: env.GOOGLE_SERVICE_ACCOUNT_EMAIL,
+        serviceAccountPrivateKey: env.GOOGLE_SERVICE_ACCOUNT_PRIVATE_KEY,
+        sheetsClient: options.sheetsClient,
+    });
+}
+
+module.exports = {
+    SCHEDULE_HEADERS,
+    REQUIRED_HEADERS,
+    createDataSource,
+    createGuildDataSource,
+    mapRowsToSchedule,
+};
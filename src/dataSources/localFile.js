@@ -0,0 +1,196 @@
+const fs = require("fs");
+const path = require("path");
+
+/************************************************
+ * Local File Data Source (CSV / JSON)
+ ************************************************/
+/**
+ * Reads schedule rows from a local file exported from a spreadsheet, so the
+ * bot can run without Google credentials (staging, tests, agencies that keep
+ * their schedules offline). The file must use the same headers as the Sheet.
+ *
+ * Supported formats (picked by file extension):
+ * - .csv:  first line is the header row
+ * - .json: either an array of arrays (first entry is the header row),
+ *          or an array of objects keyed by header name
+ */
+
+/**
+ * Parses CSV text into an array of rows (arrays of strings).
+ * Handles quoted fields, escaped quotes ("") and newlines inside quotes.
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inQuotes = true;
+        } else if (char === ",") {
+            row.push(field);
+            field = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && text[i + 1] === "\n") i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = "";
+        } else {
+            field += char;
+        }
+    }
+
+    // Last line without a trailing newline
+    if (field !== "" || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Empty lines become empty rows (keeping line numbers stable),
+    // and trailing empty lines are dropped, like the Sheets API does
+    const normalized = rows.map((r) => (r.some((value) => value !== "") ? r : []));
+    while (normalized.length && !normalized[normalized.length - 1].length) {
+        normalized.pop();
+    }
+    return normalized;
+}
+
+/**
+ * Serializes rows back into CSV text, quoting only where needed.
+ */
+function toCsv(rows) {
+    return rows
+        .map((row) =>
+            row
+                .map((value) => {
+                    const text = value === undefined || value === null ? "" : String(value);
+                    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+                })
+                .join(",")
+        )
+        .join("\n") + "\n";
+}
+
+/**
+ * Converts parsed JSON into header-first rows, matching the Sheets API shape.
+ */
+function jsonToRows(json) {
+    if (!Array.isArray(json) || !json.length) return [];
+    if (Array.isArray(json[0])) {
+        return json.map((row) => row.map((value) => (value === null || value === undefined ? "" : String(value))));
+    }
+
+    // Array of objects: collect headers in order of first appearance
+    const header = [];
+    for (const entry of json) {
+        for (const key of Object.keys(entry)) {
+            if (!header.includes(key)) header.push(key);
+        }
+    }
+    const dataRows = json.map((entry) =>
+        header.map((key) => (entry[key] === null || entry[key] === undefined ? "" : String(entry[key])))
+    );
+    return [header, ...dataRows];
+}
+
+/**
+ * Creates a local file data source for the given CSV or JSON path.
+ */
+function createLocalFileSource({ filePath }) {
+    if (!filePath) {
+        throw new Error("DATA_FILE must be set when using the file data source.");
+    }
+
+    const resolvedPath = path.resolve(filePath);
+    const format = path.extname(resolvedPath).toLowerCase() === ".json" ? "json" : "csv";
+
+    async function readFileText() {
+        return fs.promises.readFile(resolvedPath, "utf8");
+    }
+
+    async function loadRows() {
+        const text = await readFileText();
+        if (format === "json") {
+            return jsonToRows(JSON.parse(text));
+        }
+        return parseCsv(text);
+    }
+
+    return {
+        name: `local file ${path.basename(resolvedPath)}`,
+
+        /**
+         * Returns every row in the file, header row first.
+         */
+        loadRows,
+
+        /**
+         * Re-reads a single data row from disk.
+         */
+        async readRow(rowIndex) {
+            const rows = await loadRows();
+            return rows[Number(rowIndex) + 1] || [];
+        },
+
+        /**
+         * Writes values into a data row. `updates` maps header index -> value.
+         * The file is rewritten in its original format.
+         */
+        async writeCells(rowIndex, updates) {
+            const dataIndex = Number(rowIndex);
+
+            if (format === "json") {
+                const json = JSON.parse(await readFileText());
+                const header = jsonToRows(json)[0] || [];
+                const entry = Array.isArray(json[0]) ? json[dataIndex + 1] : json[dataIndex];
+                if (!entry) throw new Error(`Row ${dataIndex} does not exist in ${resolvedPath}`);
+
+                for (const [headerIndex, value] of Object.entries(updates)) {
+                    if (Array.isArray(entry)) {
+                        entry[Number(headerIndex)] = value;
+                    } else {
+                        entry[header[Number(headerIndex)]] = value;
+                    }
+                }
+                await fs.promises.writeFile(resolvedPath, JSON.stringify(json, null, 2));
+                return;
+            }
+
+            const rows = await loadRows();
+            const row = rows[dataIndex + 1];
+            if (!row) throw new Error(`Row ${dataIndex} does not exist in ${resolvedPath}`);
+
+            for (const [headerIndex, value] of Object.entries(updates)) {
+                while (row.length <= Number(headerIndex)) row.push("");
+                row[Number(headerIndex)] = value;
+            }
+            await fs.promises.writeFile(resolvedPath, toCsv(rows));
+        },
+
+        describeRow(rowIndex) {
+            return format === "json" ? `entry ${Number(rowIndex) + 1}` : `line ${Number(rowIndex) + 2}`;
+        },
+    };
+}
+
+module.exports = {
+    createLocalFileSource,
+    parseCsv,
+    toCsv,
+};
@@ -0,0 +1,251 @@
+const { isValidTimeZone } = require("../timezones");
+const { parseScheduleDate } = require("../dates");
+
+/************************************************
+ * Schedule Column Mapping
+ ************************************************/
+/**
+ * Header names the bot reads from the schedule, shared by every data source.
+ */
+const SCHEDULE_HEADERS = {
+    guildId: "guild ID",
+    creator: "Creator",
+    channel: "Channel",
+    sponsor: "Brand",
+    draftDeadline: "Draft Deadline - Disc. Date",
+    uploadDeadline: "Upload Deadline - Disc. Date",
+    month: "Month",
+    year: "Year",
+    shouldNotify: "Should Notify",
+    status: "status",
+    statusSend: "Status Send",
+    statusMessage: "Status Message",
+    ignore: "ignore",
+    type: "Type",
+    reminderDate: "Reminder Date",
+    reminderDate2: "Reminder Date 2",
+    reminderType: "Reminder Type",
+    timezone: "Timezone",
+    manager: "Manager",
+};
+
+/**
+ * Headers every schedule must have; without them rows can't be routed
+ * or reminders can't be decided.
+ */
+const REQUIRED_HEADERS = ["guildId", "creator", "channel", "sponsor", "shouldNotify", "status", "statusSend", "ignore"];
+
+/**
+ * Flag columns that must hold "0" or "1".
+ */
+const FLAG_FIELDS = ["shouldNotify", "ignore", "statusSend"];
+
+/**
+ * Date columns parsed into `<field>At` values (see src/dates.js).
+ */
+const DATE_FIELDS = {
+    draftDeadline: "draftDeadlineAt",
+    uploadDeadline: "uploadDeadlineAt",
+    reminderDate: "reminderAt",
+    reminderDate2: "reminder2At",
+};
+
+/**
+ * Maps raw rows (header row first) into schedule items keyed by guild ID,
+ * the shape stored in `scheduleCache`.
+ *
+ * Options:
+ * - sourceId: the ID of the source the rows came from, stored on each item
+ *   (with `rowId`, a key unique across sources) so writes go to the right place
+ * - guildId: set for a guild's own spreadsheet; only rows carrying that
+ *   guild ID are kept, so binding a sheet another server shares with the
+ *   service account doesn't hand its rows to the binding guild
+ *
+ * Columns the bot doesn't know are kept on each item as `extraColumns`
+ * ({ header: value }), so templates can show them.
+ *
+ * Returns { schedule, columns, issues } where `columns` holds the header
+ * index of each known column (or -1 when missing), so callers can write
+ * cells back, and `issues` lists row problems found while mapping as
+ * { rowIndex, guildId, column, value, message } (skipped rows, malformed
+ * flags, unknown timezones and dates that couldn't be parsed).
+ */
+function mapRowsToSchedule(rows, { sourceId = "default", guildId: boundGuildId = null } = {}) {
+    const schedule = {};
+    const columns = {};
+    const issues = [];
+    if (!rows || rows.length === 0) {
+        return { schedule, columns, issues };
+    }
+
+    // The first row is headers; subsequent rows are data
+    const header = rows[0];
+    const dataRows = rows.slice(1);
+
+    // Identify each needed column index
+    for (const [key, headerName] of Object.entries(SCHEDULE_HEADERS)) {
+        columns[key] = header.indexOf(headerName);
+    }
+
+    // Loop through each row of data
+    for (const [index, row] of dataRows.entries()) {
+        const rowGuildId = (row[columns.guildId] || "").trim();
+
+        if (boundGuildId && rowGuildId && rowGuildId !== boundGuildId) {
+            issues.push({
+                rowIndex: index,
+                guildId: boundGuildId,
+                column: SCHEDULE_HEADERS.guildId,
+                value: rowGuildId,
+                message: `Row belongs to another guild ("${rowGuildId}"), row skipped`,
+            });
+            continue;
+        }
+
+        // Skip rows missing crucial info, leaving a trace unless the row is blank
+        if (!rowGuildId || !row[columns.channel]) {
+            if (row.some((value) => String(value || "").trim() !== "")) {
+                issues.push({
+                    rowIndex: index,
+                    guildId: rowGuildId || boundGuildId,
+                    column: !rowGuildId ? SCHEDULE_HEADERS.guildId : SCHEDULE_HEADERS.channel,
+                    value: "",
+                    message: `Missing "${!rowGuildId ? SCHEDULE_HEADERS.guildId : SCHEDULE_HEADERS.channel}", row skipped`,
+                });
+            }
+            continue;
+        }
+
+        // Extract fields or default them
+        const guildId = rowGuildId;
+        const creator = row[columns.creator] || "Unknown Creator";
+        const channel = row[columns.channel];
+        const sponsor = row[columns.sponsor] || "N/A";
+        const draftDeadline = row[columns.draftDeadline] || "N/A";
+        const uploadDeadline = row[columns.uploadDeadline] || "N/A";
+        const month = row[columns.month] || "N/A";
+        const year = row[columns.year] || "N/A";
+        const shouldNotify = row[columns.shouldNotify] || "1";
+        const status = (row[columns.status] || "").trim();
+        const statusSend = (row[columns.statusSend] || "").trim();
+
+        // Handle status message field carefully
+        let rawStatusMsg = row[columns.statusMessage] || "";
+        const statusMessage = typeof rawStatusMsg === "string" ? rawStatusMsg.trim() : "";
+
+        const ignore = (row[columns.ignore] || "").trim();
+        const type = (row[columns.type] || "").trim();
+
+        const reminderDate = (row[columns.reminderDate] || "").trim();
+        const reminderDate2 = (row[columns.reminderDate2] || "").trim();
+        // If no reminder type set, defaults to "private message"
+        const reminderType = (row[columns.reminderType] || "private message").trim();
+
+        // Flags must be exactly 0 or 1, anything else quietly disables reminders
+        const flagValues = { shouldNotify: String(shouldNotify).trim(), ignore, statusSend };
+        for (const field of FLAG_FIELDS) {
+            if (flagValues[field] !== "0" && flagValues[field] !== "1") {
+                issues.push({
+                    rowIndex: index,
+                    guildId,
+                    column: SCHEDULE_HEADERS[field],
+                    value: flagValues[field],
+                    message: `"${SCHEDULE_HEADERS[field]}" should be 0 or 1, got "${flagValues[field]}"`,
+                });
+            }
+        }
+
+        // Optional per-creator IANA timezone, overriding the guild's zone
+        let timezone = (row[columns.timezone] || "").trim();
+        if (timezone && !isValidTimeZone(timezone)) {
+            issues.push({
+                rowIndex: index,
+                guildId,
+                column: SCHEDULE_HEADERS.timezone,
+                value: timezone,
+                message: `Unknown timezone "${timezone}", using the guild's timezone`,
+            });
+            timezone = "";
+        }
+
+        // Optional Discord user ID of the row's manager, pinged when reminders go unanswered
+        const manager = (row[columns.manager] || "").trim();
+
+        const currentRowNumber = index;
+        // Rows from the default source keep their plain row number as ID
+        const rowId = sourceId === "default" ? String(index) : `${sourceId}#${index}`;
+
+        // Parse the deadline and reminder columns into real dates, flagging bad values
+        const parsedDates = {};
+        const dateIssues = [];
+        const rawDates = { draftDeadline, uploadDeadline, reminderDate, reminderDate2 };
+        for (const [field, parsedField] of Object.entries(DATE_FIELDS)) {
+            const parsed = parseScheduleDate(rawDates[field], { defaultYear: year });
+            if (parsed && parsed.error) {
+                const issue = {
+                    rowIndex: index,
+                    guildId,
+                    column: SCHEDULE_HEADERS[field],
+                    value: parsed.raw,
+                    message: `Unrecognized date in "${SCHEDULE_HEADERS[field]}": "${parsed.raw}"`,
+                };
+                dateIssues.push(issue);
+                issues.push(issue);
+                parsedDates[parsedField] = null;
+            } else {
+                parsedDates[parsedField] = parsed;
+            }
+        }
+
+        // Keep the columns the bot doesn't use itself, for templates
+        const knownHeaders = Object.values(SCHEDULE_HEADERS);
+        const extraColumns = {};
+        for (const [columnIndex, headerName] of header.entries()) {
+            const name = String(headerName || "").trim();
+            if (!name || knownHeaders.includes(name)) continue;
+            extraColumns[name] = String(row[columnIndex] || "").trim();
+        }
+
+        // Initialize an array for this guild if needed
+        if (!schedule[guildId]) {
+            schedule[guildId] = [];
+        }
+
+        // Push a data object to that guild's list
+        schedule[guildId].push({
+            guildId,
+            creator,
+            channel,
+            sponsor,
+            draftDeadline,
+            uploadDeadline,
+            month,
+            year,
+            shouldNotify,
+            status,
+            statusSend,
+            statusMessage,
+            ignore,
+            type,
+            currentRowNumber,
+            reminderDate,
+            reminderDate2,
+            reminderType,
+            timezone,
+            manager,
+            sourceId,
+            rowId,
+            ...parsedDates,
+            dateIssues,
+            extraColumns
+        });
+    }
+
+    return { schedule, columns, issues };
+}
+
+module.exports = {
+    SCHEDULE_HEADERS,
+    REQUIRED_HEADERS,
+    mapRowsToSchedule,
+};
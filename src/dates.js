@@ -0,0 +1,219 @@
+const { getZonedParts } = require("./timezones");
+
+/************************************************
+ * Schedule Date Parsing
+ ************************************************/
+/**
+ * Parses the date formats found in the schedule's deadline and reminder
+ * columns into a normalized value:
+ *
+ * - { timestamp }      an absolute moment (unix seconds), from Discord
+ *                      timestamp tags like <t:1712345678:R>
+ * - { isoDate, time }  a wall-clock date ("2025-04-10") and optional time
+ *                      ("14:30"), read in the row's timezone
+ *
+ * Supported inputs: M/D/YYYY (or D/M/YYYY with DATE_ORDER=DMY, and
+ * automatically when the first number is > 12), YYYY-MM-DD, month names
+ * ("Apr 10", "April 10, 2025", "10 Apr 2025"), Discord <t:…> tags and
+ * Google Sheets serial numbers (days since 1899-12-30).
+ */
+
+const MONTH_NAMES = [
+    "jan", "feb", "mar", "apr", "may", "jun",
+    "jul", "aug", "sep", "oct", "nov", "dec",
+];
+
+/**
+ * Values that mean "no date" rather than a malformed one.
+ */
+const EMPTY_VALUES = ["", "n/a", "na", "-", "none"];
+
+function pad(value) {
+    return String(value).padStart(2, "0");
+}
+
+/**
+ * Builds a wall-clock result, returning null when the date doesn't exist (e.g. 2/30).
+ */
+function buildWallDate(year, month, day, hour = null, minute = null) {
+    const check = new Date(Date.UTC(year, month - 1, day));
+    if (
+        !year || !month || !day ||
+        check.getUTCFullYear() !== year ||
+        check.getUTCMonth() !== month - 1 ||
+        check.getUTCDate() !== day
+    ) {
+        return null;
+    }
+    if (hour !== null && (hour > 23 || minute > 59)) return null;
+
+    return {
+        isoDate: `${year}-${pad(month)}-${pad(day)}`,
+        time: hour !== null ? `${pad(hour)}:${pad(minute)}` : null,
+    };
+}
+
+/**
+ * Expands a two-digit year (25 -> 2025).
+ */
+function normalizeYear(year) {
+    const value = Number(year);
+    return value < 100 ? 2000 + value : value;
+}
+
+/**
+ * Reads an optional trailing time ("14:30", "2:30 PM") into [hour, minute].
+ */
+function parseTimeSuffix(text) {
+    if (!text) return [null, null];
+    const match = text.trim().match(/^(\d{1,2}):(\d{2})(?::\d{2})?\s*(am|pm)?$/i);
+    if (!match) return undefined;
+
+    let hour = Number(match[1]);
+    const minute = Number(match[2]);
+    const meridiem = (match[3] || "").toLowerCase();
+    if (meridiem === "pm" && hour < 12) hour += 12;
+    if (meridiem === "am" && hour === 12) hour = 0;
+    return [hour, minute];
+}
+
+function monthFromName(name) {
+    const index = MONTH_NAMES.indexOf(String(name).slice(0, 3).toLowerCase());
+    return index === -1 ? null : index + 1;
+}
+
+/**
+ * Parses a schedule cell. Returns:
+ * - null for an empty cell (or "N/A")
+ * - { timestamp } or { isoDate, time } on success
+ * - { error: true, raw } when the value isn't a recognizable date
+ *
+ * Options:
+ * - defaultYear: year used when the value has none (e.g. "Apr 10"),
+ *   typically the row's Year column; falls back to the current year
+ * - dateOrder: "MDY" (default, or DATE_ORDER env) or "DMY" for slashed dates
+ */
+function parseScheduleDate(value, { defaultYear = null, dateOrder = process.env.DATE_ORDER || "MDY" } = {}) {
+    const raw = String(value === undefined || value === null ? "" : value).trim();
+    if (EMPTY_VALUES.includes(raw.toLowerCase())) return null;
+
+    const fallbackYear = Number(defaultYear) || new Date().getFullYear();
+    let match;
+
+    // Discord timestamp tag: <t:1712345678> or <t:1712345678:R>
+    if ((match = raw.match(/^<t:(-?\d+)(?::[tTdDfFR])?>$/))) {
+        return { timestamp: Number(match[1]) };
+    }
+
+    // Google Sheets serial number (days since 1899-12-30, fraction = time of day)
+    if ((match = raw.match(/^\d{5}(\.\d+)?$/))) {
+        const serial = Number(raw);
+        const millis = Math.round((serial - 25569) * 24 * 60 * 60 * 1000);
+        const asUtc = new Date(millis);
+        const hasTime = serial % 1 !== 0;
+        return buildWallDate(
+            asUtc.getUTCFullYear(),
+            asUtc.getUTCMonth() + 1,
+            asUtc.getUTCDate(),
+            hasTime ? asUtc.getUTCHours() : null,
+            hasTime ? asUtc.getUTCMinutes() : null
+        ) || { error: true, raw };
+    }
+
+    // ISO: 2025-04-10, 2025-04-10T14:30, 2025-04-10 14:30
+    if ((match = raw.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T\s](.+))?$/))) {
+        const time = parseTimeSuffix(match[4]);
+        if (!time) return { error: true, raw };
+        return buildWallDate(Number(match[1]), Number(match[2]), Number(match[3]), ...time) || { error: true, raw };
+    }
+
+    // Numeric: 4/10/2025, 04/10/25, 4-10-2025, 10.4.2025, 4/10 (with optional time)
+    if ((match = raw.match(/^(\d{1,2})[/.-](\d{1,2})(?:[/.-](\d{2}|\d{4}))?(?:\s+(.+))?$/))) {
+        const time = parseTimeSuffix(match[4]);
+        if (!time) return { error: true, raw };
+
+        let first = Number(match[1]);
+        let second = Number(match[2]);
+        const year = match[3] ? normalizeYear(match[3]) : fallbackYear;
+
+        // Day-first if configured, or if the first number can't be a month
+        const dayFirst = dateOrder.toUpperCase() === "DMY" ? second <= 12 || first > 12 : first > 12;
+        const [month, day] = dayFirst ? [second, first] : [first, second];
+        return buildWallDate(year, month, day, ...time) || { error: true, raw };
+    }
+
+    // Month name first: "Apr 10", "April 10, 2025", "Apr 10 2025 2:00 PM"
+    if ((match = raw.match(/^([A-Za-z]{3,9})\.?\s+(\d{1,2})(?:st|nd|rd|th)?(?:,?\s+(\d{4}))?(?:,?\s+(.+))?$/))) {
+        const month = monthFromName(match[1]);
+        const time = parseTimeSuffix(match[4]);
+        if (!month || !time) return { error: true, raw };
+        const year = match[3] ? Number(match[3]) : fallbackYear;
+        return buildWallDate(year, month, Number(match[2]), ...time) || { error: true, raw };
+    }
+
+    // Day first with month name: "10 Apr", "10 April 2025"
+    if ((match = raw.match(/^(\d{1,2})(?:st|nd|rd|th)?\s+([A-Za-z]{3,9})\.?(?:,?\s+(\d{4}))?(?:,?\s+(.+))?$/))) {
+        const month = monthFromName(match[2]);
+        const time = parseTimeSuffix(match[4]);
+        if (!month || !time) return { error: true, raw };
+        const year = match[3] ? Number(match[3]) : fallbackYear;
+        return buildWallDate(year, month, Number(match[1]), ...time) || { error: true, raw };
+    }
+
+    return { error: true, raw };
+}
+
+/**
+ * Returns true if a parsed value is a usable date.
+ */
+function isParsedDate(parsed) {
+    return Boolean(parsed) && !parsed.error;
+}
+
+/**
+ * Converts a wall-clock date/time in `timeZone` into unix seconds.
+ */
+function wallTimeToTimestamp(isoDate, time, timeZone) {
+    const [year, month, day] = isoDate.split("-").map(Number);
+    const [hour, minute] = (time || "00:00").split(":").map(Number);
+    const wallAsUtc = Date.UTC(year, month - 1, day, hour, minute);
+
+    // Correct for the zone's offset; twice to settle across DST changes
+    let guess = wallAsUtc;
+    for (let i = 0; i < 2; i++) {
+        const parts = getZonedParts(new Date(guess), timeZone);
+        const seenAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+        guess += wallAsUtc - seenAsUtc;
+    }
+    return Math.floor(guess / 1000);
+}
+
+/**
+ * Returns the unix timestamp (seconds) of a parsed date, reading wall-clock
+ * dates in `timeZone`. Dates without a time resolve to the end of that day,
+ * since a deadline "on" a date is met any time that day.
+ */
+function getTimestamp(parsed, timeZone) {
+    if (!isParsedDate(parsed)) return null;
+    if (parsed.timestamp !== undefined) return parsed.timestamp;
+    if (parsed.time) return wallTimeToTimestamp(parsed.isoDate, parsed.time, timeZone);
+    return wallTimeToTimestamp(parsed.isoDate, "23:59", timeZone);
+}
+
+/**
+ * Returns the calendar date (YYYY-MM-DD) of a parsed date in `timeZone`.
+ */
+function getIsoDate(parsed, timeZone) {
+    if (!isParsedDate(parsed)) return null;
+    if (parsed.isoDate) return parsed.isoDate;
+
+    const { year, month, day } = getZonedParts(new Date(parsed.timestamp * 1000), timeZone);
+    return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+module.exports = {
+    parseScheduleDate,
+    isParsedDate,
+    getTimestamp,
+    getIsoDate,
+};
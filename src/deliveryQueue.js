@@ -0,0 +1,118 @@
+/************************************************
+ * Delivery Queue
+ ************************************************/
+/**
+ * Outbound reminder deliveries go through a queue that sends one message
+ * at a time, retries transient failures with exponential backoff and
+ * waits out Discord rate limits instead of dropping the message.
+ *
+ * Errors that a retry can't fix (closed DMs, unknown member, missing
+ * permissions) fail straight away so the caller can fall back.
+ */
+
+/**
+ * Discord API error codes that won't succeed on retry:
+ * unknown channel/member/user, missing access, cannot DM this user,
+ * missing permissions.
+ */
+const PERMANENT_ERROR_CODES = new Set([10003, 10007, 10013, 50001, 50007, 50013]);
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Returns true if retrying `err` is pointless.
+ */
+function isPermanentError(err) {
+    if (!err) return false;
+    if (PERMANENT_ERROR_CODES.has(err.code)) return true;
+    // Other 4xx responses (bad request, forbidden, not found) won't change on retry either
+    return typeof err.status === "number" && err.status >= 400 && err.status < 500 && err.status !== 429;
+}
+
+/**
+ * Returns how long Discord asked us to wait, in milliseconds, or null
+ * if `err` isn't a rate limit.
+ */
+function getRetryAfterMs(err) {
+    if (!err) return null;
+    if (typeof err.retryAfter === "number") return err.retryAfter;
+    if (typeof err.timeToReset === "number") return err.timeToReset;
+    if (err.status === 429) return 1000;
+    return null;
+}
+
+/**
+ * Creates a delivery queue.
+ *
+ * Options:
+ * - maxAttempts: tries per message, including the first (DELIVERY_MAX_ATTEMPTS, default 3)
+ * - baseDelayMs: delay before the first retry, doubled each time (DELIVERY_RETRY_DELAY_MS, default 2000)
+ *
+ * deliver(send) runs `send` (an async function returning the sent message)
+ * once every earlier delivery has finished, and resolves to
+ * { ok: true, value, attempts } or { ok: false, error, attempts }.
+ */
+function createDeliveryQueue({
+    maxAttempts = Number(process.env.DELIVERY_MAX_ATTEMPTS || 3),
+    baseDelayMs = Number(process.env.DELIVERY_RETRY_DELAY_MS || 2000),
+    wait = sleep,
+} = {}) {
+    let pausedUntil = 0;
+    let tail = Promise.resolve();
+
+    async function attempt(send) {
+        let lastError = null;
+        for (let attempts = 1; attempts <= maxAttempts; attempts++) {
+            const pause = pausedUntil - Date.now();
+            if (pause > 0) await wait(pause);
+
+            try {
+                return { ok: true, value: await send(), attempts };
+            } catch (err) {
+                lastError = err;
+                if (isPermanentError(err) || attempts === maxAttempts) {
+                    return { ok: false, error: err, attempts };
+                }
+
+                const retryAfter = getRetryAfterMs(err);
+                await wait(retryAfter !== null ? retryAfter : baseDelayMs * 2 ** (attempts - 1));
+            }
+        }
+        return { ok: false, error: lastError, attempts: maxAttempts };
+    }
+
+    return {
+        /**
+         * Queues a delivery, see createDeliveryQueue.
+         */
+        deliver(send) {
+            const run = tail.then(() => attempt(send));
+            tail = run.catch(() => {});
+            return run;
+        },
+
+        /**
+         * Holds every queued delivery for `ms` milliseconds, e.g. when
+         * the REST client reports a rate limit.
+         */
+        pause(ms) {
+            pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+        },
+    };
+}
+
+/**
+ * A per-run tally of delivery outcomes, for the delivery summary.
+ * Each failure is { target, items, reason }.
+ */
+function createDeliveryStats() {
+    return { sent: 0, retried: 0, fallback: 0, failed: 0, failures: [] };
+}
+
+module.exports = {
+    createDeliveryQueue,
+    createDeliveryStats,
+    isPermanentError,
+};
@@ -0,0 +1,51 @@
+const { createJsonStore } = require("./jsonStore");
+
+/************************************************
+ * Guild Settings
+ ************************************************/
+/**
+ * Per-guild settings configured through admin commands, persisted to
+ * guild-settings.json so they survive restarts. Settings are a flat object
+ * per guild, e.g. { timezone: "Europe/Berlin", reminderTime: "09:00" }.
+ */
+function createGuildSettings(fileName = "guild-settings.json") {
+    const store = createJsonStore(fileName, { guilds: {} });
+
+    return {
+        /**
+         * Returns the settings for a guild (an empty object if none are set).
+         */
+        get(guildId) {
+            return store.data.guilds[guildId] || {};
+        },
+
+        /**
+         * Merges `changes` into a guild's settings and saves them.
+         * Keys set to null or undefined are removed.
+         */
+        update(guildId, changes) {
+            const settings = { ...(store.data.guilds[guildId] || {}) };
+            for (const [key, value] of Object.entries(changes)) {
+                if (value === null || value === undefined) {
+                    delete settings[key];
+                } else {
+                    settings[key] = value;
+                }
+            }
+            store.data.guilds[guildId] = settings;
+            store.save();
+            return settings;
+        },
+
+        /**
+         * Returns every guild's settings, keyed by guild ID.
+         */
+        all() {
+            return store.data.guilds;
+        },
+    };
+}
+
+module.exports = {
+    createGuildSettings,
+};
@@ -0,0 +1,165 @@
+const crypto = require("crypto");
+const http = require("http");
+const { getLogger } = require("./logger");
+
+/************************************************
+ * iCalendar Export & Feed
+ ************************************************/
+/**
+ * Builds iCalendar (.ics) files from schedule deadlines, and serves a
+ * per-creator feed over HTTP that calendar apps can subscribe to.
+ *
+ * Feed URLs carry a token derived from the creator's user ID and a
+ * secret, so one creator's URL can't be guessed from another's.
+ */
+
+/**
+ * Escapes text for an iCalendar property value.
+ */
+function escapeIcsText(value) {
+    return String(value === undefined || value === null ? "" : value)
+        .replace(/\\/g, "\\\\")
+        .replace(/;/g, "\\;")
+        .replace(/,/g, "\\,")
+        .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Folds a content line to 75 octets, as RFC 5545 requires.
+ */
+function foldIcsLine(line) {
+    const bytes = Buffer.from(line, "utf8");
+    if (bytes.length <= 75) return line;
+
+    const parts = [];
+    let current = "";
+    for (const char of line) {
+        const limit = parts.length ? 74 : 75;
+        if (Buffer.byteLength(current + char, "utf8") > limit) {
+            parts.push(current);
+            current = "";
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join("\r\n ");
+}
+
+/**
+ * Formats unix seconds as a UTC iCalendar date-time (20250410T143000Z).
+ */
+function formatIcsTimestamp(seconds) {
+    return new Date(seconds * 1000).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+/**
+ * Formats YYYY-MM-DD as an iCalendar date (20250410).
+ */
+function formatIcsDate(isoDate) {
+    return isoDate.replace(/-/g, "");
+}
+
+/**
+ * Returns the day after an ISO date, for all-day event ends.
+ */
+function nextIsoDate(isoDate) {
+    const [year, month, day] = isoDate.split("-").map(Number);
+    return new Date(Date.UTC(year, month - 1, day + 1)).toISOString().slice(0, 10);
+}
+
+/**
+ * Builds an .ics calendar.
+ *
+ * Each event is { uid, summary, description, date } for an all-day event
+ * (date as YYYY-MM-DD) or { uid, summary, description, timestamp } for a
+ * timed one (unix seconds, shown as a 30 minute slot).
+ */
+function buildIcsCalendar({ name, events }) {
+    const stamp = formatIcsTimestamp(Math.floor(Date.now() / 1000));
+    const lines = [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        "PRODID:-//SponsorBot//Schedule//EN",
+        "CALSCALE:GREGORIAN",
+        "METHOD:PUBLISH",
+        `X-WR-CALNAME:${escapeIcsText(name)}`,
+    ];
+
+    for (const event of events) {
+        lines.push("BEGIN:VEVENT", `UID:${escapeIcsText(event.uid)}`, `DTSTAMP:${stamp}`);
+        if (event.date) {
+            lines.push(
+                `DTSTART;VALUE=DATE:${formatIcsDate(event.date)}`,
+                `DTEND;VALUE=DATE:${formatIcsDate(nextIsoDate(event.date))}`
+            );
+        } else {
+            lines.push(
+                `DTSTART:${formatIcsTimestamp(event.timestamp)}`,
+                `DTEND:${formatIcsTimestamp(event.timestamp + 30 * 60)}`
+            );
+        }
+        lines.push(`SUMMARY:${escapeIcsText(event.summary)}`);
+        if (event.description) lines.push(`DESCRIPTION:${escapeIcsText(event.description)}`);
+        lines.push("END:VEVENT");
+    }
+
+    lines.push("END:VCALENDAR");
+    return lines.map(foldIcsLine).join("\r\n") + "\r\n";
+}
+
+/**
+ * Returns the token in a creator's feed URL.
+ */
+function getFeedToken(secret, userId) {
+    return crypto.createHmac("sha256", secret).update(String(userId)).digest("hex").slice(0, 32);
+}
+
+/**
+ * Returns true if `token` is the feed token for `userId`.
+ */
+function isValidFeedToken(secret, userId, token) {
+    const expected = Buffer.from(getFeedToken(secret, userId));
+    const actual = Buffer.from(String(token || ""));
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Starts the HTTP server for the per-creator feeds, answering
+ * GET /calendar/<userId>/<token>.ics with getCalendar(userId).
+ * Returns the http.Server.
+ */
+function startIcsFeedServer({ port, host = "127.0.0.1", secret, getCalendar }) {
+    const server = http.createServer((req, res) => {
+        const match = req.method === "GET" && req.url.match(/^\/calendar\/(\d{17,20})\/([0-9a-f]+)\.ics$/);
+        if (!match || !isValidFeedToken(secret, match[1], match[2])) {
+            res.writeHead(404, { "Content-Type": "text/plain" });
+            res.end("Not found");
+            return;
+        }
+
+        try {
+            const calendar = getCalendar(match[1]);
+            res.writeHead(200, {
+                "Content-Type": "text/calendar; charset=utf-8",
+                "Cache-Control": "no-cache",
+            });
+            res.end(calendar);
+        } catch (err) {
+            getLogger().error(`Failed to build the calendar feed for user ${match[1]}`, err);
+            res.writeHead(500, { "Content-Type": "text/plain" });
+            res.end("Error");
+        }
+    });
+
+    server.on("error", (err) => getLogger().error("Calendar feed server error:", err));
+    server.listen(port, host, () => {
+        getLogger().info(`Calendar feed listening on http://${host}:${port}`);
+    });
+    return server;
+}
+
+module.exports = {
+    buildIcsCalendar,
+    getFeedToken,
+    startIcsFeedServer,
+};
@@ -0,0 +1,60 @@
+const fs = require("fs");
+const path = require("path");
+
+/************************************************
+ * JSON File Store
+ ************************************************/
+/**
+ * A tiny persistent store backed by a JSON file in DATA_DIR (default ./data).
+ * The file is loaded once when the store is created, and every save()
+ * writes to a temp file first and renames it over the original, so a crash
+ * mid-write never leaves a half-written file behind.
+ */
+
+/**
+ * Returns the directory persistent bot data is kept in.
+ */
+function getDataDir() {
+    return path.resolve(process.env.DATA_DIR || "data");
+}
+
+/**
+ * Creates (or loads) a JSON store.
+ * `defaults` is used when the file doesn't exist yet or can't be parsed.
+ */
+function createJsonStore(fileName, defaults = {}) {
+    const filePath = path.join(getDataDir(), fileName);
+    let data = JSON.parse(JSON.stringify(defaults));
+
+    try {
+        if (fs.existsSync(filePath)) {
+            data = { ...data, ...JSON.parse(fs.readFileSync(filePath, "utf8")) };
+        }
+    } catch (err) {
+        // Required here since the logger itself depends on this module
+        require("./logger").getLogger().error(`Could not read ${filePath}, starting with defaults:`, err);
+    }
+
+    return {
+        filePath,
+
+        get data() {
+            return data;
+        },
+
+        /**
+         * Writes the current data to disk atomically.
+         */
+        save() {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            const tempPath = `${filePath}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+            fs.renameSync(tempPath, filePath);
+        },
+    };
+}
+
+module.exports = {
+    createJsonStore,
+    getDataDir,
+};
@@ -0,0 +1,135 @@
+const fs = require("fs");
+const path = require("path");
+const util = require("util");
+const { getDataDir } = require("./jsonStore");
+
+/************************************************
+ * Logger
+ ************************************************/
+/**
+ * A structured logger: every entry is written as one JSON line
+ * ({ time, level, msg, ...fields }) to a log file that rotates by size,
+ * and echoed to the console in a readable form.
+ *
+ * Calls look like console's: logger.error("Failed to DM user", err).
+ * Errors become an `error` field with the stack, plain objects are merged
+ * into the entry's fields, and anything else is appended to the message.
+ *
+ * Configured with LOG_LEVEL (debug, info, warn, error; default info),
+ * LOG_DIR (default DATA_DIR/logs), LOG_MAX_BYTES (default 5 MB) and
+ * LOG_MAX_FILES (rotated files kept, default 5).
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+/**
+ * Serializes an Error, keeping Discord API details when present.
+ */
+function serializeError(err) {
+    const details = { message: err.message, name: err.name, stack: err.stack };
+    if (err.code !== undefined) details.code = err.code;
+    if (err.status !== undefined) details.status = err.status;
+    return details;
+}
+
+/**
+ * Turns console-style arguments into { msg, fields }.
+ */
+function buildEntry(message, details) {
+    const parts = [typeof message === "string" ? message : util.inspect(message)];
+    const fields = {};
+    for (const detail of details) {
+        if (detail instanceof Error) {
+            fields.error = serializeError(detail);
+        } else if (detail && typeof detail === "object" && Object.getPrototypeOf(detail) === Object.prototype) {
+            Object.assign(fields, detail);
+        } else {
+            parts.push(typeof detail === "string" ? detail : util.inspect(detail));
+        }
+    }
+    return { msg: parts.join(" "), fields };
+}
+
+/**
+ * Renames file.log -> file.log.1 -> ... -> file.log.<maxFiles>, dropping the oldest.
+ */
+function rotateFile(filePath, maxFiles) {
+    for (let index = maxFiles - 1; index >= 1; index--) {
+        const from = `${filePath}.${index}`;
+        if (fs.existsSync(from)) fs.renameSync(from, `${filePath}.${index + 1}`);
+    }
+    if (fs.existsSync(filePath)) fs.renameSync(filePath, `${filePath}.1`);
+}
+
+/**
+ * Creates a logger writing to `<dir>/<fileName>`.
+ */
+function createLogger({
+    dir = process.env.LOG_DIR || path.join(getDataDir(), "logs"),
+    fileName = "bot.log",
+    level = process.env.LOG_LEVEL || "info",
+    maxBytes = Number(process.env.LOG_MAX_BYTES || 5 * 1024 * 1024),
+    maxFiles = Number(process.env.LOG_MAX_FILES || 5),
+    console: output = console,
+} = {}) {
+    const filePath = path.resolve(dir, fileName);
+    const minLevel = LEVELS[level] || LEVELS.info;
+    let size = null;
+    let fileFailed = false;
+
+    function writeLine(line) {
+        if (fileFailed) return;
+        try {
+            if (size === null) {
+                fs.mkdirSync(path.dirname(filePath), { recursive: true });
+                size = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+            }
+            if (size + line.length > maxBytes && size > 0) {
+                rotateFile(filePath, maxFiles);
+                size = 0;
+            }
+            fs.appendFileSync(filePath, line);
+            size += Buffer.byteLength(line);
+        } catch (err) {
+            // Keep logging to the console even if the file can't be written
+            fileFailed = true;
+            output.error(`Could not write to ${filePath}, logging to the console only:`, err);
+        }
+    }
+
+    function log(levelName, message, details) {
+        if (LEVELS[levelName] < minLevel) return;
+        const { msg, fields } = buildEntry(message, details);
+        const time = new Date().toISOString();
+        writeLine(JSON.stringify({ time, level: levelName, msg, ...fields }) + "\n");
+
+        const consoleMethod = levelName === "error" ? "error" : levelName === "warn" ? "warn" : "log";
+        const { error, ...otherFields } = fields;
+        const extra = Object.keys(otherFields).length ? ` ${util.inspect(otherFields, { breakLength: Infinity })}` : "";
+        output[consoleMethod](`[${time}] ${levelName.toUpperCase()} ${msg}${extra}${error ? `\n${error.stack || error.message}` : ""}`);
+    }
+
+    return {
+        filePath,
+        debug: (message, ...details) => log("debug", message, details),
+        info: (message, ...details) => log("info", message, details),
+        warn: (message, ...details) => log("warn", message, details),
+        error: (message, ...details) => log("error", message, details),
+    };
+}
+
+let sharedLogger = null;
+
+/**
+ * Returns the bot-wide logger, created from the environment on first use.
+ */
+function getLogger() {
+    if (!sharedLogger) sharedLogger = createLogger();
+    return sharedLogger;
+}
+
+module.exports = {
+    createLogger,
+    getLogger,
+    rotateFile,
+};
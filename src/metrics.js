@@ -0,0 +1,149 @@
+/************************************************
+ * Metrics
+ ************************************************/
+/**
+ * A small in-process metrics registry rendered in the Prometheus text
+ * format, so the bot doesn't need a client library. Supports counters,
+ * gauges and histograms, each with optional labels.
+ */
+
+/**
+ * Escapes a label value for the text format.
+ */
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+/**
+ * Renders a label set as {a="1",b="2"} (empty string for no labels).
+ */
+function formatLabels(labels) {
+    const entries = Object.entries(labels || {});
+    if (!entries.length) return "";
+    return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(",")}}`;
+}
+
+/**
+ * A stable key for a label set.
+ */
+function labelKey(labels) {
+    return JSON.stringify(Object.entries(labels || {}).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * Creates a metrics registry. Metrics are created on first use:
+ *
+ *   metrics.counter("reminders_sent_total", "Reminders sent").inc({ type: "dm" });
+ *   metrics.gauge("schedule_rows", "Rows per guild").set({ guild: id }, 12);
+ *   metrics.histogram("fetch_duration_seconds", "Fetch time").observe({ source }, 0.8);
+ */
+function createMetrics({ prefix = "" } = {}) {
+    const metrics = new Map();
+
+    function getMetric(type, name, help, extra = {}) {
+        const fullName = prefix + name;
+        if (!metrics.has(fullName)) {
+            metrics.set(fullName, { type, name: fullName, help, series: new Map(), ...extra });
+        }
+        return metrics.get(fullName);
+    }
+
+    function getSeries(metric, labels, initial) {
+        const key = labelKey(labels);
+        if (!metric.series.has(key)) {
+            metric.series.set(key, { labels: { ...(labels || {}) }, ...initial() });
+        }
+        return metric.series.get(key);
+    }
+
+    return {
+        counter(name, help) {
+            const metric = getMetric("counter", name, help);
+            return {
+                inc(labels = {}, amount = 1) {
+                    getSeries(metric, labels, () => ({ value: 0 })).value += amount;
+                },
+            };
+        },
+
+        gauge(name, help) {
+            const metric = getMetric("gauge", name, help);
+            return {
+                set(labels, value) {
+                    getSeries(metric, labels, () => ({ value: 0 })).value = value;
+                },
+                /**
+                 * Replaces every series at once, e.g. rows per guild after a refresh.
+                 */
+                reset(entries) {
+                    metric.series.clear();
+                    for (const [labels, value] of entries) {
+                        getSeries(metric, labels, () => ({ value: 0 })).value = value;
+                    }
+                },
+            };
+        },
+
+        histogram(name, help, buckets = [0.1, 0.5, 1, 2.5, 5, 10, 30]) {
+            const metric = getMetric("histogram", name, help, { buckets });
+            return {
+                observe(labels, value) {
+                    const series = getSeries(metric, labels, () => ({
+                        counts: metric.buckets.map(() => 0),
+                        sum: 0,
+                        count: 0,
+                    }));
+                    metric.buckets.forEach((bound, index) => {
+                        if (value <= bound) series.counts[index]++;
+                    });
+                    series.sum += value;
+                    series.count++;
+                },
+            };
+        },
+
+        /**
+         * Returns the current value of a counter or gauge series (0 if unset).
+         */
+        getValue(name, labels = {}) {
+            const metric = metrics.get(prefix + name);
+            const series = metric && metric.series.get(labelKey(labels));
+            return series ? series.value : 0;
+        },
+
+        /**
+         * Returns every series of a metric as [{ labels, value }].
+         */
+        getSeries(name) {
+            const metric = metrics.get(prefix + name);
+            return metric ? [...metric.series.values()] : [];
+        },
+
+        /**
+         * Renders every metric in the Prometheus text format.
+         */
+        render() {
+            const lines = [];
+            for (const metric of metrics.values()) {
+                lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`);
+                for (const series of metric.series.values()) {
+                    if (metric.type !== "histogram") {
+                        lines.push(`${metric.name}${formatLabels(series.labels)} ${series.value}`);
+                        continue;
+                    }
+                    metric.buckets.forEach((bound, index) => {
+                        lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[index]}`);
+                    });
+                    lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: "+Inf" })} ${series.count}`);
+                    lines.push(`${metric.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+                    lines.push(`${metric.name}_count${formatLabels(series.labels)} ${series.count}`);
+                }
+            }
+            return lines.join("\n") + "\n";
+        },
+    };
+}
+
+module.exports = {
+    createMetrics,
+};
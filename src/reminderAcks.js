@@ -0,0 +1,160 @@
+const { createJsonStore } = require("./jsonStore");
+
+/************************************************
+ * Reminder Acknowledgements
+ ************************************************/
+/**
+ * Tracks, per row, the last reminder the bot delivered and how the creator
+ * answered it, so reminders nobody answers can be escalated before the
+ * deadline. Persisted to reminder-acks.json, keyed "<guildId>:<rowId>".
+ *
+ * Each entry stores: guildId, rowId, creator, deadline (unix seconds of the
+ * deadline the reminder was about, or null), remindedAt, target, messageId,
+ * response ("got-it", "extension" or "submitted", null until answered),
+ * respondedAt, respondedBy, escalations ({ channel, manager }: when each
+ * step was taken) and extension (the pending or answered extension request).
+ */
+
+/**
+ * The answers a creator can give from a reminder's buttons.
+ */
+const ACK_RESPONSES = {
+    "got-it": "Got it",
+    extension: "Need extension",
+    submitted: "Already submitted",
+};
+
+/**
+ * How long entries are kept once their deadline has passed.
+ */
+const ACK_RETENTION_DAYS = 30;
+
+function ackKey(guildId, rowId) {
+    return `${guildId}:${rowId}`;
+}
+
+/**
+ * Creates the acknowledgement store, persisted to reminder-acks.json.
+ */
+function createReminderAcks(fileName = "reminder-acks.json") {
+    const store = createJsonStore(fileName, { rows: {} });
+
+    function blankEntry(guildId, rowId) {
+        return {
+            guildId,
+            rowId,
+            creator: null,
+            deadline: null,
+            remindedAt: null,
+            target: null,
+            messageId: null,
+            response: null,
+            respondedAt: null,
+            respondedBy: null,
+            escalations: {},
+            extension: null,
+        };
+    }
+
+    return {
+        /**
+         * Returns a row's entry, or null if no reminder was tracked for it.
+         */
+        get(guildId, rowId) {
+            return store.data.rows[ackKey(guildId, rowId)] || null;
+        },
+
+        /**
+         * Every tracked entry.
+         */
+        list() {
+            return Object.values(store.data.rows);
+        },
+
+        /**
+         * Records a delivered reminder. A reminder about the same deadline
+         * keeps the row's answer and escalations; one about a new deadline
+         * (e.g. after an extension) starts over.
+         */
+        recordReminder({ guildId, rowId, creator, deadline, target, messageId }) {
+            const key = ackKey(guildId, rowId);
+            const previous = store.data.rows[key];
+            const entry = previous && previous.deadline === deadline ? previous : blankEntry(guildId, rowId);
+            store.data.rows[key] = {
+                ...entry,
+                creator,
+                deadline,
+                remindedAt: new Date().toISOString(),
+                target,
+                messageId,
+            };
+            store.save();
+            return store.data.rows[key];
+        },
+
+        /**
+         * Records a creator's answer (one of ACK_RESPONSES).
+         */
+        respond(guildId, rowId, { response, userId }) {
+            const key = ackKey(guildId, rowId);
+            store.data.rows[key] = {
+                ...(store.data.rows[key] || blankEntry(guildId, rowId)),
+                response,
+                respondedAt: new Date().toISOString(),
+                respondedBy: userId,
+            };
+            store.save();
+            return store.data.rows[key];
+        },
+
+        /**
+         * Records that an escalation step ("channel" or "manager") was taken.
+         */
+        recordEscalation(guildId, rowId, step) {
+            const entry = store.data.rows[ackKey(guildId, rowId)];
+            if (!entry) return null;
+            entry.escalations = { ...entry.escalations, [step]: new Date().toISOString() };
+            store.save();
+            return entry;
+        },
+
+        /**
+         * Merges `changes` into the row's extension request.
+         */
+        updateExtension(guildId, rowId, changes) {
+            const key = ackKey(guildId, rowId);
+            const entry = store.data.rows[key] || blankEntry(guildId, rowId);
+            entry.extension = { ...(entry.extension || {}), ...changes };
+            store.data.rows[key] = entry;
+            store.save();
+            return entry;
+        },
+
+        /**
+         * Drops entries whose deadline (or, without one, whose last
+         * reminder) is older than the retention window.
+         */
+        prune(now = new Date()) {
+            const cutoff = Math.floor(now.getTime() / 1000) - ACK_RETENTION_DAYS * 24 * 60 * 60;
+            let removed = 0;
+
+            for (const [key, entry] of Object.entries(store.data.rows)) {
+                const seconds = entry.deadline !== null
+                    ? entry.deadline
+                    : Math.floor(new Date(entry.remindedAt || 0).getTime() / 1000);
+                if (seconds < cutoff) {
+                    delete store.data.rows[key];
+                    removed++;
+                }
+            }
+
+            if (removed) store.save();
+            return removed;
+        },
+    };
+}
+
+module.exports = {
+    ACK_RESPONSES,
+    createReminderAcks,
+};
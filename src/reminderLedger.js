@@ -0,0 +1,95 @@
+const { createJsonStore } = require("./jsonStore");
+
+/************************************************
+ * Reminder Ledger
+ ************************************************/
+/**
+ * Records every reminder the bot delivers, so each reminder goes out
+ * exactly once per row, kind and day, no matter how often the bot
+ * restarts or /resend is used.
+ *
+ * Each delivery entry stores: guildId, row, kind, date, target, messageId, sentAt.
+ * Kinds are "reminder" (Reminder Date), "reminder2" (Reminder Date 2)
+ * and "monthly" (1st-of-month digest, whose date is the month, e.g. "2025-4").
+ *
+ * The ledger also remembers the last date a reminder run completed in each
+ * timezone, so days missed while the bot was offline can be caught up.
+ */
+
+/**
+ * How long delivery entries are kept before being pruned.
+ */
+const LEDGER_RETENTION_DAYS = 60;
+
+function deliveryKey({ guildId, row, kind, date }) {
+    return `${guildId}:${row}:${kind}:${date}`;
+}
+
+/**
+ * Creates the reminder ledger, persisted to reminder-ledger.json.
+ */
+function createReminderLedger(fileName = "reminder-ledger.json") {
+    const store = createJsonStore(fileName, {
+        deliveries: {},
+        lastRunDates: {},
+    });
+
+    return {
+        /**
+         * True if this reminder (guild, row, kind, date) was already delivered.
+         */
+        hasDelivered(entry) {
+            return Boolean(store.data.deliveries[deliveryKey(entry)]);
+        },
+
+        /**
+         * Records a delivered reminder.
+         */
+        recordDelivery({ guildId, row, kind, date, target, messageId }) {
+            store.data.deliveries[deliveryKey({ guildId, row, kind, date })] = {
+                guildId,
+                row,
+                kind,
+                date,
+                target,
+                messageId,
+                sentAt: new Date().toISOString(),
+            };
+            store.save();
+        },
+
+        /**
+         * The last date (ISO YYYY-MM-DD) a reminder run completed in a timezone, or null.
+         */
+        getLastRunDate(timeZone) {
+            return store.data.lastRunDates[timeZone] || null;
+        },
+
+        setLastRunDate(timeZone, isoDate) {
+            store.data.lastRunDates[timeZone] = isoDate;
+            store.save();
+        },
+
+        /**
+         * Drops delivery entries older than the retention window.
+         */
+        prune(now = new Date()) {
+            const cutoff = now.getTime() - LEDGER_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+            let removed = 0;
+
+            for (const [key, entry] of Object.entries(store.data.deliveries)) {
+                if (new Date(entry.sentAt).getTime() < cutoff) {
+                    delete store.data.deliveries[key];
+                    removed++;
+                }
+            }
+
+            if (removed) store.save();
+            return removed;
+        },
+    };
+}
+
+module.exports = {
+    createReminderLedger,
+};
@@ -0,0 +1,121 @@
+/************************************************
+ * Automatic Reminder Policy
+ ************************************************/
+/**
+ * Works out which automatic reminders a row is due for on a given day,
+ * based on its Draft / Upload deadlines and an offset policy:
+ *
+ *   { offsets: [7, 3, 1], overdue: true, escalateHours: 48 }
+ *
+ * sends "draft-T7" / "upload-T7" seven days before each deadline (and so on),
+ * plus a daily "draft-overdue" / "upload-overdue" nag once a deadline has
+ * passed while the row isn't done. Reminders nobody has acknowledged by
+ * `escalateHours` before the deadline are escalated (0 turns that off).
+ * A guild can set a default policy and one per Type (e.g. "YouTube
+ * Integration"), see resolvePolicy().
+ */
+
+/**
+ * Parses an offsets list like "7,3,1" into [7, 3, 1].
+ * "none" (or an empty string) means no offset reminders.
+ * Returns null if the text is malformed.
+ */
+function parseOffsets(text) {
+    const value = String(text || "").trim().toLowerCase();
+    if (value === "" || value === "none") return [];
+
+    const offsets = value.split(/[\s,]+/).map(Number);
+    if (offsets.some((n) => !Number.isInteger(n) || n < 1 || n > 365)) return null;
+    return [...new Set(offsets)].sort((a, b) => b - a);
+}
+
+/**
+ * The policy used when a guild hasn't configured one, from
+ * REMINDER_OFFSETS (default "7,3,1"), OVERDUE_REMINDERS (default on)
+ * and ESCALATION_WINDOW_HOURS (default 48).
+ */
+function getDefaultPolicy() {
+    const escalateHours = Number(process.env.ESCALATION_WINDOW_HOURS || 48);
+    return {
+        offsets: parseOffsets(process.env.REMINDER_OFFSETS || "7,3,1") || [7, 3, 1],
+        overdue: process.env.OVERDUE_REMINDERS !== "0",
+        escalateHours: Number.isFinite(escalateHours) && escalateHours >= 0 ? escalateHours : 48,
+    };
+}
+
+/**
+ * Picks the policy for a row: the guild's policy for the row's Type,
+ * else the guild's default policy, else the global default.
+ * `guildPolicy` is { default?: policy, types?: { [typeLowercase]: policy } }.
+ */
+function resolvePolicy(guildPolicy, type) {
+    const policies = guildPolicy || {};
+    const typeKey = String(type || "").trim().toLowerCase();
+    const typePolicy = typeKey && policies.types ? policies.types[typeKey] : null;
+    return { ...getDefaultPolicy(), ...(policies.default || {}), ...(typePolicy || {}) };
+}
+
+/**
+ * Whole days from `fromIso` to `toIso` (both YYYY-MM-DD).
+ */
+function daysBetween(fromIso, toIso) {
+    const [fy, fm, fd] = fromIso.split("-").map(Number);
+    const [ty, tm, td] = toIso.split("-").map(Number);
+    return Math.round((Date.UTC(ty, tm - 1, td) - Date.UTC(fy, fm - 1, fd)) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Returns the automatic reminder kinds due on `isoDate` for a row.
+ *
+ * - deadlines: { draft: "YYYY-MM-DD" | null, upload: "YYYY-MM-DD" | null }
+ * - status: the row's status (draft reminders stop once it's "draft",
+ *   everything stops once it's "complete")
+ * - policy: the resolved policy (see resolvePolicy)
+ * - useOffsets: false when the row has manual reminder dates, which override offsets
+ * - includeOverdue: overdue nags are only sent for the current day, not when catching up
+ */
+function getAutomaticReminderKinds({ isoDate, deadlines, status, policy, useOffsets = true, includeOverdue = true }) {
+    const statusLower = String(status || "").toLowerCase();
+    if (statusLower === "complete") return [];
+
+    const kinds = [];
+    const stages = [
+        { name: "draft", deadline: deadlines.draft, done: statusLower === "draft" },
+        { name: "upload", deadline: deadlines.upload, done: false },
+    ];
+
+    for (const stage of stages) {
+        if (!stage.deadline || stage.done) continue;
+        const daysLeft = daysBetween(isoDate, stage.deadline);
+
+        if (useOffsets && policy.offsets.includes(daysLeft)) {
+            kinds.push(`${stage.name}-T${daysLeft}`);
+        }
+        if (includeOverdue && policy.overdue && daysLeft < 0) {
+            kinds.push(`${stage.name}-overdue`);
+        }
+    }
+
+    return kinds;
+}
+
+/**
+ * A short human readable label for a reminder kind, e.g. "Draft due in 3 days".
+ */
+function describeReminderKind(kind) {
+    const match = String(kind).match(/^(draft|upload)-(?:T(\d+)|overdue)$/);
+    if (!match) return null;
+
+    const stage = match[1] === "draft" ? "Draft" : "Upload";
+    if (!match[2]) return `${stage} overdue`;
+    return `${stage} due in ${match[2]} day${match[2] === "1" ? "" : "s"}`;
+}
+
+module.exports = {
+    parseOffsets,
+    getDefaultPolicy,
+    resolvePolicy,
+    daysBetween,
+    getAutomaticReminderKinds,
+    describeReminderKind,
+};
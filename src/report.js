@@ -0,0 +1,114 @@
+const { daysBetween } = require("./reminderPolicy");
+
+/************************************************
+ * Schedule Reports
+ ************************************************/
+/**
+ * Aggregates a guild's schedule items into the manager digest:
+ * what's due soon, what's overdue, completion rates by creator and by
+ * brand, and status counts for the month.
+ */
+
+const MONTH_NAMES = [
+    "january", "february", "march", "april", "may", "june",
+    "july", "august", "september", "october", "november", "december",
+];
+
+/**
+ * Returns true if an item's Month/Year columns point at `todayIso`'s month.
+ * Months may be names ("January", "Jan") or numbers ("1").
+ */
+function isInMonth(item, todayIso) {
+    const [year, month] = todayIso.split("-").map(Number);
+    if (String(item.year).trim() !== String(year)) return false;
+
+    const value = String(item.month).trim().toLowerCase();
+    if (Number(value) === month) return true;
+    return value.length >= 3 && MONTH_NAMES[month - 1].startsWith(value);
+}
+
+/**
+ * Adds one row to a { key: { total, complete } } tally.
+ */
+function tally(counts, key, isComplete) {
+    if (!counts[key]) counts[key] = { total: 0, complete: 0 };
+    counts[key].total++;
+    if (isComplete) counts[key].complete++;
+}
+
+/**
+ * Builds the report for one guild.
+ *
+ * - items: the guild's schedule items (ignored rows are skipped)
+ * - period: "week" lists deadlines in the next 7 days, "month" in the next 30
+ * - getDates(item): returns { today, draft, upload } as YYYY-MM-DD
+ *   (or null) in the item's timezone
+ *
+ * Returns { period, today, dueSoon: [{ item, field, date, days }],
+ * overdue: [{ item, field, date, days }], byCreator, byBrand, statusCounts,
+ * monthTotal, monthComplete }, where the completion tallies and status
+ * counts cover the rows whose Month/Year is the current month.
+ */
+function buildScheduleReport(items, { period = "week", getDates }) {
+    const windowDays = period === "month" ? 30 : 7;
+    const report = {
+        period,
+        today: null,
+        dueSoon: [],
+        overdue: [],
+        byCreator: {},
+        byBrand: {},
+        statusCounts: {},
+        monthTotal: 0,
+        monthComplete: 0,
+    };
+
+    for (const item of items) {
+        if (item.ignore === "1") continue;
+
+        const status = String(item.status || "").trim().toLowerCase();
+        const isComplete = status === "complete";
+        const dates = getDates(item);
+        report.today = report.today || dates.today;
+
+        // Draft deadlines close once a draft is in, everything closes once complete
+        const openDeadlines = [];
+        if (!isComplete && status !== "draft" && dates.draft) openDeadlines.push(["draft", dates.draft]);
+        if (!isComplete && dates.upload) openDeadlines.push(["upload", dates.upload]);
+
+        for (const [field, date] of openDeadlines) {
+            const days = daysBetween(dates.today, date);
+            if (days < 0) {
+                report.overdue.push({ item, field, date, days: -days });
+            } else if (days < windowDays) {
+                report.dueSoon.push({ item, field, date, days });
+            }
+        }
+
+        if (isInMonth(item, dates.today)) {
+            report.monthTotal++;
+            if (isComplete) report.monthComplete++;
+            tally(report.byCreator, String(item.creator).trim(), isComplete);
+            tally(report.byBrand, item.sponsor, isComplete);
+            const statusKey = status || "no status";
+            report.statusCounts[statusKey] = (report.statusCounts[statusKey] || 0) + 1;
+        }
+    }
+
+    report.dueSoon.sort((a, b) => a.days - b.days);
+    report.overdue.sort((a, b) => b.days - a.days);
+    return report;
+}
+
+/**
+ * Formats a { total, complete } tally as "3/4 (75%)".
+ */
+function formatCompletion({ total, complete }) {
+    return `${complete}/${total} (${total ? Math.round((complete / total) * 100) : 0}%)`;
+}
+
+module.exports = {
+    buildScheduleReport,
+    formatCompletion,
+    isInMonth,
+};
@@ -0,0 +1,49 @@
+/************************************************
+ * Retry with Backoff
+ ************************************************/
+/**
+ * Runs an async operation, retrying failures that `isRetryable` accepts
+ * with exponential backoff (plus a little jitter), or after the delay the
+ * server asked for when `getRetryAfterMs` returns one.
+ */
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Options:
+ * - maxAttempts: tries including the first (default 4)
+ * - baseDelayMs: delay before the first retry, doubled each time (default 1000)
+ * - maxDelayMs: upper bound for any single delay (default 30000)
+ * - isRetryable(err): whether an error is worth retrying (default: always)
+ * - getRetryAfterMs(err): a server-requested delay, or null
+ * - onRetry(err, attempt, delayMs): called before each retry, e.g. to log
+ */
+async function withRetry(operation, {
+    maxAttempts = 4,
+    baseDelayMs = 1000,
+    maxDelayMs = 30000,
+    isRetryable = () => true,
+    getRetryAfterMs = () => null,
+    onRetry = () => {},
+    wait = sleep,
+} = {}) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await operation(attempt);
+        } catch (err) {
+            if (attempt >= maxAttempts || !isRetryable(err)) throw err;
+
+            const retryAfter = getRetryAfterMs(err);
+            const backoff = baseDelayMs * 2 ** (attempt - 1) * (1 + Math.random() * 0.2);
+            const delay = Math.min(retryAfter !== null && retryAfter !== undefined ? retryAfter : backoff, maxDelayMs);
+            onRetry(err, attempt, delay);
+            await wait(delay);
+        }
+    }
+}
+
+module.exports = {
+    withRetry,
+};
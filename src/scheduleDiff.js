@@ -0,0 +1,107 @@
+/************************************************
+ * Schedule Change Detection
+ ************************************************/
+/**
+ * Compares two schedule caches (guild ID -> items) and reports what
+ * changed between refreshes, per guild:
+ *
+ * {
+ *   added:           [item],
+ *   removed:         [item],
+ *   deadlineChanges: [{ item, field, before, after }],
+ *   statusChanges:   [{ item, before, after }],
+ * }
+ *
+ * Rows are matched on their content (source, creator, brand, type, month,
+ * year) rather than their row number, so inserting a row in the middle of
+ * the Sheet doesn't show up as every row below it changing.
+ */
+
+const DEADLINE_FIELDS = {
+    draftDeadline: "Draft Deadline",
+    uploadDeadline: "Upload Deadline",
+};
+
+/**
+ * The content key a row is matched on between refreshes.
+ */
+function getItemIdentity(item) {
+    return [item.sourceId, item.creator, item.sponsor, item.type, item.month, item.year]
+        .map((value) => String(value || "").trim().toLowerCase())
+        .join("|");
+}
+
+/**
+ * Indexes items by identity. Duplicate identities get an occurrence
+ * suffix, so two identical rows are still matched one-to-one in order.
+ */
+function indexItems(items) {
+    const byIdentity = new Map();
+    const seen = {};
+    for (const item of items) {
+        const identity = getItemIdentity(item);
+        seen[identity] = (seen[identity] || 0) + 1;
+        byIdentity.set(`${identity}#${seen[identity]}`, item);
+    }
+    return byIdentity;
+}
+
+/**
+ * Diffs a single guild's rows.
+ */
+function diffGuildItems(oldItems, newItems) {
+    const oldIndex = indexItems(oldItems);
+    const newIndex = indexItems(newItems);
+    const diff = { added: [], removed: [], deadlineChanges: [], statusChanges: [] };
+
+    for (const [key, item] of newIndex) {
+        const previous = oldIndex.get(key);
+        if (!previous) {
+            diff.added.push(item);
+            continue;
+        }
+
+        for (const field of Object.keys(DEADLINE_FIELDS)) {
+            if (String(previous[field]).trim() !== String(item[field]).trim()) {
+                diff.deadlineChanges.push({ item, field, before: previous[field], after: item[field] });
+            }
+        }
+
+        if (previous.status.toLowerCase() !== item.status.toLowerCase()) {
+            diff.statusChanges.push({ item, before: previous.status, after: item.status });
+        }
+    }
+
+    for (const [key, item] of oldIndex) {
+        if (!newIndex.has(key)) diff.removed.push(item);
+    }
+
+    return diff;
+}
+
+/**
+ * Returns true if a guild diff has no changes.
+ */
+function isEmptyDiff(diff) {
+    return !diff.added.length && !diff.removed.length && !diff.deadlineChanges.length && !diff.statusChanges.length;
+}
+
+/**
+ * Diffs two whole caches, returning { guildId: diff } for guilds that changed.
+ */
+function diffSchedules(oldCache, newCache) {
+    const diffs = {};
+    const guildIds = new Set([...Object.keys(oldCache), ...Object.keys(newCache)]);
+
+    for (const guildId of guildIds) {
+        const diff = diffGuildItems(oldCache[guildId] || [], newCache[guildId] || []);
+        if (!isEmptyDiff(diff)) diffs[guildId] = diff;
+    }
+    return diffs;
+}
+
+module.exports = {
+    DEADLINE_FIELDS,
+    getItemIdentity,
+    diffSchedules,
+};
@@ -0,0 +1,48 @@
+const http = require("http");
+const { getLogger } = require("./logger");
+
+/************************************************
+ * Status HTTP Server
+ ************************************************/
+/**
+ * Serves GET /healthz (JSON, 200 when healthy or 503 when not) and
+ * GET /metrics (Prometheus text format) for monitoring.
+ *
+ * getHealth() returns an object with at least { ok }, and getMetrics()
+ * returns the rendered metrics text.
+ */
+function startStatusServer({ port, host = "127.0.0.1", getHealth, getMetrics }) {
+    const server = http.createServer((req, res) => {
+        const url = (req.url || "").split("?")[0];
+        try {
+            if (req.method === "GET" && url === "/healthz") {
+                const health = getHealth();
+                res.writeHead(health.ok ? 200 : 503, { "Content-Type": "application/json" });
+                res.end(JSON.stringify(health, null, 2));
+                return;
+            }
+            if (req.method === "GET" && url === "/metrics") {
+                const text = getMetrics();
+                res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" });
+                res.end(text);
+                return;
+            }
+            res.writeHead(404, { "Content-Type": "text/plain" });
+            res.end("Not found");
+        } catch (err) {
+            getLogger().error(`Failed to serve ${url}`, err);
+            res.writeHead(500, { "Content-Type": "text/plain" });
+            res.end("Error");
+        }
+    });
+
+    server.on("error", (err) => getLogger().error("Status server error:", err));
+    server.listen(port, host, () => {
+        getLogger().info(`Status server listening on http://${host}:${port}`);
+    });
+    return server;
+}
+
+module.exports = {
+    startStatusServer,
+};
@@ -0,0 +1,106 @@
+const { createJsonStore } = require("./jsonStore");
+
+/************************************************
+ * Draft & Upload Submissions
+ ************************************************/
+/**
+ * The drafts and uploads creators hand in with /submit, kept per row so
+ * every row has its full submission history. Persisted to
+ * submissions.json, keyed "<guildId>:<rowId>", each an array of:
+ *
+ *   { id, stage: "draft" | "upload", link, attachment: { name, url } | null,
+ *     note, submittedBy, submittedAt, status: "pending" | "reviewing" |
+ *     "approved" | "changes-requested", reviewedBy, reviewedAt, feedback,
+ *     review: { channelId, messageId } }
+ *
+ * "reviewing" marks a review in progress, so two managers can't review
+ * the same submission at once. Submission IDs count up per row, starting
+ * at 1.
+ */
+
+const SUBMISSION_STATUS_LABELS = {
+    pending: "Waiting for review",
+    reviewing: "Being reviewed",
+    approved: "Approved",
+    "changes-requested": "Changes requested",
+};
+
+function rowKey(guildId, rowId) {
+    return `${guildId}:${rowId}`;
+}
+
+/**
+ * Creates the submission store, persisted to submissions.json.
+ */
+function createSubmissions(fileName = "submissions.json") {
+    const store = createJsonStore(fileName, { rows: {} });
+
+    return {
+        /**
+         * Returns a row's submissions, oldest first.
+         */
+        list(guildId, rowId) {
+            return store.data.rows[rowKey(guildId, rowId)] || [];
+        },
+
+        /**
+         * Returns one submission, or null.
+         */
+        get(guildId, rowId, id) {
+            return this.list(guildId, rowId).find((submission) => submission.id === Number(id)) || null;
+        },
+
+        /**
+         * Adds a new pending submission to a row and returns it.
+         */
+        add(guildId, rowId, { stage, link = null, attachment = null, note = null, submittedBy }) {
+            const key = rowKey(guildId, rowId);
+            const history = store.data.rows[key] || [];
+            const submission = {
+                id: history.length ? history[history.length - 1].id + 1 : 1,
+                stage,
+                link,
+                attachment,
+                note,
+                submittedBy,
+                submittedAt: new Date().toISOString(),
+                status: "pending",
+                reviewedBy: null,
+                reviewedAt: null,
+                feedback: null,
+                review: null,
+            };
+            store.data.rows[key] = [...history, submission];
+            store.save();
+            return submission;
+        },
+
+        /**
+         * Merges `changes` into a submission and saves it. Returns the
+         * updated submission, or null if it doesn't exist.
+         */
+        update(guildId, rowId, id, changes) {
+            const submission = this.get(guildId, rowId, id);
+            if (!submission) return null;
+            Object.assign(submission, changes);
+            store.save();
+            return submission;
+        },
+
+        /**
+         * Removes a submission, e.g. one whose review card couldn't be posted.
+         */
+        remove(guildId, rowId, id) {
+            const key = rowKey(guildId, rowId);
+            const history = this.list(guildId, rowId);
+            store.data.rows[key] = history.filter((submission) => submission.id !== Number(id));
+            if (!store.data.rows[key].length) delete store.data.rows[key];
+            store.save();
+        },
+    };
+}
+
+module.exports = {
+    SUBMISSION_STATUS_LABELS,
+    createSubmissions,
+};
@@ -0,0 +1,160 @@
+const fs = require("fs");
+const path = require("path");
+const { getDataDir } = require("./jsonStore");
+const { getLogger } = require("./logger");
+
+/************************************************
+ * Message Templates
+ ************************************************/
+/**
+ * Reminder wording and embed layout, configurable per guild.
+ *
+ * A template config looks like:
+ *   {
+ *     messages: { channelIntro: "Heads up {guild}!", embedTitle: "{brand} ({type})" },
+ *     statusStyles: { "in review": { color: "2089e8", emoji: "🔍" } },
+ *     extraColumns: ["Notes", "Contact"]
+ *   }
+ *
+ * Configs are layered: the built-in defaults, then the "default" and
+ * per-guild sections of the template file (TEMPLATE_FILE, default
+ * DATA_DIR/templates.json), then what admins set with /template.
+ */
+
+/**
+ * Built-in messages. Placeholders in braces are filled by renderTemplate.
+ */
+const DEFAULT_MESSAGES = {
+    channelIntro: "Here is the schedule:",
+    channelIntroMissed: "Here is the schedule reminder from {date}:",
+    dmIntro: "Here is your schedule reminder for today:",
+    dmIntroMissed: "Here is a schedule reminder you missed on {date}:",
+    embedTitle: "Sponsor: {brand}",
+    embedDescription: "",
+};
+
+/**
+ * What each message is for, shown by /template.
+ */
+const MESSAGE_DESCRIPTIONS = {
+    channelIntro: "Channel post intro",
+    channelIntroMissed: "Channel post intro for a missed day",
+    dmIntro: "DM intro",
+    dmIntroMissed: "DM intro for a missed day",
+    embedTitle: "Embed title",
+    embedDescription: "Embed description",
+};
+
+/**
+ * Placeholders available in every message; the item ones only in the
+ * embed title/description and in DM intros (for the creator).
+ */
+const PLACEHOLDERS = [
+    "{guild}", "{date}", "{count}",
+    "{creator}", "{brand}", "{type}", "{month}", "{year}",
+    "{status}", "{statusEmoji}", "{draftDeadline}", "{uploadDeadline}", "{daysRemaining}",
+];
+
+/**
+ * Built-in status colors and emoji; statuses not listed use DEFAULT_STATUS_STYLE.
+ */
+const DEFAULT_STATUS_STYLES = {
+    pending: { color: "e82020", emoji: "🔴" },
+    draft: { color: "e8db20", emoji: "🟡" },
+    complete: { color: "63e820", emoji: "🟢" },
+};
+
+const DEFAULT_STATUS_STYLE = { color: "e8db20", emoji: "" };
+
+/**
+ * Returns the template file path.
+ */
+function getTemplateFilePath() {
+    return path.resolve(process.env.TEMPLATE_FILE || path.join(getDataDir(), "templates.json"));
+}
+
+let templateFileCache = { filePath: null, mtimeMs: null, config: {} };
+
+/**
+ * Reads the template file, reloading it whenever it changes on disk.
+ * Returns {} if there is no file or it can't be parsed.
+ */
+function loadTemplateFile() {
+    const filePath = getTemplateFilePath();
+    try {
+        const { mtimeMs } = fs.statSync(filePath);
+        if (templateFileCache.filePath !== filePath || templateFileCache.mtimeMs !== mtimeMs) {
+            templateFileCache = { filePath, mtimeMs, config: JSON.parse(fs.readFileSync(filePath, "utf8")) };
+        }
+        return templateFileCache.config;
+    } catch (err) {
+        if (err.code !== "ENOENT") {
+            getLogger().error(`Could not read template file ${filePath}:`, err);
+        }
+        return {};
+    }
+}
+
+/**
+ * Merges template configs, later ones winning. Status style keys are
+ * lowercased so lookups are case-insensitive.
+ */
+function mergeTemplates(...configs) {
+    const merged = { messages: { ...DEFAULT_MESSAGES }, statusStyles: {}, extraColumns: [] };
+    for (const [status, style] of Object.entries(DEFAULT_STATUS_STYLES)) {
+        merged.statusStyles[status] = { ...style };
+    }
+
+    for (const config of configs) {
+        if (!config) continue;
+        Object.assign(merged.messages, config.messages || {});
+        for (const [status, style] of Object.entries(config.statusStyles || {})) {
+            const key = status.toLowerCase();
+            merged.statusStyles[key] = { ...(merged.statusStyles[key] || DEFAULT_STATUS_STYLE), ...style };
+        }
+        if (Array.isArray(config.extraColumns)) merged.extraColumns = config.extraColumns;
+    }
+    return merged;
+}
+
+/**
+ * Resolves the templates for a guild from the file and its /template settings.
+ */
+function resolveTemplates(guildId, guildConfig) {
+    const file = loadTemplateFile();
+    return mergeTemplates(file.default, file.guilds && file.guilds[guildId], guildConfig);
+}
+
+/**
+ * Returns { color, emoji } for a status.
+ */
+function getStatusStyle(templates, status) {
+    return templates.statusStyles[String(status || "").trim().toLowerCase()] || DEFAULT_STATUS_STYLE;
+}
+
+/**
+ * Fills {placeholders} in `template` from `values`; unknown ones are left as-is.
+ */
+function renderTemplate(template, values) {
+    return String(template || "").replace(/\{(\w+)\}/g, (match, key) =>
+        values[key] === undefined || values[key] === null ? match : String(values[key])
+    );
+}
+
+/**
+ * Returns true for a 6-digit hex color, with or without "#".
+ */
+function isValidColor(value) {
+    return /^#?[0-9a-f]{6}$/i.test(String(value || "").trim());
+}
+
+module.exports = {
+    DEFAULT_MESSAGES,
+    MESSAGE_DESCRIPTIONS,
+    PLACEHOLDERS,
+    getTemplateFilePath,
+    resolveTemplates,
+    getStatusStyle,
+    renderTemplate,
+    isValidColor,
+};
@@ -0,0 +1,103 @@
+/************************************************
+ * Timezone Helpers
+ ************************************************/
+/**
+ * Small helpers around Intl for evaluating "today" and "now" in an
+ * IANA timezone (e.g. "Europe/Berlin", "America/Los_Angeles") instead
+ * of the host's local clock.
+ */
+
+/**
+ * The zone used when neither the guild nor the creator set one:
+ * TIMEZONE from the environment, or the host's own zone.
+ */
+function getDefaultTimeZone() {
+    return process.env.TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+/**
+ * Returns true if `timeZone` is a valid IANA zone name.
+ */
+function isValidTimeZone(timeZone) {
+    if (!timeZone) return false;
+    try {
+        new Intl.DateTimeFormat("en-US", { timeZone });
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Returns true if `time` is a valid 24h "HH:MM" string.
+ */
+function isValidTimeOfDay(time) {
+    return /^([01]?\d|2[0-3]):[0-5]\d$/.test(String(time || ""));
+}
+
+/**
+ * Returns { year, month, day, hour, minute } of `date` as seen in `timeZone`.
+ * month is 1-based.
+ */
+function getZonedParts(date, timeZone) {
+    const parts = new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        hourCycle: "h23",
+    }).formatToParts(date);
+
+    const values = {};
+    for (const part of parts) {
+        if (part.type !== "literal") values[part.type] = Number(part.value);
+    }
+    return values;
+}
+
+/**
+ * Returns the calendar date it currently is in `timeZone`, as a Date at
+ * local midnight, so the usual getFullYear()/getMonth()/getDate() getters
+ * read the zone's day rather than the host's.
+ */
+function getZonedToday(timeZone, now = new Date()) {
+    const { year, month, day } = getZonedParts(now, timeZone);
+    return new Date(year, month - 1, day);
+}
+
+/**
+ * Returns true if the wall clock in `timeZone` has reached `time` ("HH:MM") today.
+ */
+function hasTimeOfDayPassed(time, timeZone, now = new Date()) {
+    const [hours, minutes] = time.split(":").map(Number);
+    const { hour, minute } = getZonedParts(now, timeZone);
+    return hour * 60 + minute >= hours * 60 + minutes;
+}
+
+/**
+ * Converts "HH:MM" into a daily cron expression, e.g. "09:30" -> "30 9 * * *".
+ */
+function timeOfDayToCron(time) {
+    const [hours, minutes] = time.split(":").map(Number);
+    return `${minutes} ${hours} * * *`;
+}
+
+/**
+ * Lists the IANA zones the runtime knows about, for autocomplete.
+ */
+function listTimeZones() {
+    return typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("timeZone") : [];
+}
+
+module.exports = {
+    getDefaultTimeZone,
+    isValidTimeZone,
+    isValidTimeOfDay,
+    getZonedParts,
+    getZonedToday,
+    hasTimeOfDayPassed,
+    timeOfDayToCron,
+    listTimeZones,
+};
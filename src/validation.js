@@ -0,0 +1,133 @@
+const { SCHEDULE_HEADERS, REQUIRED_HEADERS } = require("./dataSources");
+
+/************************************************
+ * Schedule Validation
+ ************************************************/
+/**
+ * Builds a validation report for the loaded schedule, combining:
+ * - schema problems: required headers that are missing or renamed
+ * - row problems found while mapping (skipped rows, malformed flags, bad dates)
+ * - Discord problems: guild IDs the bot isn't in, channels that don't
+ *   resolve, and creator IDs that aren't members of the guild
+ *
+ * Each problem is { guildId, sourceId, rowIndex, message }. Header problems
+ * have rowIndex set to null since they affect every row, and problems in the
+ * shared default sheet that can't be tied to a guild have guildId null.
+ */
+
+/**
+ * Discord user IDs (snowflakes) are 17-20 digit numbers.
+ */
+function isSnowflake(value) {
+    return /^\d{17,20}$/.test(String(value || "").trim());
+}
+
+/**
+ * Returns header problems for columns missing from a source.
+ */
+function validateHeaders(source) {
+    return REQUIRED_HEADERS
+        .filter((key) => source.columns[key] === undefined || source.columns[key] < 0)
+        .map((key) => ({
+            guildId: source.guildId,
+            sourceId: source.id,
+            rowIndex: null,
+            message: `Missing required column "${SCHEDULE_HEADERS[key]}" (was it renamed?)`,
+        }));
+}
+
+/**
+ * Checks every row against Discord: the guild must be one the bot is in,
+ * the channel must resolve by name or ID, and the creator must be a member.
+ */
+async function validateAgainstDiscord(schedule, client) {
+    const problems = [];
+
+    for (const [guildId, items] of Object.entries(schedule)) {
+        const guild = client.guilds.cache.get(guildId);
+        if (!guild) {
+            for (const item of items) {
+                problems.push({
+                    guildId,
+                    sourceId: item.sourceId,
+                    rowIndex: item.currentRowNumber,
+                    message: `Unknown guild ID "${guildId}", the bot is not in this server`,
+                });
+            }
+            continue;
+        }
+
+        const memberChecks = {};
+        for (const item of items) {
+            const channelKey = String(item.channel).trim();
+            const channel = guild.channels.cache.find((ch) => ch.name === channelKey || ch.id === channelKey);
+            if (!channel) {
+                problems.push({
+                    guildId,
+                    sourceId: item.sourceId,
+                    rowIndex: item.currentRowNumber,
+                    message: `Channel "${channelKey}" was not found in this server`,
+                });
+            }
+
+            const creatorId = String(item.creator).trim();
+            if (!isSnowflake(creatorId)) {
+                problems.push({
+                    guildId,
+                    sourceId: item.sourceId,
+                    rowIndex: item.currentRowNumber,
+                    message: `Creator "${creatorId}" is not a Discord user ID`,
+                });
+                continue;
+            }
+
+            // Fetch each creator once per guild
+            if (!memberChecks[creatorId]) {
+                memberChecks[creatorId] = guild.members.fetch(creatorId).then(
+                    () => true,
+                    () => false
+                );
+            }
+            if (!(await memberChecks[creatorId])) {
+                problems.push({
+                    guildId,
+                    sourceId: item.sourceId,
+                    rowIndex: item.currentRowNumber,
+                    message: `Creator <@${creatorId}> is not a member of this server`,
+                });
+            }
+        }
+    }
+
+    return problems;
+}
+
+/**
+ * Runs every check and returns the list of problems, sorted by source and row.
+ * `sources` lists each loaded source as { id, guildId, columns, issues },
+ * where issues are the row issues returned by mapRowsToSchedule().
+ */
+async function validateSchedule({ schedule, sources, client }) {
+    const problems = [];
+    for (const source of sources) {
+        problems.push(...validateHeaders(source));
+        for (const issue of source.issues) {
+            problems.push({
+                guildId: issue.guildId,
+                sourceId: source.id,
+                rowIndex: issue.rowIndex,
+                message: issue.message,
+            });
+        }
+    }
+    problems.push(...(await validateAgainstDiscord(schedule, client)));
+
+    return problems.sort(
+        (a, b) => a.sourceId.localeCompare(b.sourceId) || (a.rowIndex ?? -1) - (b.rowIndex ?? -1)
+    );
+}
+
+module.exports = {
+    validateSchedule,
+    isSnowflake,
+};
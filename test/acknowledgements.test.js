@@ -0,0 +1,159 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createTestBot, channelByName, runInteraction } = require("./helpers/testBot");
+
+/************************************************
+ * Reminder Acknowledgements, Escalation and Extensions
+ ************************************************/
+
+const isoDaysFromNow = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+const testBot = createTestBot({
+    rows: [
+        { sponsor: "Acme", reminderDate: isoDaysFromNow(0), uploadDeadline: isoDaysFromNow(2) },
+        {
+            sponsor: "Globex",
+            creator: "101",
+            channel: "bob-sponsors",
+            manager: "400",
+            reminderDate: isoDaysFromNow(0),
+            uploadDeadline: isoDaysFromNow(2),
+        },
+    ],
+});
+
+const { bot, sheets, guild } = testBot;
+const customIds = (row) => row.components.map((button) => button.data.custom_id);
+
+before(async () => {
+    await bot.fetchScheduleData();
+    await bot.sendScheduledReminders();
+});
+after(() => bot.stop());
+
+describe("reminder buttons", () => {
+    it("carry Got it, Need extension and Already submitted next to the status buttons", () => {
+        const [row] = channelByName(guild, "alice-sponsors").sent[0].components;
+        assert.deepEqual(customIds(row), [
+            "status:1:0:draft",
+            "status:1:0:complete",
+            "ack:1:0:got-it",
+            "ack:1:0:extension",
+            "ack:1:0:submitted",
+        ]);
+    });
+
+    it("record the creator's answer on the row", async () => {
+        const interaction = await runInteraction({ ...testBot, kind: "button", customId: "ack:1:0:got-it", by: "100" });
+        assert.match(interaction.replies[0].content, /seen the reminder for \*\*Acme\*\*/);
+        assert.equal(bot.reminderAcks.get("1", "0").response, "got-it");
+        assert.equal(bot.reminderAcks.get("1", "0").respondedBy, "100");
+    });
+
+    it("only let the creator answer", async () => {
+        const interaction = await runInteraction({
+            ...testBot,
+            kind: "button",
+            customId: "ack:1:0:submitted",
+            by: "400",
+        });
+        assert.match(interaction.replies[0].content, /Only <@100> can answer/);
+        assert.equal(bot.reminderAcks.get("1", "0").response, "got-it");
+    });
+});
+
+describe("checkEscalations", () => {
+    it("mentions the creator in the channel once the deadline is within the window", async () => {
+        const deadline = bot.reminderAcks.get("1", "1").deadline;
+        const before = channelByName(guild, "bob-sponsors").sent.length;
+
+        await bot.checkEscalations(new Date((deadline - 47 * 60 * 60) * 1000));
+        await bot.checkEscalations(new Date((deadline - 46 * 60 * 60) * 1000));
+
+        const sent = channelByName(guild, "bob-sponsors").sent.slice(before);
+        assert.equal(sent.length, 1);
+        assert.match(sent[0].content, /^<@101> you haven't answered the reminder for \*\*Globex\*\*/);
+        assert.deepEqual(customIds(sent[0].components[0]), ["ack:1:1:got-it", "ack:1:1:extension", "ack:1:1:submitted"]);
+
+        // Acme was answered, so it's left alone
+        assert.equal(channelByName(guild, "alice-sponsors").sent.length, 1);
+    });
+
+    it("pings the row's manager from half the window on, once", async () => {
+        const deadline = bot.reminderAcks.get("1", "1").deadline;
+        await bot.checkEscalations(new Date((deadline - 23 * 60 * 60) * 1000));
+        await bot.checkEscalations(new Date((deadline - 22 * 60 * 60) * 1000));
+
+        const escalations = channelByName(guild, "bob-sponsors").sent.filter((message) => /hasn't answered/.test(message.content || ""));
+        assert.equal(escalations.length, 1);
+        assert.match(escalations[0].content, /^<@400> <@101> hasn't answered the reminder for \*\*Globex\*\*/);
+        assert.deepEqual(escalations[0].allowedMentions, { users: ["400"] });
+    });
+});
+
+describe("extension requests", () => {
+    let thread;
+
+    it("ask for a new date, then open a thread for the manager", async () => {
+        const button = await runInteraction({ ...testBot, kind: "button", customId: "ack:1:0:extension", by: "100" });
+        assert.equal(button.replies[0].type, "showModal");
+
+        const modal = await runInteraction({
+            ...testBot,
+            kind: "modal",
+            customId: "extension-modal:1:0",
+            by: "100",
+            fields: { date: "2030-05-01", reason: "Editor is sick" },
+        });
+        assert.match(modal.replies.at(-1).content, /Extension to 2030-05-01 requested/);
+        assert.equal(bot.reminderAcks.get("1", "0").response, "extension");
+
+        [thread] = channelByName(guild, "alice-sponsors").threads.created;
+        assert.equal(thread.name, "Extension: Acme");
+        assert.match(thread.sent[0].content, /^<@&20> <@100> asked to move the Upload Deadline for \*\*Acme\*\*/);
+        assert.match(thread.sent[0].content, /to \*\*2030-05-01\*\*\.\nReason: Editor is sick/);
+    });
+
+    it("can only be answered by a manager", async () => {
+        const interaction = await runInteraction({
+            ...testBot,
+            kind: "button",
+            customId: "extension:1:0:approve",
+            by: "400",
+            message: thread.sent[0],
+        });
+        assert.match(interaction.replies[0].content, /Only a manager/);
+        assert.equal(bot.reminderAcks.get("1", "0").extension.status, "pending");
+    });
+
+    it("move the deadline in the Sheet when approved", async () => {
+        const interaction = await runInteraction({
+            ...testBot,
+            kind: "button",
+            customId: "extension:1:0:approve",
+            by: "200",
+            message: thread.sent[0],
+        });
+        const [deferred, update] = interaction.replies;
+
+        assert.equal(deferred.type, "deferUpdate");
+        assert.equal(update.type, "editReply");
+        assert.match(update.content, /Approved by <@200>\. The Upload Deadline for \*\*Acme\*\* is now 2030-05-01\./);
+        assert.deepEqual(update.components, []);
+
+        // Written as a Discord timestamp like the rest of the column, at the end of the day (no time before)
+        const tag = `<t:${Date.UTC(2030, 4, 1, 23, 59) / 1000}:R>`;
+        const header = sheets.rows[0];
+        assert.equal(sheets.rows[1][header.indexOf("Upload Deadline - Disc. Date")], tag);
+        assert.equal(bot.getScheduleCache()["1"][0].uploadDeadline, tag);
+
+        const again = await runInteraction({
+            ...testBot,
+            kind: "button",
+            customId: "extension:1:0:deny",
+            by: "200",
+            message: thread.sent[0],
+        });
+        assert.match(again.replies[0].content, /already approved/);
+    });
+});
@@ -0,0 +1,128 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createTestBot, channelByName, runInteraction } = require("./helpers/testBot");
+
+/************************************************
+ * Brand Views and Summaries
+ ************************************************/
+
+const testBot = createTestBot({
+    rows: [
+        { sponsor: "Acme", type: "Video", uploadDeadline: "2030-04-10" },
+        { sponsor: "Acme", type: "Short", status: "complete" },
+        { sponsor: "Acme", creator: "101", channel: "bob-sponsors", status: "draft", month: "May" },
+        { sponsor: "Globex" },
+        { sponsor: "ACME", ignore: "1" },
+    ],
+});
+
+const { bot, guild } = testBot;
+
+before(() => bot.fetchScheduleData());
+after(() => bot.stop());
+
+describe("/brand", () => {
+    it("lists every creator, deliverable and status for the brand", async () => {
+        const interaction = await runInteraction({
+            ...testBot,
+            commandName: "brand",
+            by: "200",
+            in: "general",
+            options: { name: "acme" },
+        });
+        const embed = interaction.replies[0].embeds[0].data;
+
+        assert.equal(embed.title, "Brand: Acme");
+        assert.match(embed.description, /^<@100>\n.*Video \(April 2025\): \*\*pending\*\*, next deadline <t:\d+:R>\n.*Short \(April 2025\): \*\*complete\*\*/);
+        assert.match(embed.description, /\n\n<@101>\n.*Video \(May 2025\): \*\*draft\*\*$/);
+        assert.deepEqual(embed.fields[0], { name: "Deliverables (3)", value: "pending: 1\ncomplete: 1\ndraft: 1" });
+        assert.equal(interaction.replies[0].content, undefined);
+    });
+
+    it("shows a card per deliverable with cards", async () => {
+        const interaction = await runInteraction({
+            ...testBot,
+            commandName: "brand",
+            by: "200",
+            in: "general",
+            options: { name: "Acme", cards: true },
+        });
+        const cards = interaction.replies[1].embeds.map((embed) => embed.data.title);
+        assert.deepEqual(cards, ["Sponsor: Acme", "Sponsor: Acme", "Sponsor: Acme"]);
+    });
+
+    it("says so when no rows match", async () => {
+        const interaction = await runInteraction({
+            ...testBot,
+            commandName: "brand",
+            by: "200",
+            in: "general",
+            options: { name: "Initech" },
+        });
+        assert.match(interaction.replies[0].content, /No rows found for brand "Initech"/);
+    });
+
+    it("is for managers only", async () => {
+        const interaction = await runInteraction({
+            ...testBot,
+            commandName: "brand",
+            by: "400",
+            in: "general",
+            options: { name: "Acme" },
+        });
+        assert.match(interaction.replies[0].content, /do not have permission/);
+    });
+
+    it("suggests the guild's brands", async () => {
+        const interaction = await runInteraction({
+            ...testBot,
+            kind: "autocomplete",
+            commandName: "brand",
+            by: "200",
+            in: "general",
+            focused: { name: "name", value: "ac" },
+        });
+        assert.deepEqual(interaction.choices, [{ name: "Acme", value: "Acme" }]);
+    });
+});
+
+describe("scheduled brand summaries", () => {
+    it("map a brand to a channel", async () => {
+        const interaction = await runInteraction({
+            ...testBot,
+            commandName: "brand",
+            by: "200",
+            in: "general",
+            options: { name: "ACME", summary_channel: { id: "11" } },
+        });
+        assert.match(interaction.replies[0].content, /^The Acme summary is posted to <#11> on schedule/);
+        assert.deepEqual(bot.guildSettings.get(guild.id).brandChannels, { acme: { name: "Acme", channelId: "11" } });
+    });
+
+    it("post the summary and a card for every row that isn't complete", async () => {
+        await bot.postBrandSummaries();
+        const [message] = channelByName(guild, "bob-sponsors").sent;
+
+        assert.deepEqual(
+            message.embeds.map((embed) => embed.data.title),
+            ["Brand: Acme", "Sponsor: Acme", "Sponsor: Acme"]
+        );
+        assert.deepEqual(message.allowedMentions, { parse: [] });
+        assert.equal(channelByName(guild, "general").sent.length, 0);
+    });
+
+    it("stop with stop_summaries", async () => {
+        const interaction = await runInteraction({
+            ...testBot,
+            commandName: "brand",
+            by: "200",
+            in: "general",
+            options: { name: "Acme", stop_summaries: true },
+        });
+        assert.match(interaction.replies[0].content, /Scheduled summaries for Acme are off/);
+        assert.equal(bot.guildSettings.get(guild.id).brandChannels, undefined);
+
+        await bot.postBrandSummaries();
+        assert.equal(channelByName(guild, "bob-sponsors").sent.length, 1);
+    });
+});
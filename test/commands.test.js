@@ -0,0 +1,267 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { PermissionsBitField } = require("discord.js");
+const { DEFAULT_GUILD, createTestBot, runInteraction } = require("./helpers/testBot");
+const { createSheetsError } = require("./helpers/fakeSheets");
+const { resolveManagerCommandPermission } = require("../src/commands");
+
+/************************************************
+ * Slash Command Handling
+ ************************************************/
+
+const testBot = createTestBot({
+    rows: [
+        { sponsor: "Acme", month: "April" },
+        { sponsor: "Globex", creator: "101", channel: "bob-sponsors", month: "May" },
+    ],
+});
+
+const { bot, sheets, guild } = testBot;
+const member = (id) => guild.members.cache.get(id);
+
+const lastContent = (interaction) => interaction.replies.at(-1).content;
+
+before(() => bot.fetchScheduleData());
+after(() => bot.stop());
+
+describe("/schedule", () => {
+    it("shows the schedule to managers in a schedule channel", async () => {
+        const interaction = await runInteraction({
+            ...testBot,
+            commandName: "schedule",
+            by: "200",
+            options: { month: "April" },
+        });
+        const reply = interaction.replies[0];
+
+        assert.equal(reply.type, "reply");
+        assert.equal(reply.ephemeral, false);
+        assert.deepEqual(reply.embeds.map((embed) => embed.data.title), ["Sponsor: Acme"]);
+        assert.equal(reply.embeds[0].data.footer.text, "Data as of");
+    });
+
+    it("turns away members without access", async () => {
+        const interaction = await runInteraction({ ...testBot, commandName: "schedule", by: "400" });
+        assert.match(lastContent(interaction), /do not have permission/);
+    });
+
+    it("only runs in channels listed in the sheet", async () => {
+        const interaction = await runInteraction({ ...testBot, commandName: "schedule", by: "300", in: "general" });
+        assert.match(lastContent(interaction), /valid schedule channel/);
+    });
+
+    it("says so when nothing matches", async () => {
+        const interaction = await runInteraction({
+            ...testBot,
+            commandName: "schedule",
+            by: "300",
+            options: { month: "June" },
+        });
+        assert.match(lastContent(interaction), /No schedule data found/);
+    });
+});
+
+describe("/refresh", () => {
+    it("reloads the schedule from the Sheet", async () => {
+        sheets.rows.push([...sheets.rows[1]]);
+        const interaction = await runInteraction({ ...testBot, commandName: "refresh", by: "200" });
+
+        assert.equal(interaction.replies[0].type, "deferReply");
+        assert.match(lastContent(interaction), /refreshed/);
+        assert.equal(bot.getScheduleCache()[guild.id].length, 3);
+    });
+
+    it("reports sources that failed to refresh", async () => {
+        sheets.failNext(createSheetsError(403, "The caller does not have permission"));
+        const interaction = await runInteraction({ ...testBot, commandName: "refresh", by: "200" });
+
+        assert.match(lastContent(interaction), /could not be refreshed, the last loaded rows are kept:\n- .*: The caller does not have permission$/);
+        assert.equal(bot.getScheduleCache()[guild.id].length, 3);
+    });
+});
+
+describe("/permissions", () => {
+    it("lets admins open a manager command up to a member", async () => {
+        assert.match(lastContent(await runInteraction({
+            ...testBot,
+            commandName: "refresh",
+            by: "400",
+        })), /do not have permission/);
+
+        const grant = await runInteraction({
+            ...testBot,
+            commandName: "permissions",
+            by: "300",
+            subcommand: "allow",
+            options: { command: "refresh", user: member("400").user },
+        });
+        assert.match(lastContent(grant), /may now run \/refresh/);
+        assert.match(lastContent(await runInteraction({ ...testBot, commandName: "refresh", by: "400" })), /refreshed/);
+
+        // The ACL replaces the moderator role for that command
+        assert.match(lastContent(await runInteraction({
+            ...testBot,
+            commandName: "refresh",
+            by: "200",
+        })), /do not have permission/);
+    });
+
+    it("decides who may export the whole schedule", async () => {
+        const exportAll = () => runInteraction({ ...testBot, commandName: "export", by: "101", in: "general" });
+        assert.match(lastContent(await exportAll()), /^Exported 1 row\./);
+
+        await runInteraction({
+            ...testBot,
+            commandName: "permissions",
+            by: "300",
+            subcommand: "allow",
+            options: { command: "export", user: member("101").user },
+        });
+        assert.match(lastContent(await exportAll()), /^Exported 3 rows\./);
+    });
+
+    it("leaves manager commands visible to everyone without MANAGER_COMMAND_PERMISSION", () => {
+        const refresh = bot.commands.find((command) => command.name === "refresh");
+        assert.equal(refresh.default_member_permissions, null);
+    });
+
+    it("refuses a MANAGER_COMMAND_PERMISSION Discord doesn't know", () => {
+        assert.equal(resolveManagerCommandPermission("ManageGuild"), PermissionsBitField.Flags.ManageGuild);
+        assert.equal(resolveManagerCommandPermission(""), null);
+        assert.throws(() => resolveManagerCommandPermission("ManageGuid"), /Unknown MANAGER_COMMAND_PERMISSION "ManageGuid"/);
+    });
+
+    it("is admin-only", async () => {
+        const interaction = await runInteraction({
+            ...testBot,
+            commandName: "permissions",
+            by: "200",
+            subcommand: "show",
+        });
+        assert.match(lastContent(interaction), /do not have permission/);
+    });
+});
+
+describe("/cron", () => {
+    it("can't be changed by a server's admin without bot owners", async () => {
+        const interaction = await runInteraction({
+            ...testBot,
+            commandName: "cron",
+            by: "300",
+            subcommand: "pause",
+            options: { job: "main" },
+        });
+        assert.match(lastContent(interaction), /can only be changed by the bot owners, and none are configured/);
+        assert.match(lastContent(await runInteraction({
+            ...testBot,
+            commandName: "cron",
+            by: "300",
+            subcommand: "list",
+        })), /\*\*main\*\*/);
+    });
+});
+
+describe("/status", () => {
+    it("writes a creator's new status back to the Sheet", async () => {
+        const interaction = await runInteraction({
+            ...testBot,
+            commandName: "status",
+            by: "100",
+            options: { deliverable: `${guild.id}:0`, status: "draft", note: "Sent for review" },
+        });
+
+        assert.match(lastContent(interaction), /\*\*Acme\*\* is now marked as \*\*draft\*\*/);
+        const header = sheets.rows[0];
+        assert.equal(sheets.rows[1][header.indexOf("status")], "draft");
+        assert.equal(sheets.rows[1][header.indexOf("Status Message")], "Sent for review");
+        assert.equal(sheets.requests.at(-1).method, "batchUpdate");
+    });
+
+    it("doesn't let creators change someone else's row", async () => {
+        const interaction = await runInteraction({
+            ...testBot,
+            commandName: "status",
+            by: "100",
+            options: { deliverable: `${guild.id}:1`, status: "complete" },
+        });
+        assert.match(lastContent(interaction), /can't update that deliverable/);
+        assert.equal(sheets.rows[2][sheets.rows[0].indexOf("status")], "pending");
+    });
+
+    it("doesn't let another server's admin change this server's rows", async () => {
+        const rival = { id: "2", name: "Rival", channels: [{ id: "30", name: "general" }], members: [{ id: "500", admin: true }] };
+        const other = createTestBot({ rows: [{ sponsor: "Acme" }], guilds: [DEFAULT_GUILD, rival] });
+        try {
+            await other.bot.fetchScheduleData();
+            const asRivalAdmin = { ...other, guild: other.client.guilds.cache.get("2"), by: "500", in: "general" };
+
+            const command = await runInteraction({
+                ...asRivalAdmin,
+                commandName: "status",
+                options: { deliverable: "1:0", status: "complete" },
+            });
+            assert.match(lastContent(command), /can't update that deliverable/);
+
+            const modal = await runInteraction({ ...asRivalAdmin, kind: "modal", customId: "status-modal:1:0:complete", fields: { note: "" } });
+            assert.match(lastContent(modal), /only update the status of your own/);
+            assert.equal(other.sheets.rows[1][other.sheets.rows[0].indexOf("status")], "pending");
+        } finally {
+            other.bot.stop();
+        }
+    });
+});
+
+describe("/setup", () => {
+    it("only loads rows carrying the binding server's guild ID", async () => {
+        const rival = { id: "2", name: "Rival", channels: [{ id: "30", name: "general" }], members: [{ id: "500", admin: true }] };
+        const other = createTestBot({
+            rows: [{ sponsor: "Acme" }, { sponsor: "Stray", guildId: "" }, { sponsor: "Initech", guildId: "2", channel: "general" }],
+            guilds: [DEFAULT_GUILD, rival],
+        });
+        try {
+            const interaction = await runInteraction({
+                ...other,
+                guild: other.client.guilds.cache.get("2"),
+                commandName: "setup",
+                by: "500",
+                in: "general",
+                options: { spreadsheet: "shared-sheet", sheet_name: "Schedule" },
+            });
+            assert.match(lastContent(interaction), /Last loaded 1 row at/);
+            assert.ok(!other.bot.getScheduleCache()["2"].some((item) => item.sponsor !== "Initech"));
+        } finally {
+            other.bot.stop();
+        }
+    });
+});
+
+describe("/botstatus", () => {
+    it("only shows the sources this server reads", async () => {
+        bot.guildSettings.update("2", {
+            source: { spreadsheetId: "rival-sheet", sheetName: "Rival", startingColumn: "A", endingColumn: "Z" },
+        });
+        await bot.fetchScheduleData();
+
+        const interaction = await runInteraction({ ...testBot, commandName: "botstatus", by: "300" });
+        const schedule = interaction.replies.at(-1).embeds[0].data.fields.find((field) => field.name === "Schedule").value;
+        assert.match(schedule, /Google Sheet Schedule: data as of/);
+        assert.doesNotMatch(schedule, /Rival/);
+        assert.doesNotMatch(schedule, /in total/);
+    });
+});
+
+describe("createBot", () => {
+    it("gives every bot its own state", async () => {
+        const other = createTestBot({ rows: [{ sponsor: "Initech" }, { sponsor: "Umbrella" }] });
+        try {
+            await other.bot.fetchScheduleData();
+            other.bot.guildSettings.update(guild.id, { timezone: "Europe/Berlin" });
+
+            assert.deepEqual(other.bot.getScheduleCache()[guild.id].map((item) => item.sponsor), ["Initech", "Umbrella"]);
+            assert.ok(!bot.getScheduleCache()[guild.id].some((item) => item.sponsor === "Initech"));
+            assert.notEqual(bot.guildSettings.get(guild.id).timezone, "Europe/Berlin");
+        } finally {
+            other.bot.stop();
+        }
+    });
+});
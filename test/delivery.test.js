@@ -0,0 +1,99 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createTestBot, channelByName } = require("./helpers/testBot");
+const { createDeliveryStats } = require("../src/deliveryQueue");
+
+/************************************************
+ * Reminder Delivery: channel posts, DMs and fallbacks
+ ************************************************/
+
+const { bot, client, sheets, guild } = createTestBot({
+    rows: [
+        { sponsor: "Alice Channel 1", reminderDate: "2025-04-10" },
+        { sponsor: "Alice Channel 2", reminderDate: "2025-04-10" },
+        { sponsor: "Bob Channel", creator: "101", channel: "bob-sponsors", reminderDate: "2025-04-10" },
+        { sponsor: "Alice DM", reminderType: "Private Message", reminderDate: "2025-04-10" },
+        { sponsor: "Bob DM", creator: "101", channel: "bob-sponsors", reminderType: "Private Message", reminderDate: "2025-04-10" },
+        { sponsor: "Lost Channel", channel: "nowhere", reminderDate: "2025-04-10" },
+    ],
+});
+
+const sponsorsOf = (message) => message.embeds.map((embed) => embed.data.title.replace("Sponsor: ", ""));
+
+after(() => bot.stop());
+
+describe("sendGuildRemindersForDate", () => {
+    let stats;
+
+    before(async () => {
+        await bot.fetchScheduleData();
+        stats = createDeliveryStats();
+        const guildData = bot.getScheduleCache()[guild.id];
+        await bot.sendGuildRemindersForDate(guild, guildData, new Date(2025, 3, 10), "UTC", {}, stats);
+    });
+
+    it("bundles channel posts into one message per channel", () => {
+        const aliceChannel = channelByName(guild, "alice-sponsors").sent;
+        assert.equal(aliceChannel.length, 1);
+        assert.deepEqual(sponsorsOf(aliceChannel[0]), ["Alice Channel 1", "Alice Channel 2"]);
+        assert.match(aliceChannel[0].content, /4\/10\/2025/);
+        assert.equal(aliceChannel[0].components.length, 2);
+    });
+
+    it("sends one DM per creator", () => {
+        const dms = guild.members.cache.get("100").dms;
+        assert.equal(dms.length, 1);
+        assert.deepEqual(sponsorsOf(dms[0]), ["Alice DM"]);
+    });
+
+    it("posts DMs that can't be delivered in the row's channel, mentioning the creator", () => {
+        const bobChannel = channelByName(guild, "bob-sponsors").sent;
+        assert.equal(bobChannel.length, 2);
+        assert.deepEqual(sponsorsOf(bobChannel[0]), ["Bob Channel"]);
+
+        const fallback = bobChannel[1];
+        assert.deepEqual(sponsorsOf(fallback), ["Bob DM"]);
+        assert.match(fallback.content, /<@101> we couldn't DM you/);
+        assert.deepEqual(fallback.allowedMentions, { users: ["101"] });
+        assert.equal(guild.members.cache.get("101").dms.length, 0);
+    });
+
+    it("tallies what was sent, fell back and failed", () => {
+        assert.equal(stats.sent, 4);
+        assert.equal(stats.fallback, 1);
+        assert.equal(stats.failed, 1);
+        assert.equal(stats.failures[0].target, 'channel "nowhere"');
+        assert.deepEqual(stats.failures[0].items, ["Lost Channel"]);
+    });
+
+    it("doesn't send the same reminders twice", async () => {
+        const again = createDeliveryStats();
+        const guildData = bot.getScheduleCache()[guild.id];
+        await bot.sendGuildRemindersForDate(guild, guildData, new Date(2025, 3, 10), "UTC", {}, again);
+
+        assert.equal(again.sent + again.fallback, 0);
+        assert.equal(channelByName(guild, "alice-sponsors").sent.length, 1);
+        assert.equal(client.getDms().length, 1);
+    });
+});
+
+describe("sendScheduledReminders", () => {
+    it("sends today's reminders from a fresh fetch and reports them to the log channel", async () => {
+        const today = new Date().toISOString().slice(0, 10);
+        const header = sheets.rows[0];
+        const row = [...sheets.rows[1]];
+        row[header.indexOf("Brand")] = "Due Today";
+        row[header.indexOf("Reminder Date")] = today;
+        sheets.rows.push(row);
+        bot.guildSettings.update(guild.id, { logChannelId: "12" });
+
+        await bot.fetchScheduleData();
+        await bot.sendScheduledReminders();
+
+        const posted = channelByName(guild, "alice-sponsors").sent.slice(1);
+        assert.ok(posted.some((message) => sponsorsOf(message).includes("Due Today")));
+
+        const summary = channelByName(guild, "general").sent.at(-1);
+        assert.equal(summary.embeds[0].data.title, "Reminder delivery summary");
+    });
+});
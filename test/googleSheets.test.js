@@ -0,0 +1,77 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createFakeSheets, createSheetsError } = require("./helpers/fakeSheets");
+
+/************************************************
+ * Google Sheets Data Source
+ ************************************************/
+
+let createGoogleSheetsSource;
+
+/**
+ * A source over a small grid: a header row and two data rows.
+ */
+function createSource() {
+    const sheets = createFakeSheets([
+        ["guild ID", "Creator", "status"],
+        ["1", "100", "pending"],
+        ["1", "101", "draft"],
+    ]);
+    const source = createGoogleSheetsSource({
+        spreadsheetId: "test-sheet",
+        sheetName: "Schedule",
+        startingColumn: "A",
+        endingColumn: "C",
+        sheetsClient: sheets,
+    });
+    return { sheets, source };
+}
+
+describe("Google Sheets source", () => {
+    before(() => {
+        Object.assign(process.env, {
+            DATA_DIR: fs.mkdtempSync(path.join(os.tmpdir(), "sponsorbot-test-")),
+            LOG_LEVEL: "error",
+            SHEETS_MAX_ATTEMPTS: "3",
+            SHEETS_RETRY_DELAY_MS: "1",
+        });
+        ({ createGoogleSheetsSource } = require("../src/dataSources/googleSheets"));
+    });
+
+    it("reads the whole range and single rows", async () => {
+        const { source, sheets } = createSource();
+        assert.equal((await source.loadRows()).length, 3);
+        assert.deepEqual(await source.readRow(1), ["1", "101", "draft"]);
+        assert.equal(sheets.requests[1].params.range, "Schedule!A3:C3");
+    });
+
+    it("writes cells into the right row", async () => {
+        const { source, sheets } = createSource();
+        await source.writeCells(0, { 2: "complete" });
+        assert.deepEqual(sheets.rows[1], ["1", "100", "complete"]);
+        assert.equal(sheets.requests[0].params.requestBody.data[0].range, "Schedule!C2");
+    });
+
+    it("retries quota and server errors", async () => {
+        const { source, sheets } = createSource();
+        sheets.failNext(createSheetsError(429), 1);
+        sheets.failNext(createSheetsError(503), 1);
+        assert.equal((await source.loadRows()).length, 3);
+        assert.equal(sheets.requests.length, 3);
+    });
+
+    it("gives up after SHEETS_MAX_ATTEMPTS, and at once on permanent errors", async () => {
+        const { source, sheets } = createSource();
+        sheets.failNext(createSheetsError(429), 3);
+        await assert.rejects(source.loadRows(), { code: 429 });
+        assert.equal(sheets.requests.length, 3);
+
+        const other = createSource();
+        other.sheets.failNext(createSheetsError(403), 1);
+        await assert.rejects(other.source.loadRows(), { code: 403 });
+        assert.equal(other.sheets.requests.length, 1);
+    });
+});
@@ -0,0 +1,295 @@
+const { EventEmitter } = require("events");
+const { Collection, PermissionsBitField } = require("discord.js");
+
+/************************************************
+ * Fake Discord Client
+ ************************************************/
+/**
+ * Just enough of a discord.js Client for the bot to run offline: guilds
+ * with text channels, roles and members, captured channel posts and DMs,
+ * and slash command / button interactions whose replies are recorded.
+ *
+ *   const client = createFakeClient();
+ *   const guild = client.addGuild({
+ *       id: "1", name: "Agency",
+ *       channels: [{ id: "10", name: "alice-sponsors" }],
+ *       roles: [{ id: "20", name: "manager" }],
+ *       members: [{ id: "100", roles: ["20"] }, { id: "101", admin: true }, { id: "102", dmsClosed: true }],
+ *   });
+ *   guild.channels.cache.get("10").sent;   // messages posted there
+ *   guild.channels.cache.get("10").threads.created;   // threads opened there
+ *   guild.members.cache.get("100").dms;    // DMs the member received
+ */
+
+let nextId = 1;
+
+/**
+ * Returns a fresh fake snowflake.
+ */
+function createId() {
+    return String(900000 + nextId++);
+}
+
+/**
+ * An error shaped like discord.js's DiscordAPIError.
+ */
+function createApiError(code, message, status) {
+    return Object.assign(new Error(message), { name: "DiscordAPIError", code, status });
+}
+
+/**
+ * Turns what was passed to send()/reply() into a plain message record.
+ */
+function toMessage(payload, extra = {}) {
+    const data = typeof payload === "string" ? { content: payload } : { ...payload };
+    return { id: createId(), ...extra, ...data };
+}
+
+function createFakeChannel(guild, { id = createId(), name, type = 0, parentId = null }) {
+    const channel = {
+        id,
+        name,
+        type,
+        parentId,
+        guild,
+        guildId: guild.id,
+        sent: [],
+        async send(payload) {
+            const message = toMessage(payload, { channelId: channel.id });
+            channel.sent.push(message);
+            return message;
+        },
+        threads: {
+            created: [],
+            async create({ name: threadName }) {
+                const thread = createFakeChannel(guild, { name: threadName, type: 11, parentId: channel.id });
+                guild.channels.cache.set(thread.id, thread);
+                channel.threads.created.push(thread);
+                return thread;
+            },
+        },
+    };
+    return channel;
+}
+
+function createFakeMember(guild, { id = createId(), username = `user${id}`, roles = [], admin = false, dmsClosed = false }) {
+    const user = { id, username, tag: `${username}#0000`, bot: false };
+    const member = {
+        id,
+        user,
+        guild,
+        dms: [],
+        dmsClosed,
+        permissions: new PermissionsBitField(admin ? PermissionsBitField.Flags.Administrator : 0n),
+        roles: {
+            cache: new Collection(roles.map((roleId) => [roleId, guild.roles.cache.get(roleId) || { id: roleId, name: roleId }])),
+        },
+        async send(payload) {
+            if (member.dmsClosed) {
+                throw createApiError(50007, "Cannot send messages to this user", 403);
+            }
+            const message = toMessage(payload, { userId: id });
+            member.dms.push(message);
+            return message;
+        },
+    };
+    user.send = member.send;
+    return member;
+}
+
+function createFakeGuild(client, { id = createId(), name = "Test Server", channels = [], roles = [], members = [] }) {
+    const guild = {
+        id,
+        name,
+        channels: { cache: new Collection() },
+        roles: { cache: new Collection() },
+        members: {
+            cache: new Collection(),
+            async fetch(userId) {
+                const member = guild.members.cache.get(String(userId));
+                if (!member) throw createApiError(10007, "Unknown Member", 404);
+                return member;
+            },
+        },
+    };
+
+    for (const role of roles) {
+        guild.roles.cache.set(role.id, { ...role, guild });
+    }
+    for (const options of channels) {
+        const channel = createFakeChannel(guild, options);
+        guild.channels.cache.set(channel.id, channel);
+        client.channels.cache.set(channel.id, channel);
+    }
+    for (const options of members) {
+        const member = createFakeMember(guild, options);
+        guild.members.cache.set(member.id, member);
+        client.users.cache.set(member.id, member.user);
+    }
+    return guild;
+}
+
+/**
+ * Creates the fake client. It isn't "ready" until login() is called,
+ * which emits "ready" like the real one.
+ */
+function createFakeClient() {
+    const client = new EventEmitter();
+    Object.assign(client, {
+        ready: false,
+        user: { id: "999999", tag: "SponsorBot#0000", setPresence() {} },
+        guilds: { cache: new Collection() },
+        channels: { cache: new Collection() },
+        users: {
+            cache: new Collection(),
+            async fetch(userId) {
+                const user = client.users.cache.get(String(userId));
+                if (!user) throw createApiError(10013, "Unknown User", 404);
+                return user;
+            },
+        },
+        rest: new EventEmitter(),
+        ws: { ping: 42 },
+
+        isReady() {
+            return client.ready;
+        },
+
+        async login() {
+            client.ready = true;
+            client.emit("ready", client);
+            return "fake-token";
+        },
+
+        addGuild(options) {
+            const guild = createFakeGuild(client, options);
+            client.guilds.cache.set(guild.id, guild);
+            return guild;
+        },
+
+        /**
+         * Every DM sent to any member, as { userId, ...message }.
+         */
+        getDms() {
+            return [...client.guilds.cache.values()].flatMap((guild) =>
+                [...guild.members.cache.values()].flatMap((member) => member.dms)
+            );
+        },
+    });
+    return client;
+}
+
+/**
+ * Builds the option accessors of a chat input interaction from a plain
+ * object: { month: "April", creator: { id: "100" } }. Users, roles,
+ * channels and attachments ({ id, name, url, size }) are passed as
+ * objects, everything else as its value.
+ */
+function createFakeOptions({ subcommand = null, values = {}, focused = null }) {
+    const get = (name) => (values[name] === undefined ? null : values[name]);
+    const data = Object.entries(values).map(([name, value]) => ({
+        name,
+        value: value && typeof value === "object" ? value.id : value,
+    }));
+
+    return {
+        data: subcommand ? [{ name: subcommand, type: 1, options: data }] : data,
+        getString: get,
+        getBoolean: get,
+        getInteger: get,
+        getNumber: get,
+        getUser: get,
+        getRole: get,
+        getChannel: get,
+        getMember: get,
+        getAttachment: get,
+        getSubcommand: () => subcommand,
+        getFocused: (full) => (full ? focused : focused ? focused.value : ""),
+    };
+}
+
+/**
+ * Creates a slash command interaction from `member` (or a DM `user`) in
+ * `channel`. Everything the bot replies with is recorded in `replies`,
+ * as { type: "reply" | "deferReply" | "deferUpdate" | "editReply" | "followUp" | "update", ...payload }.
+ *
+ * kind: "command" (default), "autocomplete", "button" (with customId and
+ * the clicked `message`) or "modal" (with customId and text input `fields`).
+ */
+function createFakeInteraction({
+    client,
+    commandName = null,
+    kind = "command",
+    customId = null,
+    guild = null,
+    channel = null,
+    member = null,
+    user = null,
+    subcommand = null,
+    options = {},
+    focused = null,
+    message = null,
+    fields = {},
+}) {
+    const interaction = {
+        id: createId(),
+        client,
+        commandName,
+        customId,
+        guild,
+        guildId: guild ? guild.id : null,
+        channel,
+        channelId: channel ? channel.id : null,
+        member,
+        user: member ? member.user : user,
+        options: createFakeOptions({ subcommand, values: options, focused }),
+        message,
+        fields: {
+            getTextInputValue: (name) => (fields[name] === undefined ? "" : fields[name]),
+        },
+        replied: false,
+        deferred: false,
+        replies: [],
+        choices: null,
+
+        isChatInputCommand: () => kind === "command",
+        isAutocomplete: () => kind === "autocomplete",
+        isButton: () => kind === "button",
+        isModalSubmit: () => kind === "modal",
+
+        async reply(payload) {
+            interaction.replied = true;
+            interaction.replies.push(toMessage(payload, { type: "reply" }));
+        },
+        async deferReply(payload = {}) {
+            interaction.deferred = true;
+            interaction.replies.push(toMessage(payload, { type: "deferReply" }));
+        },
+        async editReply(payload) {
+            interaction.replies.push(toMessage(payload, { type: "editReply" }));
+        },
+        async followUp(payload) {
+            interaction.replies.push(toMessage(payload, { type: "followUp" }));
+        },
+        async update(payload) {
+            interaction.replies.push(toMessage(payload, { type: "update" }));
+        },
+        async deferUpdate() {
+            interaction.deferred = true;
+            interaction.replies.push({ type: "deferUpdate" });
+        },
+        async showModal(modal) {
+            interaction.replies.push({ type: "showModal", modal });
+        },
+        async respond(choices) {
+            interaction.choices = choices;
+        },
+    };
+    return interaction;
+}
+
+module.exports = {
+    createFakeClient,
+    createFakeInteraction,
+    createApiError,
+};
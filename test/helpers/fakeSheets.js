@@ -0,0 +1,100 @@
+/************************************************
+ * Fake Google Sheets Backend
+ ************************************************/
+/**
+ * Answers the Sheets API calls the Google Sheets data source makes
+ * (spreadsheets.values.get and batchUpdate) from an in-memory grid, so
+ * the bot can load and write schedules offline:
+ *
+ *   const sheets = createFakeSheets([headerRow, ...dataRows]);
+ *   createBot({ client, sheetsClient: sheets });
+ *   sheets.rows;                  // the grid, including writes
+ *   sheets.requests;              // every call, as { method, params }
+ *   sheets.failNext(error, 2);    // make the next two calls reject
+ *
+ * Ranges are read as "<sheet>!A:Z" (the whole grid) or
+ * "<sheet>!A5:Z5" (one row); writes address single cells like "<sheet>!J5".
+ * The grid is assumed to start at column A.
+ */
+
+/**
+ * Converts a column letter into a zero-based index.
+ */
+function columnIndex(letters) {
+    let index = 0;
+    for (const char of letters.toUpperCase()) {
+        index = index * 26 + (char.charCodeAt(0) - 64);
+    }
+    return index - 1;
+}
+
+/**
+ * Parses "Sheet!A5:Z5" / "Sheet!J5" / "Sheet!A:Z" into { row, column }
+ * (zero-based; row is null for whole columns).
+ */
+function parseRange(range) {
+    const match = String(range).split("!").pop().match(/^([A-Z]+)(\d*)/i);
+    return {
+        column: columnIndex(match[1]),
+        row: match[2] ? Number(match[2]) - 1 : null,
+    };
+}
+
+/**
+ * Creates the fake Sheets client around `rows` (header row first).
+ */
+function createFakeSheets(rows = []) {
+    const failures = [];
+
+    const sheets = {
+        rows: rows.map((row) => [...row]),
+        requests: [],
+
+        /**
+         * Rejects the next `times` calls with `error` (e.g. a 429).
+         */
+        failNext(error, times = 1) {
+            for (let i = 0; i < times; i++) failures.push(error);
+        },
+
+        spreadsheets: {
+            values: {
+                async get(params) {
+                    sheets.requests.push({ method: "get", params });
+                    if (failures.length) throw failures.shift();
+
+                    const { row } = parseRange(params.range);
+                    const values = row === null ? sheets.rows : [sheets.rows[row] || []];
+                    return { data: { values: values.map((r) => [...r]) } };
+                },
+
+                async batchUpdate(params) {
+                    sheets.requests.push({ method: "batchUpdate", params });
+                    if (failures.length) throw failures.shift();
+
+                    for (const { range, values } of params.requestBody.data) {
+                        const { row, column } = parseRange(range);
+                        while (sheets.rows.length <= row) sheets.rows.push([]);
+                        const target = sheets.rows[row];
+                        while (target.length <= column) target.push("");
+                        target[column] = values[0][0];
+                    }
+                    return { data: {} };
+                },
+            },
+        },
+    };
+    return sheets;
+}
+
+/**
+ * Builds an error shaped like a googleapis HTTP error.
+ */
+function createSheetsError(status, message = `Request failed with status ${status}`) {
+    return Object.assign(new Error(message), { code: status, response: { status, headers: {} } });
+}
+
+module.exports = {
+    createFakeSheets,
+    createSheetsError,
+};
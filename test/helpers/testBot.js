@@ -0,0 +1,163 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { SCHEDULE_HEADERS } = require("../../src/dataSources/scheduleColumns");
+const { createFakeClient, createFakeInteraction } = require("./fakeDiscord");
+const { createFakeSheets } = require("./fakeSheets");
+
+/************************************************
+ * Test Bot
+ ************************************************/
+/**
+ * Starts a bot on the fake client and fake Sheets, with its data in a
+ * fresh temp directory. Every call builds a separate bot with its own
+ * stores, so a test file can run several side by side.
+ */
+
+/**
+ * The defaults every test row starts from; override per row by field name.
+ */
+const ROW_DEFAULTS = {
+    guildId: "1",
+    creator: "100",
+    channel: "alice-sponsors",
+    sponsor: "Acme",
+    draftDeadline: "",
+    uploadDeadline: "",
+    month: "April",
+    year: "2025",
+    shouldNotify: "1",
+    status: "pending",
+    statusSend: "1",
+    statusMessage: "",
+    ignore: "0",
+    type: "Video",
+    reminderDate: "",
+    reminderDate2: "",
+    reminderType: "Channel Post",
+    timezone: "",
+    manager: "",
+};
+
+/**
+ * Builds sheet rows (header row first) from row objects keyed by field
+ * name, e.g. { sponsor: "Acme", reminderDate: "2025-04-10" }.
+ */
+function buildSheetRows(rows) {
+    const fields = Object.keys(SCHEDULE_HEADERS);
+    return [
+        fields.map((field) => SCHEDULE_HEADERS[field]),
+        ...rows.map((row) => fields.map((field) => String({ ...ROW_DEFAULTS, ...row }[field]))),
+    ];
+}
+
+/**
+ * The guild most tests use: two schedule channels, a manager role, a
+ * manager, an admin, two creators (one with DMs closed) and a bystander.
+ */
+const DEFAULT_GUILD = {
+    id: "1",
+    name: "Agency",
+    channels: [
+        { id: "10", name: "alice-sponsors" },
+        { id: "11", name: "bob-sponsors" },
+        { id: "12", name: "general" },
+    ],
+    roles: [{ id: "20", name: "Manager" }],
+    members: [
+        { id: "100", username: "alice" },
+        { id: "101", username: "bob", dmsClosed: true },
+        { id: "200", username: "manny", roles: ["20"] },
+        { id: "300", username: "ada", admin: true },
+        { id: "400", username: "walter" },
+    ],
+};
+
+/**
+ * Creates the bot. `rows` are row objects (see buildSheetRows), `env`
+ * overrides the test environment. Returns { bot, client, sheets, guild, dataDir }.
+ */
+function createTestBot({ rows = [], guilds = [DEFAULT_GUILD], env = {} } = {}) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "sponsorbot-test-"));
+    Object.assign(process.env, {
+        TZ: "UTC",
+        TIMEZONE: "UTC",
+        DATA_DIR: dataDir,
+        LOG_LEVEL: "error",
+        DATA_SOURCE: "google",
+        SHEET_ID: "test-sheet",
+        SHEETNAME: "Schedule",
+        STARTING_COLUMN: "A",
+        ENDING_COLUMN: "Z",
+        ROLE: "manager",
+        DELIVERY_RETRY_DELAY_MS: "1",
+        SHEETS_RETRY_DELAY_MS: "1",
+        ...env,
+    });
+
+    // Required only now, so the logger and the command definitions pick up the environment above
+    const { createBot } = require("../../src/bot");
+
+    const client = createFakeClient();
+    const addedGuilds = guilds.map((guild) => client.addGuild(guild));
+    const sheets = createFakeSheets(buildSheetRows(rows));
+    const bot = createBot({ client, sheetsClient: sheets });
+
+    return { bot, client, sheets, guild: addedGuilds[0], dataDir };
+}
+
+/**
+ * Finds one of a guild's channels by name, e.g. channelByName(guild, "general").
+ */
+function channelByName(guild, name) {
+    return guild.channels.cache.find((channel) => channel.name === name);
+}
+
+/**
+ * Runs an interaction through the bot's handler as the member `by`, in
+ * the channel named `in` (default "alice-sponsors"), and returns it with
+ * its recorded replies. Takes what createTestBot returned, so a test can
+ * pass `{ ...testBot, commandName: "refresh", by: "200" }`; the rest is
+ * handed to createFakeInteraction (kind, customId, subcommand, options,
+ * focused, message, fields).
+ */
+async function runInteraction({
+    bot,
+    client,
+    guild,
+    by,
+    in: channelName = "alice-sponsors",
+    commandName = null,
+    kind = "command",
+    customId = null,
+    subcommand = null,
+    options = {},
+    focused = null,
+    message = null,
+    fields = {},
+}) {
+    const interaction = createFakeInteraction({
+        client,
+        commandName,
+        kind,
+        customId,
+        guild,
+        channel: channelByName(guild, channelName),
+        member: guild.members.cache.get(by),
+        subcommand,
+        options,
+        focused,
+        message,
+        fields,
+    });
+    await bot.handleInteraction(interaction);
+    return interaction;
+}
+
+module.exports = {
+    DEFAULT_GUILD,
+    buildSheetRows,
+    createTestBot,
+    channelByName,
+    runInteraction,
+};
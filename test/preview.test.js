@@ -0,0 +1,129 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createTestBot, channelByName, runInteraction } = require("./helpers/testBot");
+
+/************************************************
+ * Reminder Previews, Dry Runs and Targeted Resends
+ ************************************************/
+
+const today = new Date().toISOString().slice(0, 10);
+
+const testBot = createTestBot({
+    rows: [
+        { sponsor: "Acme", reminderDate: "2025-04-10" },
+        { sponsor: "Alice DM", reminderType: "Private Message", reminderDate: "2025-04-10" },
+        { sponsor: "Globex", creator: "101", channel: "bob-sponsors", reminderDate: "2025-04-10" },
+        { sponsor: "Alice Today", reminderDate: today },
+        { sponsor: "Bob Today", creator: "101", channel: "bob-sponsors", reminderDate: today },
+    ],
+});
+
+const { bot, client, guild } = testBot;
+const sentCount = () =>
+    guild.channels.cache.filter((ch) => ch.name !== "general").reduce((total, ch) => total + ch.sent.length, 0) +
+    client.getDms().length;
+
+/**
+ * Waits for something /resend kicked off in the background.
+ */
+async function waitFor(check) {
+    for (let i = 0; i < 100 && !check(); i++) {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    assert.ok(check(), "timed out");
+}
+
+before(async () => {
+    await bot.fetchScheduleData();
+    bot.guildSettings.update(guild.id, { logChannelId: "12" });
+});
+after(() => bot.stop());
+
+describe("/preview-reminders", () => {
+    it("lists where each reminder would go on a day, without sending", async () => {
+        const interaction = await runInteraction({
+            ...testBot,
+            commandName: "preview-reminders",
+            by: "200",
+            in: "general",
+            options: { date: "2025-04-10" },
+        });
+        const reply = interaction.replies[0];
+        const description = reply.embeds[0].data.description;
+
+        assert.equal(reply.ephemeral, true);
+        assert.equal(reply.embeds[0].data.title, "Reminders for 4/10/2025 (3 reminders)");
+        assert.match(description, /\*\*Post in <#10>\*\*\n- Acme \(Reminder Date\)/);
+        assert.match(description, /\*\*Post in <#11>\*\*\n- Globex \(Reminder Date\)/);
+        assert.match(description, /\*\*DM <@100>\*\*.*\n- Alice DM \(Reminder Date\)/);
+        assert.equal(sentCount(), 0);
+    });
+
+    it("narrows the preview to a creator or row", async () => {
+        const byCreator = await runInteraction({
+            ...testBot,
+            commandName: "preview-reminders",
+            by: "200",
+            in: "general",
+            options: { date: "2025-04-10", creator: { id: "101" } },
+        });
+        assert.equal(byCreator.replies[0].embeds[0].data.title, "Reminders for 4/10/2025 (1 reminder)");
+        assert.match(byCreator.replies[0].content, /for <@101>/);
+
+        const byRow = await runInteraction({
+            ...testBot,
+            commandName: "preview-reminders",
+            by: "200",
+            in: "general",
+            options: { date: "2025-04-10", row: "1" },
+        });
+        assert.match(byRow.replies[0].embeds[0].data.description, /Alice DM/);
+        assert.doesNotMatch(byRow.replies[0].embeds[0].data.description, /Acme/);
+    });
+
+    it("rejects dates it can't read", async () => {
+        const interaction = await runInteraction({
+            ...testBot,
+            commandName: "preview-reminders",
+            by: "200",
+            in: "general",
+            options: { date: "someday" },
+        });
+        assert.match(interaction.replies[0].content, /not a date/);
+    });
+});
+
+describe("dry run", () => {
+    it("posts what would be sent to the log channel instead of sending", async () => {
+        process.env.DRY_RUN = "1";
+        try {
+            await bot.sendScheduledReminders();
+        } finally {
+            delete process.env.DRY_RUN;
+        }
+
+        assert.equal(sentCount(), 0);
+        const preview = channelByName(guild, "general").sent.at(-1).embeds[0].data;
+        assert.match(preview.title, /^Dry run/);
+        assert.match(preview.description, /Alice Today/);
+        assert.match(preview.description, /Bob Today/);
+    });
+});
+
+describe("/resend", () => {
+    it("only resends the targeted creator's reminders", async () => {
+        const interaction = await runInteraction({
+            ...testBot,
+            commandName: "resend",
+            by: "200",
+            in: "general",
+            options: { creator: { id: "101" } },
+        });
+        assert.match(interaction.replies.at(-1).content, /undelivered reminders for <@101> have been sent/);
+
+        await waitFor(() => channelByName(guild, "bob-sponsors").sent.length > 0);
+        const sponsors = channelByName(guild, "bob-sponsors").sent.flatMap((message) => message.embeds.map((embed) => embed.data.title));
+        assert.ok(sponsors.includes("Sponsor: Bob Today"));
+        assert.equal(channelByName(guild, "alice-sponsors").sent.length, 0);
+    });
+});
@@ -0,0 +1,111 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createTestBot } = require("./helpers/testBot");
+
+/************************************************
+ * Reminder Selection
+ ************************************************/
+
+const { bot } = createTestBot({
+    rows: [
+        { sponsor: "Reminder Row", reminderDate: "2025-04-10" },
+        { sponsor: "Later Row", reminderDate: "2025-04-11" },
+        { sponsor: "Muted Row", reminderDate: "2025-04-10", shouldNotify: "0" },
+        { sponsor: "Unsent Row", reminderDate: "2025-04-10", statusSend: "0" },
+        { sponsor: "Ignored Row", reminderDate: "2025-04-10", ignore: "1" },
+        { sponsor: "Deadline Row", uploadDeadline: "2025-04-17" },
+        { sponsor: "Snoozed Row", creator: "101", reminderDate: "2025-04-10" },
+        { sponsor: "May Row", month: "May", reminderDate: "2025-05-10" },
+    ],
+});
+
+after(() => bot.stop());
+
+/**
+ * Runs filterReminderItems for the guild on a day, returning { sponsor: kinds }.
+ */
+function dueOn(year, month, day, options) {
+    const guildData = bot.getScheduleCache()["1"];
+    const entries = bot.filterReminderItems(guildData, new Date(year, month - 1, day), options);
+    return Object.fromEntries(entries.map((entry) => [entry.item.sponsor, entry.kinds]));
+}
+
+describe("filterReminderItems", () => {
+    before(async () => {
+        await bot.fetchScheduleData();
+        bot.creatorPreferences.snooze("101", "1:6", "2025-04-12", "2025-04-09");
+    });
+
+    it("picks rows whose reminder date is the day, plus automatic deadline reminders", () => {
+        assert.deepEqual(dueOn(2025, 4, 10), {
+            "Reminder Row": ["reminder"],
+            "Deadline Row": ["upload-T7"],
+        });
+    });
+
+    it("skips rows that are muted, not sent, ignored or snoozed", () => {
+        const due = dueOn(2025, 4, 10);
+        for (const sponsor of ["Muted Row", "Unsent Row", "Ignored Row", "Snoozed Row"]) {
+            assert.equal(due[sponsor], undefined, sponsor);
+        }
+    });
+
+    it("includes a snoozed row again once it's unsnoozed", () => {
+        bot.creatorPreferences.snooze("101", "1:6", null, "2025-04-09");
+        assert.deepEqual(dueOn(2025, 4, 10)["Snoozed Row"], ["reminder"]);
+    });
+
+    it("adds every eligible row as the monthly digest on the 1st and 2nd", () => {
+        for (const day of [1, 2]) {
+            const due = dueOn(2025, 4, day);
+            assert.deepEqual(
+                Object.keys(due).sort(),
+                ["Deadline Row", "Later Row", "May Row", "Reminder Row", "Snoozed Row"],
+                `day ${day}`
+            );
+            assert.ok(Object.values(due).every((kinds) => kinds.includes("monthly")), `day ${day}`);
+        }
+        assert.equal(Object.values(dueOn(2025, 4, 3)).some((kinds) => kinds.includes("monthly")), false);
+    });
+
+    it("follows the guild's reminder policy", () => {
+        bot.guildSettings.update("1", { reminderPolicy: { default: { offsets: [3], overdue: false } } });
+        try {
+            assert.equal(dueOn(2025, 4, 10)["Deadline Row"], undefined);
+            assert.deepEqual(dueOn(2025, 4, 14)["Deadline Row"], ["upload-T3"]);
+        } finally {
+            bot.guildSettings.update("1", { reminderPolicy: null });
+        }
+    });
+
+    it("leaves out reminders already in the ledger unless told to ignore it", () => {
+        bot.reminderLedger.recordDelivery({
+            guildId: "1",
+            row: "0",
+            kind: "reminder",
+            date: "4/10/2025",
+            target: "channel:10",
+            messageId: "1",
+        });
+        const due = dueOn(2025, 4, 10);
+        assert.equal(due["Reminder Row"], undefined);
+        assert.deepEqual(dueOn(2025, 4, 10, { ignoreLedger: true })["Reminder Row"], ["reminder"]);
+    });
+});
+
+describe("createScheduleEmbeds", () => {
+    it("builds one embed per row for the month and year, skipping ignored rows", () => {
+        const embeds = bot.createScheduleEmbeds("1", "April", "2025");
+        const titles = embeds.map((embed) => embed.data.title);
+        assert.equal(titles.length, 6);
+        assert.ok(titles.includes("Sponsor: Reminder Row"));
+        assert.ok(!titles.includes("Sponsor: Ignored Row"));
+        assert.ok(!titles.includes("Sponsor: May Row"));
+    });
+
+    it("applies the brand and creator filters", () => {
+        assert.equal(bot.createScheduleEmbeds("1", "All", "All", { brand: "deadline" }).length, 1);
+        assert.equal(bot.createScheduleEmbeds("1", "All", "All", { creator: "101" }).length, 1);
+        assert.equal(bot.createScheduleEmbeds("2", "All", "All").length, 0);
+    });
+});
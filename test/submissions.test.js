@@ -0,0 +1,213 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createTestBot, channelByName, runInteraction } = require("./helpers/testBot");
+
+/************************************************
+ * Draft & Upload Submissions
+ ************************************************/
+
+const testBot = createTestBot({
+    rows: [
+        { sponsor: "Acme", draftDeadline: "2030-04-10" },
+        { sponsor: "Globex" },
+        { sponsor: "Initech", creator: "101", channel: "bob-sponsors", status: "draft" },
+    ],
+});
+
+const { bot, sheets, guild } = testBot;
+const reviewChannel = () => channelByName(guild, "general");
+
+const lastContent = (interaction) => interaction.replies.at(-1).content;
+
+before(async () => {
+    await bot.fetchScheduleData();
+    bot.guildSettings.update(guild.id, { reviewChannelId: "12" });
+});
+after(() => bot.stop());
+
+describe("/submit draft", () => {
+    it("asks which deliverable when the creator has several", async () => {
+        const interaction = await runInteraction({
+            ...testBot,
+            commandName: "submit",
+            subcommand: "draft",
+            by: "100",
+            options: { link: "https://example.com/draft" },
+        });
+        assert.match(lastContent(interaction), /several deliverables \(Acme, Globex\)/);
+        assert.equal(reviewChannel().sent.length, 0);
+    });
+
+    it("needs a link or a file", async () => {
+        const noLink = await runInteraction({ ...testBot, commandName: "submit", subcommand: "draft", by: "100", options: { brand: "Acme" } });
+        assert.match(lastContent(noLink), /add a link or a file/);
+
+        const notALink = await runInteraction({
+            ...testBot,
+            commandName: "submit",
+            subcommand: "draft",
+            by: "100",
+            options: { brand: "Acme", link: "my drive" },
+        });
+        assert.match(lastContent(notALink), /not a link/);
+    });
+
+    it("posts the draft to the review channel for the brand's row", async () => {
+        const interaction = await runInteraction({
+            ...testBot,
+            commandName: "submit",
+            subcommand: "draft",
+            by: "100",
+            options: { brand: "acme", link: "https://example.com/draft", note: "First cut" },
+        });
+        assert.match(lastContent(interaction), /Your draft for \*\*Acme\*\* was sent for review \(submission #1\)/);
+
+        const card = reviewChannel().sent[0];
+        assert.equal(card.content, "<@&20> New draft for **Acme** from <@100>.");
+        assert.equal(card.embeds[0].data.title, "Draft #1: Acme");
+        assert.deepEqual(
+            card.components[0].components.map((button) => button.data.custom_id),
+            ["submission:1:0:1:approve", "submission:1:0:1:changes"]
+        );
+        assert.equal(bot.submissions.list("1", "0")[0].note, "First cut");
+    });
+
+    it("drops the submission when the review card can't be posted", async () => {
+        const { send } = reviewChannel();
+        reviewChannel().send = async () => {
+            throw new Error("Missing Permissions");
+        };
+        try {
+            const interaction = await runInteraction({
+                ...testBot,
+                commandName: "submit",
+                subcommand: "draft",
+                by: "101",
+                options: { link: "https://example.com/initech" },
+            });
+            assert.match(lastContent(interaction), /could not be posted to the review channel/);
+        } finally {
+            reviewChannel().send = send;
+        }
+        assert.deepEqual(bot.submissions.list("1", "2"), []);
+    });
+});
+
+describe("reviews", () => {
+    it("are for managers only", async () => {
+        const interaction = await runInteraction({
+            ...testBot,
+            kind: "button",
+            customId: "submission:1:0:1:approve",
+            by: "400",
+            in: "general",
+            message: reviewChannel().sent.at(-1),
+        });
+        assert.match(lastContent(interaction), /Only a manager/);
+        assert.equal(bot.submissions.get("1", "0", 1).status, "pending");
+    });
+
+    it("send requested changes back to the creator", async () => {
+        const button = await runInteraction({
+            ...testBot,
+            kind: "button",
+            customId: "submission:1:0:1:changes",
+            by: "200",
+            in: "general",
+            message: reviewChannel().sent.at(-1),
+        });
+        assert.equal(button.replies[0].type, "showModal");
+
+        const modal = await runInteraction({
+            ...testBot,
+            kind: "modal",
+            customId: "submission-modal:1:0:1",
+            by: "200",
+            in: "general",
+            message: reviewChannel().sent.at(-1),
+            fields: { feedback: "Louder logo" },
+        });
+        assert.match(lastContent(modal), /\n\nChanges requested by <@200>\.$/);
+        assert.deepEqual(modal.replies.at(-1).components, []);
+        assert.equal(bot.submissions.get("1", "0", 1).feedback, "Louder logo");
+
+        const [dm] = guild.members.cache.get("100").dms;
+        assert.match(dm.content, /Changes were requested on your draft for \*\*Acme\*\*:\nLouder logo/);
+
+        const again = await runInteraction({
+            ...testBot,
+            kind: "button",
+            customId: "submission:1:0:1:approve",
+            by: "200",
+            in: "general",
+            message: reviewChannel().sent.at(-1),
+        });
+        assert.match(lastContent(again), /already reviewed \(Changes requested\)/);
+    });
+
+    it("mark the row complete when an upload is approved", async () => {
+        await runInteraction({
+            ...testBot,
+            commandName: "submit",
+            subcommand: "upload",
+            by: "101",
+            options: { file: { id: "1", name: "final.mp4", url: "https://cdn.example.com/final.mp4", size: 1000 } },
+        });
+        const card = reviewChannel().sent.at(-1);
+        assert.equal(card.embeds[0].data.title, "Upload #1: Initech");
+        assert.equal(card.files[0].name, "final.mp4");
+
+        // Two managers clicking at once: the first claims it, the second is turned away
+        const [interaction, second] = await Promise.all([
+            runInteraction({
+                ...testBot,
+                kind: "button",
+                customId: "submission:1:2:1:approve",
+                by: "200",
+                in: "general",
+                message: reviewChannel().sent.at(-1),
+            }),
+            runInteraction({
+                ...testBot,
+                kind: "button",
+                customId: "submission:1:2:1:approve",
+                by: "300",
+                in: "general",
+                message: reviewChannel().sent.at(-1),
+            }),
+        ]);
+        assert.match(lastContent(interaction), /Approved by <@200>\. \*\*Initech\*\* is now marked as \*\*complete\*\*\./);
+        assert.match(lastContent(second), /<@200> is reviewing this submission right now/);
+
+        const header = sheets.rows[0];
+        assert.equal(sheets.rows[3][header.indexOf("status")], "complete");
+
+        // Bob's DMs are closed, so he hears about it in his channel
+        assert.match(channelByName(guild, "bob-sponsors").sent.at(-1).content, /^<@101> Your upload for \*\*Initech\*\* was approved\./);
+        assert.equal(channelByName(guild, "bob-sponsors").sent.length, 1);
+    });
+});
+
+describe("/submit history", () => {
+    it("lists a row's submissions, newest first", async () => {
+        await runInteraction({
+            ...testBot,
+            commandName: "submit",
+            subcommand: "draft",
+            by: "100",
+            options: { brand: "1:0", link: "https://example.com/draft-2" },
+        });
+        const interaction = await runInteraction({
+            ...testBot,
+            commandName: "submit",
+            subcommand: "history",
+            by: "100",
+            options: { brand: "1:0" },
+        });
+
+        const lines = lastContent(interaction).split("\n");
+        assert.equal(lines[0], "Submissions for **Acme**:");
+        assert.match(lines[1], /^#2 draft .* by <@100>: Waiting for review$/);
+        assert.match(lines[2], /^#1 draft .* by <@100>: Changes requested \("Louder logo"\)$/);
+    });
+});